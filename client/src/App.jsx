@@ -4,6 +4,7 @@ import { AuthProvider } from './contexts/AuthContext';
 import Login from './components/auth/Login';
 import Register from './components/auth/Register';
 import Dashboard from './components/dashboard/Dashboard';
+import SourceManager from './components/admin/SourceManager';
 import ProtectedRoute from './components/common/ProtectedRoute';
 import './App.css';
 
@@ -29,6 +30,16 @@ function App() {
             }
           />
 
+          {/* Admin routes */}
+          <Route
+            path="/admin/sources"
+            element={
+              <ProtectedRoute requireAdmin>
+                <SourceManager />
+              </ProtectedRoute>
+            }
+          />
+
           {/* Catch all - redirect to login */}
           <Route path="*" element={<Navigate to="/login" replace />} />
         </Routes>
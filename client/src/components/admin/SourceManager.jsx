@@ -0,0 +1,369 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useAdminSources, useAdminSource } from '../../hooks/useAdminSources';
+import adminService from '../../services/adminService';
+import '../../styles/SourceManager.css';
+
+const BIAS_OPTIONS = ['left', 'center-left', 'center', 'center-right', 'right', 'unknown'];
+const FACTUAL_OPTIONS = ['very-high', 'high', 'mixed', 'low', 'very-low', 'unknown'];
+
+const splitList = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+const formatDate = (date) => (date ? new Date(date).toLocaleString() : '—');
+
+const scoreClass = (score) => {
+  if (score >= 80) return 'excellent';
+  if (score >= 65) return 'good';
+  if (score >= 50) return 'moderate';
+  return 'poor';
+};
+
+const toForm = (source) => ({
+  overallScore: source.credibilityRating?.overallScore ?? 50,
+  biasRating: source.credibilityRating?.biasRating || 'unknown',
+  factualReporting: source.credibilityRating?.factualReporting || 'unknown',
+  isEnabled: source.isEnabled,
+  isSatire: Boolean(source.isSatire),
+  fetchFrequency: source.fetchFrequency ?? 60,
+  feedUrl: source.feedUrl || '',
+  domains: (source.domains || []).join(', '),
+  aliases: (source.aliases || []).join(', '),
+  reason: ''
+});
+
+const SourceEditor = ({ source, onSaved, onDeleted }) => {
+  const [form, setForm] = useState(() => toForm(source));
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const handleChange = (field) => (e) => {
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setMessage(null);
+
+    const rating = source.credibilityRating || {};
+    const ratingChanged =
+      Number(form.overallScore) !== rating.overallScore ||
+      form.biasRating !== rating.biasRating ||
+      form.factualReporting !== rating.factualReporting;
+
+    try {
+      await adminService.updateSource(source._id, {
+        isEnabled: form.isEnabled,
+        isSatire: form.isSatire,
+        fetchFrequency: Number(form.fetchFrequency),
+        feedUrl: form.feedUrl,
+        domains: splitList(form.domains),
+        aliases: splitList(form.aliases),
+        ...(ratingChanged && {
+          credibilityRating: {
+            overallScore: Number(form.overallScore),
+            biasRating: form.biasRating,
+            factualReporting: form.factualReporting
+          },
+          reason: form.reason || undefined
+        })
+      });
+      setMessage({ type: 'success', text: 'Saved' });
+      setForm(prev => ({ ...prev, reason: '' }));
+      onSaved();
+    } catch (err) {
+      setMessage({ type: 'error', text: err.response?.data?.message || 'Failed to save source' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete "${source.name}"? Its rating history is kept.`)) return;
+
+    try {
+      await adminService.deleteSource(source._id);
+      onDeleted();
+    } catch (err) {
+      setMessage({ type: 'error', text: err.response?.data?.message || 'Failed to delete source' });
+    }
+  };
+
+  return (
+    <form className="source-editor" onSubmit={handleSubmit}>
+      <div className="source-editor-grid">
+        <label>
+          Credibility score
+          <input type="number" min="0" max="100" value={form.overallScore} onChange={handleChange('overallScore')} />
+        </label>
+        <label>
+          Bias
+          <select value={form.biasRating} onChange={handleChange('biasRating')}>
+            {BIAS_OPTIONS.map(option => <option key={option} value={option}>{option}</option>)}
+          </select>
+        </label>
+        <label>
+          Factual reporting
+          <select value={form.factualReporting} onChange={handleChange('factualReporting')}>
+            {FACTUAL_OPTIONS.map(option => <option key={option} value={option}>{option}</option>)}
+          </select>
+        </label>
+        <label>
+          Fetch every (minutes)
+          <input type="number" min="5" value={form.fetchFrequency} onChange={handleChange('fetchFrequency')} />
+        </label>
+        <label className="source-editor-wide">
+          Feed URL
+          <input type="url" value={form.feedUrl} onChange={handleChange('feedUrl')} placeholder="https://example.com/feed.xml" />
+        </label>
+        <label className="source-editor-wide">
+          Domains
+          <input type="text" value={form.domains} onChange={handleChange('domains')} placeholder="example.com, example.co.uk" />
+        </label>
+        <label className="source-editor-wide">
+          Also known as
+          <input type="text" value={form.aliases} onChange={handleChange('aliases')} placeholder="Names other providers use, comma separated" />
+        </label>
+        <label className="source-editor-wide">
+          Reason for rating change
+          <input type="text" value={form.reason} onChange={handleChange('reason')} placeholder="Recorded in the rating history" />
+        </label>
+        <label className="source-editor-check">
+          <input type="checkbox" checked={form.isEnabled} onChange={handleChange('isEnabled')} />
+          Enabled
+        </label>
+        <label className="source-editor-check">
+          <input type="checkbox" checked={form.isSatire} onChange={handleChange('isSatire')} />
+          Satire outlet
+        </label>
+      </div>
+
+      <div className="source-editor-actions">
+        {message && <span className={`source-message ${message.type}`}>{message.text}</span>}
+        <button type="button" className="source-delete" onClick={handleDelete}>Delete</button>
+        <button type="submit" className="source-save" disabled={saving}>
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const RatingHistory = ({ history }) => {
+  if (!history || history.length === 0) {
+    return <p className="source-empty">No rating changes recorded yet.</p>;
+  }
+
+  return (
+    <ul className="rating-history">
+      {history.map(entry => (
+        <li key={entry._id} className={`rating-change ${entry.kind}`}>
+          <div className="rating-change-header">
+            <span className={`rating-kind ${entry.kind}`}>{entry.kind}</span>
+            <span className="rating-scores">
+              {entry.previousScore ?? '—'} → <strong>{entry.newScore}</strong>
+            </span>
+            {entry.biasRating && <span className="rating-meta">{entry.biasRating}</span>}
+            {entry.factualReporting && <span className="rating-meta">{entry.factualReporting}</span>}
+            <span className="rating-date">{formatDate(entry.createdAt)}</span>
+          </div>
+          <p className="rating-reason">{entry.reason}</p>
+          {entry.changedBy && <span className="rating-by">by {entry.changedBy.name}</span>}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+const SourceDetail = ({ id, onChange, onDeleted }) => {
+  const { source, loading, error, refresh } = useAdminSource(id);
+
+  const handleSaved = () => {
+    refresh();
+    onChange();
+  };
+
+  if (loading && !source) return <div className="loading">Loading source...</div>;
+  if (error) return <div className="error">{error}</div>;
+  if (!source) return null;
+
+  const stats = source.stats || {};
+
+  return (
+    <div className="source-detail">
+      <h3>{source.name}</h3>
+      <div className="source-facts">
+        <span>{source.kind}</span>
+        {source.isSatire && <span>Satire</span>}
+        {source.domain && <span>{source.domain}</span>}
+        <span>Rating source: {source.credibilityRating?.source}</span>
+        {source.credibilityRating?.baselineScore != null && (
+          <span>Baseline: {source.credibilityRating.baselineScore}</span>
+        )}
+        <span>Last fetched: {formatDate(source.lastFetched)}</span>
+      </div>
+      <div className="source-facts">
+        <span>{stats.totalArticlesFetched || 0} fetched</span>
+        <span>{stats.articlesApproved || 0} approved</span>
+        <span>{stats.articlesRejected || 0} rejected</span>
+        <span>Avg quality {stats.averageQualityScore || 0}</span>
+      </div>
+
+      <SourceEditor key={source._id + source.updatedAt} source={source} onSaved={handleSaved} onDeleted={onDeleted} />
+
+      <h4>Rating history</h4>
+      <RatingHistory history={source.history} />
+    </div>
+  );
+};
+
+const NewSourceForm = ({ onCreated, onCancel }) => {
+  const [name, setName] = useState('');
+  const [domain, setDomain] = useState('');
+  const [overallScore, setOverallScore] = useState(50);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    try {
+      const response = await adminService.createSource({
+        name,
+        domain: domain || undefined,
+        credibilityRating: { overallScore: Number(overallScore) }
+      });
+      onCreated(response.data._id);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to create source');
+    }
+  };
+
+  return (
+    <form className="new-source-form" onSubmit={handleSubmit}>
+      <input type="text" value={name} onChange={(e) => setName(e.target.value)} placeholder="Source name" required />
+      <input type="text" value={domain} onChange={(e) => setDomain(e.target.value)} placeholder="Domain (optional)" />
+      <input type="number" min="0" max="100" value={overallScore} onChange={(e) => setOverallScore(e.target.value)} title="Credibility score" />
+      <button type="submit" className="source-save">Create</button>
+      <button type="button" className="refresh-btn" onClick={onCancel}>Cancel</button>
+      {error && <span className="source-message error">{error}</span>}
+    </form>
+  );
+};
+
+const SourceManager = () => {
+  const [search, setSearch] = useState('');
+  const [enabled, setEnabled] = useState('all');
+  const [kind, setKind] = useState('');
+  const [sortBy, setSortBy] = useState('name');
+  const [selectedId, setSelectedId] = useState(null);
+  const [isCreating, setIsCreating] = useState(false);
+  const { sources, loading, error, refresh } = useAdminSources({ search, enabled, kind, sortBy });
+
+  const handleCreated = (id) => {
+    setIsCreating(false);
+    setSelectedId(id);
+    refresh();
+  };
+
+  const handleDeleted = () => {
+    setSelectedId(null);
+    refresh();
+  };
+
+  return (
+    <div className="source-manager">
+      <header className="source-manager-header">
+        <div>
+          <Link to="/dashboard" className="source-back">← Dashboard</Link>
+          <h1>Sources</h1>
+        </div>
+        <button className="source-save" onClick={() => setIsCreating(true)}>Add source</button>
+      </header>
+
+      {isCreating && <NewSourceForm onCreated={handleCreated} onCancel={() => setIsCreating(false)} />}
+
+      <div className="source-toolbar">
+        <input
+          type="text"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search sources..."
+        />
+        <select value={enabled} onChange={(e) => setEnabled(e.target.value)}>
+          <option value="all">All</option>
+          <option value="true">Enabled</option>
+          <option value="false">Disabled</option>
+        </select>
+        <select value={kind} onChange={(e) => setKind(e.target.value)}>
+          <option value="">All kinds</option>
+          <option value="outlet">Outlets</option>
+          <option value="aggregator">Aggregators</option>
+        </select>
+        <select value={sortBy} onChange={(e) => setSortBy(e.target.value)}>
+          <option value="name">Name</option>
+          <option value="-credibilityRating.overallScore">Highest rated</option>
+          <option value="credibilityRating.overallScore">Lowest rated</option>
+          <option value="-stats.totalArticlesFetched">Most articles</option>
+          <option value="-lastFetched">Recently fetched</option>
+        </select>
+        <button onClick={refresh} className="refresh-btn">Refresh</button>
+      </div>
+
+      <div className="source-layout">
+        <div className="source-list">
+          {loading && <div className="loading">Loading sources...</div>}
+          {error && <div className="error">{error}</div>}
+          {!loading && !error && (
+            <table className="source-table">
+              <thead>
+                <tr>
+                  <th>Name</th>
+                  <th>Score</th>
+                  <th>Bias</th>
+                  <th>Factual</th>
+                  <th>Every</th>
+                  <th>Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {sources.map(source => (
+                  <tr
+                    key={source._id}
+                    className={`${selectedId === source._id ? 'selected' : ''} ${source.isEnabled ? '' : 'disabled'}`}
+                    onClick={() => setSelectedId(source._id)}
+                  >
+                    <td>{source.name}</td>
+                    <td>
+                      <span className={`source-score ${scoreClass(source.credibilityRating?.overallScore)}`}>
+                        {source.credibilityRating?.overallScore}
+                      </span>
+                    </td>
+                    <td>{source.credibilityRating?.biasRating}</td>
+                    <td>{source.credibilityRating?.factualReporting}</td>
+                    <td>{source.fetchFrequency}m</td>
+                    <td>{source.isEnabled ? 'Enabled' : 'Disabled'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          {!loading && !error && sources.length === 0 && (
+            <p className="source-empty">No sources match these filters.</p>
+          )}
+        </div>
+
+        <aside className="source-panel">
+          {selectedId ? (
+            <SourceDetail id={selectedId} onChange={refresh} onDeleted={handleDeleted} />
+          ) : (
+            <p className="source-empty">Select a source to edit its rating and see its history.</p>
+          )}
+        </aside>
+      </div>
+    </div>
+  );
+};
+
+export default SourceManager;
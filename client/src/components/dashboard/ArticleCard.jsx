@@ -1,8 +1,9 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { Link } from 'react-router-dom';
+import libraryService from '../../services/libraryService';
 import '../../styles/ArticleCard.css';
 
-const ArticleCard = ({ article }) => {
+const ArticleCard = ({ article, onUserStateChange }) => {
   const {
     _id,
     title,
@@ -12,12 +13,17 @@ const ArticleCard = ({ article }) => {
     urlToImage,
     url,
     categories = [],
-    filteringMetadata
+    filteringMetadata,
+    syndication
   } = article;
 
+  const [userState, setUserState] = useState(article.userState || { saved: false, read: false });
+  const [busy, setBusy] = useState(false);
+
   const score = filteringMetadata?.overallScore || 0;
   const credibility = filteringMetadata?.credibility?.sourceRating || 0;
   const biasRating = filteringMetadata?.credibility?.biasRating || 'unknown';
+  const isSatire = filteringMetadata?.satire?.isSatire;
 
   const getScoreColor = (score) => {
     if (score >= 80) return '#27ae60';
@@ -38,6 +44,46 @@ const ArticleCard = ({ article }) => {
     return labels[bias] || 'Unknown';
   };
 
+  const updateUserState = (changes) => {
+    const next = { ...userState, ...changes };
+    setUserState(next);
+    if (onUserStateChange) onUserStateChange(_id, next);
+  };
+
+  const toggleSaved = async () => {
+    setBusy(true);
+    try {
+      if (userState.saved) {
+        await libraryService.unsaveArticle(_id);
+        updateUserState({ saved: false, folder: null, tags: [] });
+      } else {
+        const response = await libraryService.saveArticle(_id);
+        updateUserState({ saved: true, folder: response.data?.folder, tags: response.data?.tags || [] });
+      }
+    } catch (err) {
+      console.error('Failed to update saved article:', err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const toggleRead = async () => {
+    setBusy(true);
+    try {
+      if (userState.read) {
+        await libraryService.markAsUnread(_id);
+        updateUserState({ read: false });
+      } else {
+        await libraryService.markAsRead(_id);
+        updateUserState({ read: true });
+      }
+    } catch (err) {
+      console.error('Failed to update read state:', err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
   const formatDate = (dateString) => {
     const date = new Date(dateString);
     const now = new Date();
@@ -50,7 +96,7 @@ const ArticleCard = ({ article }) => {
   };
 
   return (
-    <div className="article-card">
+    <div className={`article-card ${userState.read ? 'is-read' : ''}`}>
       {urlToImage && (
         <div className="article-image">
           <img src={urlToImage} alt={title} loading="lazy" />
@@ -69,6 +115,23 @@ const ArticleCard = ({ article }) => {
           <span className={`bias-badge bias-${biasRating}`}>
             {getBiasLabel(biasRating)}
           </span>
+          {isSatire && (
+            <>
+              <span className="separator">•</span>
+              <span className="satire-badge" title="Satire - not meant as factual reporting">Satire</span>
+            </>
+          )}
+          {syndication?.count > 1 && (
+            <>
+              <span className="separator">•</span>
+              <span
+                className="syndication-badge"
+                title={`Also carried by: ${syndication.outlets.slice(1).map(o => o.name).join(', ')}`}
+              >
+                +{syndication.count - 1} outlets
+              </span>
+            </>
+          )}
         </div>
 
         <h3 className="article-title">
@@ -97,6 +160,22 @@ const ArticleCard = ({ article }) => {
           </div>
 
           <div className="credibility-info">
+            <button
+              className={`card-action ${userState.read ? 'active' : ''}`}
+              onClick={toggleRead}
+              disabled={busy}
+              title={userState.read ? 'Mark as unread' : 'Mark as read'}
+            >
+              {userState.read ? '✓ Read' : 'Mark read'}
+            </button>
+            <button
+              className={`card-action ${userState.saved ? 'active' : ''}`}
+              onClick={toggleSaved}
+              disabled={busy}
+              title={userState.saved ? `Saved in ${userState.folder || 'Reading List'}` : 'Save for later'}
+            >
+              {userState.saved ? '★ Saved' : '☆ Save'}
+            </button>
             <span className="credibility-score" title="Source Credibility">
               {credibility}/100
             </span>
@@ -2,7 +2,9 @@ import React, { useState, useEffect } from 'react';
 import { useNavigate, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
 import { useArticles, useStats } from '../../hooks/useArticles';
+import { useLibraryFolders } from '../../hooks/useLibrary';
 import ArticleCard from './ArticleCard';
+import SavedArticles from './SavedArticles';
 import FilterSidebar from './FilterSidebar';
 import ViralNews from './ViralNews';
 import NewsVerifier from './NewsVerifier';
@@ -17,8 +19,9 @@ const Dashboard = () => {
   const [isVerifierOpen, setIsVerifierOpen] = useState(false);
   const [viralSection, setViralSection] = useState(null); // 'trending' or 'fakes'
 
-  // Get initial status from URL params
+  // Get initial status from URL params ('saved' shows the reading list instead of the feed)
   const urlStatus = searchParams.get('status') || 'approved';
+  const isSavedView = urlStatus === 'saved';
 
   const {
     articles,
@@ -28,15 +31,18 @@ const Dashboard = () => {
     filters,
     updateFilters,
     setPage,
-    refresh
-  } = useArticles({ status: urlStatus });
+    refresh,
+    preferences,
+    savePreferences
+  } = useArticles({ status: isSavedView ? 'approved' : urlStatus });
 
   const { stats } = useStats();
+  const { folders, tags, total: savedTotal, refresh: refreshFolders } = useLibraryFolders();
 
   // Update filters when URL changes
   useEffect(() => {
     const status = searchParams.get('status') || 'approved';
-    if (filters.status !== status) {
+    if (status !== 'saved' && filters.status !== status) {
       updateFilters({ status });
     }
   }, [searchParams]);
@@ -71,7 +77,7 @@ const Dashboard = () => {
           {stats && (
             <div className="header-stats">
               <button
-                className={`stat-btn stat-approved ${filters.status === 'approved' ? 'active' : ''}`}
+                className={`stat-btn stat-approved ${!isSavedView && filters.status === 'approved' ? 'active' : ''}`}
                 onClick={() => handleStatusFilter('approved')}
                 title="Click to filter approved articles"
               >
@@ -79,13 +85,21 @@ const Dashboard = () => {
                 {stats.approvedArticles} approved
               </button>
               <button
-                className={`stat-btn stat-pending ${filters.status === 'pending' ? 'active' : ''}`}
+                className={`stat-btn stat-pending ${!isSavedView && filters.status === 'pending' ? 'active' : ''}`}
                 onClick={() => handleStatusFilter('pending')}
                 title="Click to filter pending articles"
               >
                 <span className="stat-indicator pending"></span>
                 {stats.pendingArticles} pending
               </button>
+              <button
+                className={`stat-btn stat-saved ${isSavedView ? 'active' : ''}`}
+                onClick={() => handleStatusFilter('saved')}
+                title="Click to view your saved articles"
+              >
+                <span className="stat-indicator saved"></span>
+                {savedTotal} saved
+              </button>
               <span className="stat-average">
                 <span className="stat-indicator average"></span>
                 Avg: {stats.averageScore}
@@ -106,6 +120,9 @@ const Dashboard = () => {
           <div className="user-info">
             <span>{user?.name}</span>
             {user?.role === 'admin' && <span className="admin-badge">Admin</span>}
+            {user?.role === 'admin' && (
+              <button onClick={() => navigate('/admin/sources')} className="btn-admin">Sources</button>
+            )}
             <button onClick={handleLogout} className="btn-secondary">Logout</button>
           </div>
         </div>
@@ -115,6 +132,8 @@ const Dashboard = () => {
         <FilterSidebar
           filters={filters}
           onFilterChange={updateFilters}
+          preferences={preferences}
+          onSavePreferences={savePreferences}
           isOpen={isFilterOpen}
           onClose={() => setIsFilterOpen(false)}
         />
@@ -174,47 +193,53 @@ const Dashboard = () => {
             initialSection={viralSection || 'trending'}
           />
 
-          <div className="feed-header">
-            <h2>
-              {filters.status === 'pending' ? 'Pending Articles' : filters.status === 'approved' ? 'Approved Articles' : 'Latest News'}
-              {filters.category && ` - ${filters.category.charAt(0).toUpperCase() + filters.category.slice(1)}`}
-            </h2>
-            <button onClick={refresh} className="refresh-btn">Refresh</button>
-          </div>
-
-          {loading && <div className="loading">Loading articles...</div>}
-          {error && <div className="error">{error}</div>}
-
-          {!loading && !error && (
+          {isSavedView ? (
+            <SavedArticles folders={folders} tags={tags} onLibraryChange={refreshFolders} />
+          ) : (
             <>
-              {articles.length === 0 ? (
-                <div className="no-articles">
-                  <p>No articles found matching your filters.</p>
-                </div>
-              ) : (
-                <div className="articles-grid">
-                  {articles.map(article => (
-                    <ArticleCard key={article._id} article={article} />
-                  ))}
-                </div>
-              )}
-
-              {pagination.pages > 1 && (
-                <div className="pagination">
-                  <button
-                    onClick={() => setPage(pagination.page - 1)}
-                    disabled={pagination.page <= 1}
-                  >
-                    Previous
-                  </button>
-                  <span>Page {pagination.page} of {pagination.pages}</span>
-                  <button
-                    onClick={() => setPage(pagination.page + 1)}
-                    disabled={pagination.page >= pagination.pages}
-                  >
-                    Next
-                  </button>
-                </div>
+              <div className="feed-header">
+                <h2>
+                  {filters.status === 'pending' ? 'Pending Articles' : filters.status === 'approved' ? 'Approved Articles' : 'Latest News'}
+                  {filters.category && ` - ${filters.category.charAt(0).toUpperCase() + filters.category.slice(1)}`}
+                </h2>
+                <button onClick={refresh} className="refresh-btn">Refresh</button>
+              </div>
+
+              {loading && <div className="loading">Loading articles...</div>}
+              {error && <div className="error">{error}</div>}
+
+              {!loading && !error && (
+                <>
+                  {articles.length === 0 ? (
+                    <div className="no-articles">
+                      <p>No articles found matching your filters.</p>
+                    </div>
+                  ) : (
+                    <div className="articles-grid">
+                      {articles.map(article => (
+                        <ArticleCard key={article._id} article={article} onUserStateChange={refreshFolders} />
+                      ))}
+                    </div>
+                  )}
+
+                  {pagination.pages > 1 && (
+                    <div className="pagination">
+                      <button
+                        onClick={() => setPage(pagination.page - 1)}
+                        disabled={pagination.page <= 1}
+                      >
+                        Previous
+                      </button>
+                      <span>Page {pagination.page} of {pagination.pages}</span>
+                      <button
+                        onClick={() => setPage(pagination.page + 1)}
+                        disabled={pagination.page >= pagination.pages}
+                      >
+                        Next
+                      </button>
+                    </div>
+                  )}
+                </>
               )}
             </>
           )}
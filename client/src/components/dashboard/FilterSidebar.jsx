@@ -1,10 +1,23 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { useCategories, useSources } from '../../hooks/useArticles';
 import '../../styles/FilterSidebar.css';
 
-const FilterSidebar = ({ filters, onFilterChange, isOpen, onClose }) => {
+const BIAS_OPTIONS = [
+  { value: 'left', label: 'Left' },
+  { value: 'center-left', label: 'Center-Left' },
+  { value: 'center', label: 'Center' },
+  { value: 'center-right', label: 'Center-Right' },
+  { value: 'right', label: 'Right' },
+  { value: 'unknown', label: 'Unknown' }
+];
+
+const FilterSidebar = ({ filters, onFilterChange, isOpen, onClose, preferences, onSavePreferences }) => {
   const { categories, loading: categoriesLoading } = useCategories();
   const { sources, loading: sourcesLoading } = useSources();
+  const [saveMessage, setSaveMessage] = useState('');
+
+  const selectedBias = filters.bias ? filters.bias.split(',') : [];
+  const mutedSources = preferences?.mutedSources || [];
 
   const handleCategoryChange = (slug) => {
     onFilterChange({
@@ -28,6 +41,45 @@ const FilterSidebar = ({ filters, onFilterChange, isOpen, onClose }) => {
     onFilterChange({ sortBy: e.target.value });
   };
 
+  const handleBiasChange = (value) => {
+    const next = selectedBias.includes(value)
+      ? selectedBias.filter(b => b !== value)
+      : [...selectedBias, value];
+    onFilterChange({ bias: next.join(',') });
+  };
+
+  const handleIndianNewsChange = (e) => {
+    onFilterChange({ region: e.target.checked ? '' : 'international' });
+  };
+
+  const savePreferences = async (changes, message) => {
+    try {
+      await onSavePreferences(changes);
+      setSaveMessage(message);
+    } catch (err) {
+      setSaveMessage(err.response?.data?.message || 'Failed to save preferences');
+    }
+  };
+
+  const handleMuteSource = () => {
+    if (!filters.source || mutedSources.includes(filters.source)) return;
+    onFilterChange({ source: '' });
+    savePreferences({ mutedSources: [...mutedSources, filters.source] }, `Muted ${filters.source}`);
+  };
+
+  const handleUnmuteSource = (name) => {
+    savePreferences({ mutedSources: mutedSources.filter(s => s !== name) }, `Unmuted ${name}`);
+  };
+
+  const handleSaveDefaults = () => {
+    savePreferences({
+      defaultCategory: filters.category,
+      minScore: filters.minScore,
+      biasFilter: selectedBias,
+      showIndianNews: filters.region !== 'international'
+    }, 'Saved as your defaults');
+  };
+
   const clearFilters = () => {
     onFilterChange({
       category: '',
@@ -35,12 +87,15 @@ const FilterSidebar = ({ filters, onFilterChange, isOpen, onClose }) => {
       minScore: 0,
       status: 'approved',
       search: '',
-      sortBy: 'publishedAt'
+      sortBy: 'publishedAt',
+      bias: '',
+      region: ''
     });
   };
 
   const hasActiveFilters = filters.category || filters.source ||
-    filters.minScore > 0 || filters.status !== 'approved';
+    filters.minScore > 0 || filters.status !== 'approved' ||
+    filters.bias || filters.region;
 
   return (
     <>
@@ -133,15 +188,73 @@ const FilterSidebar = ({ filters, onFilterChange, isOpen, onClose }) => {
         ) : (
           <select value={filters.source} onChange={handleSourceChange}>
             <option value="">All Sources</option>
-            {sources.map(src => (
+            {sources.filter(src => !mutedSources.includes(src.name)).map(src => (
               <option key={src._id} value={src.name}>
                 {src.name} ({src.credibilityRating?.overallScore || 0})
               </option>
             ))}
           </select>
         )}
+        {onSavePreferences && filters.source && (
+          <button className="mute-btn" onClick={handleMuteSource}>
+            Mute {filters.source}
+          </button>
+        )}
+        {mutedSources.length > 0 && (
+          <div className="muted-sources">
+            <span className="muted-label">Muted:</span>
+            {mutedSources.map(name => (
+              <button
+                key={name}
+                className="muted-source"
+                onClick={() => handleUnmuteSource(name)}
+                title="Click to unmute"
+              >
+                {name} ✕
+              </button>
+            ))}
+          </div>
+        )}
       </div>
 
+      {/* Bias */}
+      <div className="filter-section">
+        <h3>Bias Rating</h3>
+        <div className="checkbox-list">
+          {BIAS_OPTIONS.map(option => (
+            <label key={option.value} className="checkbox-item">
+              <input
+                type="checkbox"
+                checked={selectedBias.includes(option.value)}
+                onChange={() => handleBiasChange(option.value)}
+              />
+              {option.label}
+            </label>
+          ))}
+        </div>
+      </div>
+
+      {/* Saved Preferences */}
+      {onSavePreferences && (
+        <div className="filter-section">
+          <h3>My Defaults</h3>
+          <div className="checkbox-list">
+            <label className="checkbox-item">
+              <input
+                type="checkbox"
+                checked={filters.region !== 'international'}
+                onChange={handleIndianNewsChange}
+              />
+              Include Indian outlets
+            </label>
+          </div>
+          <button className="save-defaults-btn" onClick={handleSaveDefaults}>
+            Save current filters as default
+          </button>
+          {saveMessage && <p className="save-message">{saveMessage}</p>}
+        </div>
+      )}
+
       {/* Legend */}
       <div className="filter-section legend">
         <h3>Score Legend</h3>
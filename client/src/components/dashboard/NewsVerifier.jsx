@@ -115,6 +115,25 @@ const NewsVerifier = ({ isOpen, onClose }) => {
             </div>
           )}
 
+          {result.satire && (
+            <div className="satire-compact">
+              🎭 {result.satire.sourceFlagged ? 'Published by a satire outlet' : 'Reads as satire'}
+              {result.satire.confidence != null && ` (${result.satire.confidence}% confidence)`}
+            </div>
+          )}
+
+          {result.recycled && (
+            <div className="recycled-compact">
+              <div className="recycled-label">
+                ⏳ Matches a story from {new Date(result.recycled.publishedAt).toLocaleDateString()}
+                {result.recycled.source && ` (${result.recycled.source})`}
+              </div>
+              <a href={result.recycled.url} target="_blank" rel="noopener noreferrer" className="recycled-link">
+                {result.recycled.title || result.recycled.url}
+              </a>
+            </div>
+          )}
+
           {result.source && (
             <div className="source-info-compact">
               <strong>Source:</strong> {result.source}
@@ -0,0 +1,142 @@
+import React, { useState } from 'react';
+import { useSavedArticles } from '../../hooks/useLibrary';
+import libraryService from '../../services/libraryService';
+import ArticleCard from './ArticleCard';
+
+const SavedItemControls = ({ article, folders, onChange }) => {
+  const [folder, setFolder] = useState(article.userState?.folder || 'Reading List');
+  const [tags, setTags] = useState((article.userState?.tags || []).join(', '));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      await libraryService.saveArticle(article._id, { folder, tags });
+      onChange();
+    } catch (err) {
+      console.error('Failed to update saved article:', err);
+    }
+  };
+
+  return (
+    <form className="saved-item-controls" onSubmit={handleSubmit}>
+      <input
+        type="text"
+        list="saved-folders"
+        value={folder}
+        onChange={(e) => setFolder(e.target.value)}
+        placeholder="Folder"
+        title="Folder"
+      />
+      <input
+        type="text"
+        value={tags}
+        onChange={(e) => setTags(e.target.value)}
+        placeholder="Tags (comma separated)"
+        title="Tags"
+      />
+      <button type="submit">Update</button>
+      <datalist id="saved-folders">
+        {folders.map(f => <option key={f.name} value={f.name} />)}
+      </datalist>
+    </form>
+  );
+};
+
+const SavedArticles = ({ folders, tags, onLibraryChange }) => {
+  const [folder, setFolder] = useState('');
+  const [tag, setTag] = useState('');
+  const { articles, loading, error, pagination, setPage, refresh } = useSavedArticles({ folder, tag });
+
+  const handleChange = () => {
+    refresh();
+    onLibraryChange();
+  };
+
+  const handleUserStateChange = (id, userState) => {
+    // Unsaving from this view removes the card
+    if (!userState.saved) handleChange();
+  };
+
+  return (
+    <>
+      <div className="feed-header">
+        <h2>
+          Saved Articles
+          {folder && ` - ${folder}`}
+          {tag && ` #${tag}`}
+        </h2>
+        <button onClick={refresh} className="refresh-btn">Refresh</button>
+      </div>
+
+      <div className="saved-filters">
+        <button
+          className={`saved-filter ${folder === '' ? 'active' : ''}`}
+          onClick={() => setFolder('')}
+        >
+          All
+        </button>
+        {folders.map(f => (
+          <button
+            key={f.name}
+            className={`saved-filter ${folder === f.name ? 'active' : ''}`}
+            onClick={() => setFolder(folder === f.name ? '' : f.name)}
+          >
+            {f.name} ({f.count})
+          </button>
+        ))}
+        {tags.length > 0 && <span className="separator">•</span>}
+        {tags.map(t => (
+          <button
+            key={t}
+            className={`saved-filter saved-tag ${tag === t ? 'active' : ''}`}
+            onClick={() => setTag(tag === t ? '' : t)}
+          >
+            #{t}
+          </button>
+        ))}
+      </div>
+
+      {loading && <div className="loading">Loading saved articles...</div>}
+      {error && <div className="error">{error}</div>}
+
+      {!loading && !error && (
+        <>
+          {articles.length === 0 ? (
+            <div className="no-articles">
+              <p>No saved articles yet. Use "Save" on any article to add it here.</p>
+            </div>
+          ) : (
+            <div className="articles-grid">
+              {articles.map(article => (
+                <div key={article._id} className="saved-item">
+                  <ArticleCard article={article} onUserStateChange={handleUserStateChange} />
+                  <SavedItemControls article={article} folders={folders} onChange={handleChange} />
+                </div>
+              ))}
+            </div>
+          )}
+
+          {pagination.pages > 1 && (
+            <div className="pagination">
+              <button
+                onClick={() => setPage(pagination.page - 1)}
+                disabled={pagination.page <= 1}
+              >
+                Previous
+              </button>
+              <span>Page {pagination.page} of {pagination.pages}</span>
+              <button
+                onClick={() => setPage(pagination.page + 1)}
+                disabled={pagination.page >= pagination.pages}
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </>
+  );
+};
+
+export default SavedArticles;
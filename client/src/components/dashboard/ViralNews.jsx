@@ -1,9 +1,87 @@
 import React, { useState } from 'react';
-import { useTrendingViral, useFakeNews } from '../../hooks/useViralNews';
+import { useTrendingViral, useFakeNews, useViralStory } from '../../hooks/useViralNews';
 import '../../styles/ViralNews.css';
 
+const ORIGIN_TYPES = {
+  news: 'News outlet',
+  social_media: 'Social media',
+  official: 'Official source',
+  blog: 'Blog',
+  unknown: 'Unknown'
+};
+
+const formatOffset = (hours) => {
+  const sign = hours < 0 ? '-' : '+';
+  const abs = Math.abs(hours);
+  if (abs < 1) return `${sign}${Math.round(abs * 60)}m`;
+  if (abs < 48) return `${sign}${Math.round(abs)}h`;
+  return `${sign}${Math.round(abs / 24)}d`;
+};
+
+/**
+ * Origin and spread timeline of one story, with each step's wording diff
+ */
+const SpreadTimeline = ({ storyId, onBack }) => {
+  const { story, loading, error } = useViralStory(storyId);
+  const timeline = story?.spreadTimeline || [];
+  const origin = story?.origin?.firstSource;
+  const originStep = timeline.find(step => step.isOrigin);
+
+  return (
+    <div className="spread-timeline">
+      <button className="timeline-back" onClick={onBack}>← Back</button>
+
+      {loading || !story ? (
+        error ? <p className="timeline-empty">{error}</p> : <p className="timeline-empty">Loading timeline...</p>
+      ) : (
+        <>
+          <h4 className="timeline-title">{story.title}</h4>
+
+          {origin?.name ? (
+            <div className="timeline-origin">
+              <span className="origin-label">Credible origin</span>
+              <a href={origin.url} target="_blank" rel="noopener noreferrer">{origin.name}</a>
+              <span className="meta-item">{ORIGIN_TYPES[origin.type] || origin.type}</span>
+              {originStep && (
+                <span className="meta-item">{new Date(originStep.timestamp).toLocaleString()}</span>
+              )}
+            </div>
+          ) : null}
+
+          {timeline.length === 0 ? (
+            <p className="timeline-empty">The origin of this story hasn't been traced yet.</p>
+          ) : (
+            <ol className="timeline-steps">
+              {timeline.map((step, index) => (
+                <li key={step._id || index} className={`timeline-step ${step.isOrigin ? 'origin' : ''} ${step.preOrigin ? 'pre-origin' : ''}`}>
+                  <div className="step-time">{step.isOrigin ? 'Origin' : formatOffset(step.hoursFromOrigin)}</div>
+                  <div className="step-body">
+                    <div className="step-source">
+                      <a href={step.url} target="_blank" rel="noopener noreferrer">{step.source}</a>
+                      {step.type === 'social_media' && <span className="step-type">X</span>}
+                      {step.preOrigin && <span className="step-type">Before origin</span>}
+                      {step.derivedFrom && <span className="meta-item">from {step.derivedFrom}</span>}
+                    </div>
+                    <p className="step-text">
+                      {(step.diff || []).map((part, i) => (
+                        <span key={i} className={`diff-${part.op}`}>{part.text} </span>
+                      ))}
+                    </p>
+                    {!step.isOrigin && <span className="step-change">{step.modification}</span>}
+                  </div>
+                </li>
+              ))}
+            </ol>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
 const ViralNews = ({ isOpen, onClose, initialSection = 'trending' }) => {
   const [activeSection, setActiveSection] = useState(initialSection);
+  const [selectedStory, setSelectedStory] = useState(null);
   const { stories: trending, loading: trendingLoading } = useTrendingViral(10);
   const { stories: fakeNews, loading: fakeLoading } = useFakeNews(10);
 
@@ -13,6 +91,7 @@ const ViralNews = ({ isOpen, onClose, initialSection = 'trending' }) => {
       verified_false: { label: 'False', class: 'false' },
       partially_true: { label: 'Partial', class: 'partial' },
       misleading: { label: 'Misleading', class: 'misleading' },
+      satire: { label: 'Satire', class: 'satire' },
       unverified: { label: 'Checking', class: 'checking' },
       under_review: { label: 'Reviewing', class: 'reviewing' }
     };
@@ -53,14 +132,14 @@ const ViralNews = ({ isOpen, onClose, initialSection = 'trending' }) => {
         <div className="viral-nav">
         <button
           className={`viral-nav-item ${activeSection === 'trending' ? 'active' : ''}`}
-          onClick={() => setActiveSection('trending')}
+          onClick={() => { setActiveSection('trending'); setSelectedStory(null); }}
         >
           <span className="nav-indicator trending-pulse"></span>
           TRENDING
         </button>
         <button
           className={`viral-nav-item ${activeSection === 'fakes' ? 'active' : ''}`}
-          onClick={() => setActiveSection('fakes')}
+          onClick={() => { setActiveSection('fakes'); setSelectedStory(null); }}
         >
           <span className="nav-indicator alert-pulse"></span>
           VIRAL FAKES
@@ -69,7 +148,9 @@ const ViralNews = ({ isOpen, onClose, initialSection = 'trending' }) => {
 
       {/* Content Area */}
       <div className="viral-content-area">
-        {loading ? (
+        {selectedStory ? (
+          <SpreadTimeline storyId={selectedStory} onBack={() => setSelectedStory(null)} />
+        ) : loading ? (
           <div className="viral-loading-horizontal">
             {[1, 2, 3].map(i => (
               <div key={i} className="skeleton-item-horizontal">
@@ -97,6 +178,8 @@ const ViralNews = ({ isOpen, onClose, initialSection = 'trending' }) => {
                     key={story._id}
                     className="viral-story-item"
                     style={{ animationDelay: `${index * 0.05}s` }}
+                    onClick={() => setSelectedStory(story._id)}
+                    title="Show how this story spread"
                   >
                     <div className="story-rank">{index + 1}</div>
                     <div className="story-content">
@@ -125,6 +208,8 @@ const ViralNews = ({ isOpen, onClose, initialSection = 'trending' }) => {
                     key={story._id}
                     className="viral-story-item fake-item"
                     style={{ animationDelay: `${index * 0.05}s` }}
+                    onClick={() => setSelectedStory(story._id)}
+                    title="Show how this story spread"
                   >
                     <div className="fake-indicator">⚠</div>
                     <div className="story-content">
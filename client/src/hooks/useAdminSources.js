@@ -0,0 +1,82 @@
+import { useState, useEffect, useCallback } from 'react';
+import adminService from '../services/adminService';
+
+/**
+ * Hook for the admin source list
+ */
+export const useAdminSources = ({ search = '', enabled = 'all', kind = '', sortBy = 'name' } = {}) => {
+  const [sources, setSources] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [version, setVersion] = useState(0);
+
+  useEffect(() => {
+    const fetchSources = async () => {
+      setLoading(true);
+      setError(null);
+
+      try {
+        const params = { enabled, sortBy };
+        if (search) params.search = search;
+        if (kind) params.kind = kind;
+
+        const response = await adminService.getSources(params);
+        if (response.success) {
+          setSources(response.data);
+        }
+      } catch (err) {
+        setError(err.response?.data?.message || 'Failed to fetch sources');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchSources();
+  }, [search, enabled, kind, sortBy, version]);
+
+  const refresh = useCallback(() => {
+    setVersion(v => v + 1);
+  }, []);
+
+  return { sources, loading, error, refresh };
+};
+
+/**
+ * Hook for one source with its rating history
+ */
+export const useAdminSource = (id) => {
+  const [source, setSource] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [version, setVersion] = useState(0);
+
+  useEffect(() => {
+    if (!id) return;
+
+    const fetchSource = async () => {
+      setLoading(true);
+      setError(null);
+
+      try {
+        const response = await adminService.getSource(id);
+        if (response.success) {
+          setSource(response.data);
+        }
+      } catch (err) {
+        setError(err.response?.data?.message || 'Failed to fetch source');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchSource();
+  }, [id, version]);
+
+  const refresh = useCallback(() => {
+    setVersion(v => v + 1);
+  }, []);
+
+  return { source: id ? source : null, loading, error, refresh };
+};
+
+export default useAdminSources;
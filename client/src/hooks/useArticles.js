@@ -1,5 +1,24 @@
 import { useState, useEffect, useCallback } from 'react';
 import articleService from '../services/articleService';
+import authService from '../services/authService';
+
+// Map saved preferences onto article list filters
+const preferencesToFilters = (preferences) => ({
+  category: preferences.defaultCategory || '',
+  minScore: preferences.minScore || 0,
+  bias: (preferences.biasFilter || []).join(','),
+  excludeSources: (preferences.mutedSources || []).join(','),
+  region: preferences.showIndianNews === false ? 'international' : ''
+});
+
+// Article filter fed by each saved preference
+const PREFERENCE_FILTERS = {
+  defaultCategory: 'category',
+  minScore: 'minScore',
+  biasFilter: 'bias',
+  mutedSources: 'excludeSources',
+  showIndianNews: 'region'
+};
 
 export const useArticles = (initialFilters = {}) => {
   const [articles, setArticles] = useState([]);
@@ -19,8 +38,34 @@ export const useArticles = (initialFilters = {}) => {
     search: '',
     sortBy: 'publishedAt',
     sortOrder: 'desc',
+    bias: '',
+    excludeSources: '',
+    region: '',
     ...initialFilters
   });
+  const [preferences, setPreferences] = useState(null);
+  const [preferencesLoaded, setPreferencesLoaded] = useState(!authService.isAuthenticated());
+
+  // Start from the user's saved defaults
+  useEffect(() => {
+    if (preferencesLoaded) return;
+
+    const loadPreferences = async () => {
+      try {
+        const response = await authService.getPreferences();
+        if (response.success) {
+          setPreferences(response.data);
+          setFilters(prev => ({ ...prev, ...preferencesToFilters(response.data) }));
+        }
+      } catch (err) {
+        console.error('Failed to load preferences:', err);
+      } finally {
+        setPreferencesLoaded(true);
+      }
+    };
+
+    loadPreferences();
+  }, [preferencesLoaded]);
 
   const fetchArticles = useCallback(async () => {
     setLoading(true);
@@ -57,8 +102,10 @@ export const useArticles = (initialFilters = {}) => {
   }, [filters, pagination.page, pagination.limit]);
 
   useEffect(() => {
-    fetchArticles();
-  }, [fetchArticles]);
+    if (preferencesLoaded) {
+      fetchArticles();
+    }
+  }, [fetchArticles, preferencesLoaded]);
 
   const updateFilters = (newFilters) => {
     setFilters(prev => ({ ...prev, ...newFilters }));
@@ -73,6 +120,24 @@ export const useArticles = (initialFilters = {}) => {
     fetchArticles();
   };
 
+  // Save preference changes; only the filters fed by changed preferences are
+  // updated, so unsaved filter edits survive e.g. muting a source
+  const savePreferences = async (changes) => {
+    const response = await authService.updatePreferences(changes);
+    if (response.success) {
+      setPreferences(response.data);
+      const saved = preferencesToFilters(response.data);
+      const changedFilters = {};
+      for (const [preference, filter] of Object.entries(PREFERENCE_FILTERS)) {
+        if (preference in changes) changedFilters[filter] = saved[filter];
+      }
+      if (Object.keys(changedFilters).length > 0) {
+        updateFilters(changedFilters);
+      }
+    }
+    return response;
+  };
+
   return {
     articles,
     loading,
@@ -81,7 +146,9 @@ export const useArticles = (initialFilters = {}) => {
     filters,
     updateFilters,
     setPage,
-    refresh
+    refresh,
+    preferences,
+    savePreferences
   };
 };
 
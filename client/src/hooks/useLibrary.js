@@ -0,0 +1,87 @@
+import { useState, useEffect, useCallback } from 'react';
+import libraryService from '../services/libraryService';
+
+/**
+ * Hook for the signed-in user's saved articles
+ */
+export const useSavedArticles = ({ folder = '', tag = '' } = {}) => {
+  const [articles, setArticles] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [pagination, setPagination] = useState({
+    page: 1,
+    limit: 20,
+    total: 0,
+    pages: 0
+  });
+
+  const fetchSaved = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const params = { page: pagination.page, limit: pagination.limit };
+      if (folder) params.folder = folder;
+      if (tag) params.tag = tag;
+
+      const response = await libraryService.getSaved(params);
+
+      if (response.success) {
+        setArticles(response.data);
+        setPagination(prev => ({
+          ...prev,
+          ...response.pagination
+        }));
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to fetch saved articles');
+    } finally {
+      setLoading(false);
+    }
+  }, [folder, tag, pagination.page, pagination.limit]);
+
+  useEffect(() => {
+    fetchSaved();
+  }, [fetchSaved]);
+
+  const setPage = (page) => {
+    setPagination(prev => ({ ...prev, page }));
+  };
+
+  return { articles, loading, error, pagination, setPage, refresh: fetchSaved };
+};
+
+/**
+ * Hook for reading list folders and tags
+ */
+export const useLibraryFolders = () => {
+  const [folders, setFolders] = useState([]);
+  const [tags, setTags] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [version, setVersion] = useState(0);
+
+  useEffect(() => {
+    const fetchFolders = async () => {
+      try {
+        const response = await libraryService.getFolders();
+        if (response.success) {
+          setFolders(response.data.folders);
+          setTags(response.data.tags);
+          setTotal(response.data.total);
+        }
+      } catch (err) {
+        console.error('Failed to fetch folders:', err);
+      }
+    };
+
+    fetchFolders();
+  }, [version]);
+
+  const refresh = useCallback(() => {
+    setVersion(v => v + 1);
+  }, []);
+
+  return { folders, tags, total, refresh };
+};
+
+export default useSavedArticles;
@@ -4,6 +4,7 @@ import {
   getFakeNews,
   getVerifiedNews,
   getUnverifiedNews,
+  getViralStory,
   getViralStats
 } from '../services/viralService';
 
@@ -65,6 +66,38 @@ export const useFakeNews = (limit = 5) => {
   return { stories, loading, error, refresh: fetchStories };
 };
 
+/**
+ * Hook for one viral story (with origin and spread timeline)
+ */
+export const useViralStory = (id) => {
+  const [story, setStory] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!id) return;
+
+    const fetchStory = async () => {
+      setLoading(true);
+      setError(null);
+
+      try {
+        const response = await getViralStory(id);
+        setStory(response.data);
+      } catch (err) {
+        setError(err.response?.data?.message || 'Failed to fetch story');
+        setStory(null);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchStory();
+  }, [id]);
+
+  return { story: id ? story : null, loading, error };
+};
+
 /**
  * Hook for viral news statistics
  */
@@ -97,5 +130,6 @@ export const useViralStats = () => {
 export default {
   useTrendingViral,
   useFakeNews,
+  useViralStory,
   useViralStats
 };
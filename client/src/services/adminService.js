@@ -0,0 +1,41 @@
+import api from './api';
+
+const adminService = {
+  // List sources (enabled: 'all' | 'true' | 'false', kind, search, sortBy)
+  getSources: async (params = {}) => {
+    const response = await api.get('/admin/sources', { params });
+    return response.data;
+  },
+
+  // Get a source with its recent rating history
+  getSource: async (id) => {
+    const response = await api.get(`/admin/sources/${id}`);
+    return response.data;
+  },
+
+  // Create a source
+  createSource: async (data) => {
+    const response = await api.post('/admin/sources', data);
+    return response.data;
+  },
+
+  // Update a source (rating, bias, factual reporting, enabled flag, fetch frequency)
+  updateSource: async (id, data) => {
+    const response = await api.put(`/admin/sources/${id}`, data);
+    return response.data;
+  },
+
+  // Delete a source
+  deleteSource: async (id) => {
+    const response = await api.delete(`/admin/sources/${id}`);
+    return response.data;
+  },
+
+  // Get the full rating history of a source
+  getSourceHistory: async (id, params = {}) => {
+    const response = await api.get(`/admin/sources/${id}/history`, { params });
+    return response.data;
+  }
+};
+
+export default adminService;
@@ -51,6 +51,18 @@ const authService = {
     return response.data;
   },
 
+  // Get saved feed/dashboard preferences
+  getPreferences: async () => {
+    const response = await api.get('/auth/me/preferences');
+    return response.data;
+  },
+
+  // Update saved preferences (partial update)
+  updatePreferences: async (preferences) => {
+    const response = await api.put('/auth/me/preferences', preferences);
+    return response.data;
+  },
+
   // Check if user is authenticated
   isAuthenticated: () => {
     return !!localStorage.getItem('token');
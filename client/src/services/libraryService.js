@@ -0,0 +1,47 @@
+import api from './api';
+
+const libraryService = {
+  // Save article (optionally into a folder with tags)
+  saveArticle: async (id, { folder, tags, note } = {}) => {
+    const response = await api.post(`/articles/${id}/save`, { folder, tags, note });
+    return response.data;
+  },
+
+  // Remove article from saved list
+  unsaveArticle: async (id) => {
+    const response = await api.delete(`/articles/${id}/save`);
+    return response.data;
+  },
+
+  // Mark article as read
+  markAsRead: async (id) => {
+    const response = await api.post(`/articles/${id}/read`);
+    return response.data;
+  },
+
+  // Mark article as unread
+  markAsUnread: async (id) => {
+    const response = await api.delete(`/articles/${id}/read`);
+    return response.data;
+  },
+
+  // Get saved articles (filter by folder or tag)
+  getSaved: async (params = {}) => {
+    const response = await api.get('/library/saved', { params });
+    return response.data;
+  },
+
+  // Get folders and tags
+  getFolders: async () => {
+    const response = await api.get('/library/folders');
+    return response.data;
+  },
+
+  // Get read history
+  getHistory: async (params = {}) => {
+    const response = await api.get('/library/history', { params });
+    return response.data;
+  }
+};
+
+export default libraryService;
@@ -29,6 +29,12 @@ export const getUnverifiedNews = async (limit = 10) => {
   return response.data;
 };
 
+// Get one viral story with its spread timeline
+export const getViralStory = async (id) => {
+  const response = await api.get(`/viral/${id}`);
+  return response.data;
+};
+
 // Get viral news stats
 export const getViralStats = async () => {
   const response = await api.get('/viral/stats');
@@ -58,6 +64,7 @@ export default {
   getFakeNews,
   getVerifiedNews,
   getUnverifiedNews,
+  getViralStory,
   getViralStats,
   analyzeText,
   getFactCheckers,
@@ -9,16 +9,27 @@ const authRoutes = require('./routes/auth');
 const articleRoutes = require('./routes/articles');
 const viralRoutes = require('./routes/viral');
 const verificationRoutes = require('./routes/verification');
+const adminRoutes = require('./routes/admin');
+const libraryRoutes = require('./routes/library');
+const curationRoutes = require('./routes/curation');
 
 const app = express();
 
+// Bulk imports take larger bodies, parsed by their routes once the admin check has passed
+const BULK_IMPORT_PATHS = ['/api/admin/sources/import', '/api/admin/fact-checks/import'];
+const parseJson = express.json();
+
 // Middleware
 app.use(helmet()); // Security headers
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:5173',
   credentials: true
 }));
-app.use(express.json()); // Parse JSON bodies
+// Parse JSON bodies (bulk imports are parsed by their routes)
+app.use((req, res, next) => {
+  if (BULK_IMPORT_PATHS.includes(req.path)) return next();
+  return parseJson(req, res, next);
+});
 app.use(express.urlencoded({ extended: true })); // Parse URL-encoded bodies
 
 // Logging middleware
@@ -40,6 +51,9 @@ app.use('/api/auth', authRoutes);
 app.use('/api/articles', articleRoutes);
 app.use('/api/viral', viralRoutes);
 app.use('/api/verification', verificationRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/library', libraryRoutes);
+app.use('/api/curation', curationRoutes);
 
 // 404 handler
 app.use((req, res) => {
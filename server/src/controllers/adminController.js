@@ -0,0 +1,339 @@
+/**
+ * Admin Controller
+ * Handles scoring profile management and article reprocessing
+ */
+
+const ScoringProfile = require('../models/ScoringProfile');
+const User = require('../models/User');
+const CredibilityChange = require('../models/CredibilityChange');
+const logger = require('../utils/logger');
+const { reprocessAllArticles, clearProfileCache } = require('../services/filterPipeline');
+const { simulateScoring } = require('../services/scoringSimulator');
+const { refreshSourceStats } = require('../services/credibilityService');
+const { adjustSourceCredibility } = require('../services/credibilityAdjuster');
+
+// @desc    List scoring profiles
+// @route   GET /api/admin/scoring-profiles
+// @access  Private/Admin
+const getScoringProfiles = async (req, res) => {
+  try {
+    // Make sure the default profile exists before listing
+    await ScoringProfile.getActive();
+
+    const profiles = await ScoringProfile.find()
+      .sort({ version: -1 })
+      .populate('createdBy', 'name email');
+
+    res.status(200).json({
+      success: true,
+      data: profiles
+    });
+  } catch (error) {
+    logger.error('Error fetching scoring profiles:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching scoring profiles',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create a scoring profile (inactive until activated)
+// @route   POST /api/admin/scoring-profiles
+// @access  Private/Admin
+const createScoringProfile = async (req, res) => {
+  try {
+    const { name, description, weights, thresholds } = req.body;
+
+    if (!name || !weights) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a name and weights'
+      });
+    }
+
+    const profile = new ScoringProfile({
+      name,
+      description,
+      weights,
+      thresholds,
+      version: await ScoringProfile.nextVersion(),
+      createdBy: req.user._id
+    });
+
+    try {
+      await profile.validate();
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid scoring profile',
+        error: validationError.message
+      });
+    }
+
+    await profile.save();
+    logger.info(`Scoring profile v${profile.version} "${profile.name}" created by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      data: profile
+    });
+  } catch (error) {
+    logger.error('Error creating scoring profile:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating scoring profile',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Activate a scoring profile for newly processed articles
+// @route   PUT /api/admin/scoring-profiles/:id/activate
+// @access  Private/Admin
+const activateScoringProfile = async (req, res) => {
+  try {
+    const profile = await ScoringProfile.findById(req.params.id);
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scoring profile not found'
+      });
+    }
+
+    await profile.activate();
+    clearProfileCache();
+    logger.info(`Scoring profile v${profile.version} "${profile.name}" activated by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: `Scoring profile v${profile.version} is now active`,
+      data: profile
+    });
+  } catch (error) {
+    logger.error('Error activating scoring profile:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error activating scoring profile',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Rescore stored articles under a scoring profile
+// @route   POST /api/admin/articles/reprocess
+// @access  Private/Admin
+const reprocessArticles = async (req, res) => {
+  try {
+    const { profileId, from, to, rescoreOnly = true } = req.body;
+
+    let profile;
+    if (profileId) {
+      profile = await ScoringProfile.findById(profileId);
+      if (!profile) {
+        return res.status(404).json({
+          success: false,
+          message: 'Scoring profile not found'
+        });
+      }
+    }
+
+    for (const date of [from, to]) {
+      if (date && isNaN(new Date(date).getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid date: ${date}`
+        });
+      }
+    }
+
+    const results = await reprocessAllArticles({ profile, from, to, rescoreOnly });
+
+    res.status(200).json({
+      success: true,
+      message: `Reprocessed ${results.processed} articles, ${results.changed} changed status`,
+      data: results
+    });
+  } catch (error) {
+    logger.error('Error reprocessing articles:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error reprocessing articles',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Dry-run a proposed scoring config against a sample of stored articles
+// @route   POST /api/admin/scoring-profiles/simulate
+// @access  Private/Admin
+const simulateScoringProfile = async (req, res) => {
+  try {
+    const { profileId, weights, thresholds, keywords, sampleSize, from, to, source } = req.body;
+
+    const report = await simulateScoring(
+      { profileId, weights, thresholds, keywords },
+      { sampleSize, from, to, source }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Error simulating scoring profile:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error simulating scoring profile',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Change a user's role (user, curator, admin)
+// @route   PUT /api/admin/users/:id/role
+// @access  Private/Admin
+const updateUserRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+    const roles = User.schema.path('role').enumValues;
+
+    if (!roles.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${roles.join(', ')}`
+      });
+    }
+
+    if (req.user._id.toString() === req.params.id && role !== 'admin') {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot remove your own admin role'
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { role },
+      { new: true, runValidators: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    logger.info(`User ${user.email} role set to ${role} by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        _id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role
+      }
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+    logger.error('Error updating user role:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating user role',
+      error: error.message
+    });
+  }
+};
+
+// @desc    List credibility score changes (audit log)
+// @route   GET /api/admin/credibility-changes
+// @access  Private/Admin
+const getCredibilityChanges = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, source, kind } = req.query;
+
+    const query = {};
+    if (source) query.sourceName = source;
+    if (kind) query.kind = kind;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [changes, total] = await Promise.all([
+      CredibilityChange.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate('changedBy', 'name email'),
+      CredibilityChange.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: changes,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching credibility changes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching credibility changes',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Refresh source stats and run the credibility adjuster
+// @route   POST /api/admin/credibility/adjust
+// @access  Private/Admin
+const runCredibilityAdjustment = async (req, res) => {
+  try {
+    const { dryRun = false } = req.body || {};
+
+    await refreshSourceStats();
+    const results = await adjustSourceCredibility({ dryRun });
+
+    res.status(200).json({
+      success: true,
+      message: `${dryRun ? 'Would adjust' : 'Adjusted'} ${results.adjusted} of ${results.checked} sources`,
+      data: results
+    });
+  } catch (error) {
+    logger.error('Error running credibility adjustment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error running credibility adjustment',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getScoringProfiles,
+  createScoringProfile,
+  activateScoringProfile,
+  simulateScoringProfile,
+  reprocessArticles,
+  updateUserRole,
+  getCredibilityChanges,
+  runCredibilityAdjustment
+};
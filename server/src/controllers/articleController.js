@@ -1,11 +1,27 @@
 const Article = require('../models/Article');
 const Category = require('../models/Category');
 const Source = require('../models/Source');
+const Story = require('../models/Story');
 const logger = require('../utils/logger');
 const { cache } = require('../config/redis');
 const { search } = require('../config/elasticsearch');
 const xAggregator = require('../services/xAggregator');
 const { fetchAndStoreIndianNews } = require('../services/newsAggregator');
+const { findCollapsedArticles, attachSyndication } = require('../services/duplicateDetector');
+const { recordInteraction } = require('../services/engagementService');
+const { attachUserState } = require('../services/readingList');
+const { getPersonalizedFeed } = require('../services/feedRanker');
+
+// Indian outlets (used by the India endpoints and the region filter)
+const INDIAN_SOURCE_NAMES = [
+  'The Hindu', 'The Indian Express', 'Hindustan Times', 'India Today',
+  'NDTV', 'Times of India', 'The Economic Times', 'Business Standard',
+  'LiveMint', 'The Wire', 'Scroll.in', 'The Quint', 'The Print',
+  'News18', 'Zee News', 'Republic World', 'ABP News', 'Aaj Tak',
+  'Firstpost', 'Deccan Herald', 'The Telegraph India', 'The New Indian Express',
+  'Outlook India', 'Frontline', 'Caravan Magazine', 'PTI', 'ANI',
+  'Moneycontrol', 'Financial Express', 'CNBC TV18', 'Alt News', 'Boom Live'
+];
 
 // @desc    Get all articles with filtering
 // @route   GET /api/articles
@@ -23,12 +39,20 @@ const getArticles = async (req, res) => {
       startDate,
       endDate,
       sortBy = 'publishedAt',
-      sortOrder = 'desc'
+      sortOrder = 'desc',
+      collapse = 'true',
+      bias,
+      excludeSources,
+      region
     } = req.query;
 
     // Build query
     const query = { isActive: true };
 
+    // Collapse syndicated copies to one article per story. A source filter
+    // asks for that outlet's own feed, including the copies it syndicated
+    const collapseDuplicates = collapse !== 'false' && !source;
+
     // Filter by curation status
     if (status && status !== 'all') {
       query['curation.status'] = status;
@@ -47,9 +71,21 @@ const getArticles = async (req, res) => {
       }
     }
 
-    // Filter by source
+    // Filter by source (or exclude muted sources and, for region=international, Indian outlets)
+    const excluded = excludeSources ? excludeSources.split(',').map(s => s.trim()).filter(Boolean) : [];
+    if (region === 'international') {
+      excluded.push(...INDIAN_SOURCE_NAMES);
+    }
+
     if (source) {
       query['source.name'] = source;
+    } else if (excluded.length > 0) {
+      query['source.name'] = { $nin: excluded };
+    }
+
+    // Filter by bias rating (comma-separated list)
+    if (bias) {
+      query['filteringMetadata.credibility.biasRating'] = { $in: bias.split(',') };
     }
 
     // Filter by date range
@@ -71,18 +107,30 @@ const getArticles = async (req, res) => {
     const sort = { [sortBy]: sortOrder === 'asc' ? 1 : -1 };
 
     // Execute query
-    const [articles, total] = await Promise.all([
-      Article.find(query)
-        .sort(sort)
-        .skip(skip)
-        .limit(parseInt(limit))
-        .populate('categories', 'name slug color icon'),
-      Article.countDocuments(query)
-    ]);
+    let articles;
+    let total;
+    if (collapseDuplicates) {
+      ({ articles, total } = await findCollapsedArticles(query, { sort, skip, limit: parseInt(limit) }));
+      await Article.populate(articles, { path: 'categories', select: 'name slug color icon' });
+    } else {
+      [articles, total] = await Promise.all([
+        Article.find(query)
+          .sort(sort)
+          .skip(skip)
+          .limit(parseInt(limit))
+          .populate('categories', 'name slug color icon'),
+        Article.countDocuments(query)
+      ]);
+    }
+
+    let data = collapseDuplicates ? await attachSyndication(articles) : articles;
+    if (req.user) {
+      data = await attachUserState(data, req.user._id);
+    }
 
     res.status(200).json({
       success: true,
-      data: articles,
+      data,
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -116,9 +164,10 @@ const getArticle = async (req, res) => {
       });
     }
 
-    // Increment view count
+    // Increment view count and record the view for engagement scoring
     article.interactions.views += 1;
     await article.save();
+    await recordInteraction(article._id, 'view', req);
 
     res.status(200).json({
       success: true,
@@ -134,26 +183,123 @@ const getArticle = async (req, res) => {
   }
 };
 
+// @desc    Record a share of an article
+// @route   POST /api/articles/:id/share
+// @access  Public
+const shareArticle = async (req, res) => {
+  try {
+    const article = await Article.findById(req.params.id).select('_id');
+
+    if (!article) {
+      return res.status(404).json({
+        success: false,
+        message: 'Article not found'
+      });
+    }
+
+    await Article.updateOne({ _id: article._id }, { $inc: { 'interactions.shares': 1 } });
+    await recordInteraction(article._id, 'share', req);
+
+    res.status(200).json({
+      success: true,
+      message: 'Share recorded'
+    });
+  } catch (error) {
+    logger.error('Error recording share:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error recording share',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get personalized "For You" feed
+// @route   GET /api/articles/for-you
+// @access  Private
+const getForYouArticles = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const feed = await getPersonalizedFeed(req.user, { page, limit });
+    const articles = await attachUserState(feed.articles, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: articles,
+      profile: feed.profile,
+      pagination: {
+        page: feed.page,
+        limit: feed.limit,
+        total: feed.total,
+        pages: Math.ceil(feed.total / feed.limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching personalized feed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching personalized feed',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Get trending articles
 // @route   GET /api/articles/trending
 // @access  Public
 const getTrendingArticles = async (req, res) => {
   try {
     const { limit = 10 } = req.query;
+    const max = parseInt(limit);
 
     // Get articles from last 24 hours with high scores
     const oneDayAgo = new Date();
     oneDayAgo.setDate(oneDayAgo.getDate() - 1);
 
-    const articles = await Article.find({
+    const baseQuery = {
       isActive: true,
       'curation.status': 'approved',
       publishedAt: { $gte: oneDayAgo },
       'filteringMetadata.overallScore': { $gte: 60 }
-    })
-      .sort({ 'interactions.views': -1, 'filteringMetadata.overallScore': -1 })
-      .limit(parseInt(limit))
-      .populate('categories', 'name slug color');
+    };
+
+    // One lead article per story, most widely covered stories first
+    const stories = await Story.getTrending({ since: oneDayAgo, limit: max });
+    const articles = [];
+
+    for (const story of stories) {
+      const lead = await Article.findOne({ ...baseQuery, story: story._id })
+        .sort({ 'filteringMetadata.overallScore': -1 })
+        .populate('categories', 'name slug color');
+
+      if (lead) {
+        articles.push({
+          ...lead.toObject(),
+          story: {
+            _id: story._id,
+            title: story.title,
+            keywords: story.keywords,
+            sourceCount: story.sourceCount,
+            articleCount: story.articleCount
+          }
+        });
+      }
+    }
+
+    // Top up with individually popular articles from stories not already listed
+    if (articles.length < max) {
+      const listed = articles.map(a => a.story._id);
+      const extra = await Article.find({
+        ...baseQuery,
+        story: { $nin: listed }
+      })
+        .sort({ 'interactions.views': -1, 'filteringMetadata.overallScore': -1 })
+        .limit(max - articles.length)
+        .populate('categories', 'name slug color');
+
+      articles.push(...extra);
+    }
 
     res.status(200).json({
       success: true,
@@ -169,6 +315,35 @@ const getTrendingArticles = async (req, res) => {
   }
 };
 
+// @desc    Get active story clusters
+// @route   GET /api/articles/stories
+// @access  Public
+const getStories = async (req, res) => {
+  try {
+    const { limit = 20, minSources = 2, hours = 24 } = req.query;
+
+    const stories = await Story.getTrending({
+      limit: parseInt(limit),
+      minSources: parseInt(minSources),
+      since: new Date(Date.now() - parseInt(hours) * 60 * 60 * 1000)
+    })
+      .select('-centroid')
+      .populate('articles', 'title url source.name publishedAt filteringMetadata.overallScore');
+
+    res.status(200).json({
+      success: true,
+      data: stories
+    });
+  } catch (error) {
+    logger.error('Error fetching stories:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching stories',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Get all categories
 // @route   GET /api/articles/categories
 // @access  Public
@@ -196,7 +371,7 @@ const getCategories = async (req, res) => {
 // @access  Public
 const getSources = async (req, res) => {
   try {
-    const sources = await Source.find({ isEnabled: true })
+    const sources = await Source.find({ isEnabled: true, kind: { $ne: 'aggregator' } })
       .select('name credibilityRating.overallScore credibilityRating.biasRating')
       .sort({ name: 1 });
 
@@ -231,7 +406,7 @@ const getStats = async (req, res) => {
       Article.countDocuments({ isActive: true, 'curation.status': 'approved' }),
       Article.countDocuments({ isActive: true, 'curation.status': 'pending' }),
       Article.countDocuments({ isActive: true, 'curation.status': 'rejected' }),
-      Source.countDocuments({ isEnabled: true }),
+      Source.countDocuments({ isEnabled: true, kind: { $ne: 'aggregator' } }),
       Article.aggregate([
         { $match: { isActive: true } },
         { $group: { _id: null, avgScore: { $avg: '$filteringMetadata.overallScore' } } }
@@ -482,20 +657,10 @@ const getIndianNews = async (req, res) => {
       sortOrder = 'desc'
     } = req.query;
 
-    // Indian news sources list
-    const indianSources = [
-      'The Hindu', 'The Indian Express', 'Hindustan Times', 'India Today',
-      'NDTV', 'Times of India', 'The Economic Times', 'Business Standard',
-      'Mint', 'LiveMint', 'The Wire', 'Scroll.in', 'The Quint', 'The Print',
-      'News18', 'Zee News', 'ABP News', 'Firstpost', 'Deccan Herald',
-      'The Telegraph India', 'The New Indian Express', 'Outlook India',
-      'PTI', 'ANI', 'Moneycontrol', 'CNBC TV18'
-    ];
-
     // Build query for Indian sources
     const query = {
       isActive: true,
-      'source.name': { $in: indianSources }
+      'source.name': { $in: INDIAN_SOURCE_NAMES }
     };
 
     if (minScore > 0) {
@@ -558,7 +723,7 @@ const fetchFreshIndianNews = async (req, res) => {
       });
     }
 
-    const results = await fetchAndStoreIndianNews();
+    const results = await fetchAndStoreIndianNews({ force: true });
 
     // Cache the fetch timestamp for 5 minutes
     await cache.set(cacheKey, new Date().toISOString(), 300);
@@ -583,18 +748,8 @@ const fetchFreshIndianNews = async (req, res) => {
 // @access  Public
 const getIndianSources = async (req, res) => {
   try {
-    const indianSourceNames = [
-      'The Hindu', 'The Indian Express', 'Hindustan Times', 'India Today',
-      'NDTV', 'Times of India', 'The Economic Times', 'Business Standard',
-      'Mint', 'LiveMint', 'The Wire', 'Scroll.in', 'The Quint', 'The Print',
-      'News18', 'Zee News', 'Republic World', 'ABP News', 'Aaj Tak',
-      'Firstpost', 'Deccan Herald', 'The Telegraph India', 'The New Indian Express',
-      'Outlook India', 'Frontline', 'Caravan Magazine', 'PTI', 'ANI',
-      'Moneycontrol', 'Financial Express', 'CNBC TV18', 'Alt News', 'Boom Live'
-    ];
-
     const sources = await Source.find({
-      name: { $in: indianSourceNames },
+      name: { $in: INDIAN_SOURCE_NAMES },
       isEnabled: true
     }).select('name credibilityRating').sort({ 'credibilityRating.overallScore': -1 });
 
@@ -616,7 +771,10 @@ const getIndianSources = async (req, res) => {
 module.exports = {
   getArticles,
   getArticle,
+  shareArticle,
+  getForYouArticles,
   getTrendingArticles,
+  getStories,
   getCategories,
   getSources,
   getStats,
@@ -149,6 +149,75 @@ const getMe = async (req, res) => {
   }
 };
 
+// @desc    Get current user's preferences
+// @route   GET /api/auth/me/preferences
+// @access  Private
+const getPreferences = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id)
+      .select('preferences')
+      .populate('preferences.followedCategories', 'name slug color');
+
+    res.status(200).json({
+      success: true,
+      data: user.preferences
+    });
+  } catch (error) {
+    logger.error('Get preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update current user's preferences
+// @route   PUT /api/auth/me/preferences
+// @access  Private
+const updatePreferences = async (req, res) => {
+  try {
+    const allowed = [
+      'followedCategories', 'followedSources', 'minCredibility',
+      'defaultCategory', 'mutedSources', 'minScore', 'biasFilter',
+      'showIndianNews'
+    ];
+    const update = {};
+
+    for (const field of allowed) {
+      if (req.body[field] !== undefined) {
+        update[`preferences.${field}`] = req.body[field];
+      }
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { $set: update },
+      { new: true, runValidators: true }
+    ).select('preferences');
+
+    res.status(200).json({
+      success: true,
+      data: user.preferences
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid preferences',
+        error: error.message
+      });
+    }
+
+    logger.error('Update preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Logout user
 // @route   POST /api/auth/logout
 // @access  Private
@@ -177,5 +246,7 @@ module.exports = {
   register,
   login,
   getMe,
+  getPreferences,
+  updatePreferences,
   logout
 };
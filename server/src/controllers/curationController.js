@@ -0,0 +1,208 @@
+/**
+ * Curation Controller
+ * Handles the curator review queue, curation decisions and their audit trail
+ */
+
+const mongoose = require('mongoose');
+const CurationDecision = require('../models/CurationDecision');
+const logger = require('../utils/logger');
+const { getReviewQueue: fetchReviewQueue, applyDecision } = require('../services/curationService');
+
+// @desc    Get articles awaiting review (pending and flagged)
+// @route   GET /api/curation/queue
+// @access  Private/Curator
+const getReviewQueue = async (req, res) => {
+  try {
+    const { status = 'all', sort = 'virality', page, limit } = req.query;
+
+    if (!['all', 'pending', 'flagged'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be one of: all, pending, flagged'
+      });
+    }
+
+    const queue = await fetchReviewQueue({ status, sort, page, limit });
+
+    res.status(200).json({
+      success: true,
+      data: queue.articles,
+      pagination: {
+        page: queue.page,
+        limit: queue.limit,
+        total: queue.total,
+        pages: Math.ceil(queue.total / queue.limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching review queue:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching review queue',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Build a handler for one curation action
+ * @param {string} action - approve | reject | flag
+ * @param {boolean} requireNotes - Whether the curator must explain the decision
+ */
+const curationAction = (action, requireNotes) => async (req, res) => {
+  try {
+    const notes = req.body?.notes?.trim();
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid article ID'
+      });
+    }
+
+    if (requireNotes && !notes) {
+      return res.status(400).json({
+        success: false,
+        message: `Please provide notes explaining why the article is ${action === 'flag' ? 'flagged' : 'rejected'}`
+      });
+    }
+
+    const result = await applyDecision(req.params.id, req.user, action, notes);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Article not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        article: {
+          _id: result.article._id,
+          title: result.article.title,
+          curation: result.article.curation
+        },
+        decision: result.decision
+      }
+    });
+  } catch (error) {
+    logger.error(`Error applying curation action "${action}":`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error applying curation decision',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Approve an article
+// @route   POST /api/curation/articles/:id/approve
+// @access  Private/Curator
+const approveArticle = curationAction('approve', false);
+
+// @desc    Reject an article (notes required)
+// @route   POST /api/curation/articles/:id/reject
+// @access  Private/Curator
+const rejectArticle = curationAction('reject', true);
+
+// @desc    Flag an article for further review (notes required)
+// @route   POST /api/curation/articles/:id/flag
+// @access  Private/Curator
+const flagArticle = curationAction('flag', true);
+
+// @desc    Get the curation audit trail
+// @route   GET /api/curation/decisions
+// @access  Private/Curator
+const getDecisions = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, article, user, action, from, to } = req.query;
+
+    const query = {};
+    if (article) query.article = article;
+    if (user) query.user = user;
+    if (action) query.action = action;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lt = new Date(to);
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [decisions, total] = await Promise.all([
+      CurationDecision.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate('user', 'name email role')
+        .populate('article', 'title url source.name curation.status'),
+      CurationDecision.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: decisions,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ${error.path} filter`
+      });
+    }
+    logger.error('Error fetching curation decisions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching curation decisions',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get the decision history of one article
+// @route   GET /api/curation/articles/:id/history
+// @access  Private/Curator
+const getArticleHistory = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid article ID'
+      });
+    }
+
+    const decisions = await CurationDecision.find({ article: req.params.id })
+      .sort({ createdAt: -1 })
+      .populate('user', 'name email role');
+
+    res.status(200).json({
+      success: true,
+      count: decisions.length,
+      data: decisions
+    });
+  } catch (error) {
+    logger.error('Error fetching article curation history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching article curation history',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getReviewQueue,
+  approveArticle,
+  rejectArticle,
+  flagArticle,
+  getDecisions,
+  getArticleHistory
+};
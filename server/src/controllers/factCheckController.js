@@ -0,0 +1,218 @@
+/**
+ * Fact Check Controller
+ * Admin import and search of the local ClaimReview fact-check store,
+ * and the verdict mapping tables used by the rating normalizer
+ */
+
+const logger = require('../utils/logger');
+const { importFactChecks, searchFactChecks } = require('../services/factCheckStore');
+const { linkFactChecksToViralNews, verifyViralNews } = require('../services/factChecker');
+const {
+  getRatingMappings,
+  setRatingMapping,
+  deleteRatingMapping,
+  applyRatingMappings,
+  getUnmappedRatings
+} = require('../services/ratingNormalizer');
+
+/**
+ * Re-normalize stored ratings and re-verify the stories whose ratings changed
+ */
+async function reapplyMappings(publisher) {
+  const result = await applyRatingMappings(publisher);
+  for (const id of result.viralNews) {
+    await verifyViralNews(id);
+  }
+  return { factChecks: result.factChecks, viralNews: result.viralNews.length };
+}
+
+// @desc    Import ClaimReview fact-checks from JSON / JSON-LD
+// @route   POST /api/admin/fact-checks/import
+// @access  Private/Admin
+const importFactCheckData = async (req, res) => {
+  try {
+    // Either a raw ClaimReview document or { data, dryRun, provenance }
+    const body = req.body || {};
+    const wrapped = body.data !== undefined && !body['@type'] && !body['@graph'];
+    const data = wrapped ? body.data : body;
+    const options = wrapped ? { ...req.query, ...body } : req.query;
+
+    if (!data || (typeof data === 'object' && Object.keys(data).length === 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Request body must contain ClaimReview JSON or JSON-LD'
+      });
+    }
+
+    const report = await importFactChecks(data, {
+      dryRun: options.dryRun === true || options.dryRun === 'true',
+      provenance: options.provenance
+    });
+
+    if (report.summary.total === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No ClaimReview records found in the request body'
+      });
+    }
+
+    // New or changed reviews may match claims in stories already tracked
+    if (!report.dryRun && report.summary.created + report.summary.updated > 0) {
+      report.linking = await linkFactChecksToViralNews();
+    }
+
+    res.status(report.dryRun ? 200 : 201).json({
+      success: true,
+      message: `${report.dryRun ? 'Dry run: would create' : 'Created'} ${report.summary.created}, ${report.dryRun ? 'update' : 'updated'} ${report.summary.updated}; ${report.summary.invalid} invalid records`,
+      data: report
+    });
+  } catch (error) {
+    logger.error('Error importing fact-checks:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error importing fact-checks',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Search the local fact-check store
+// @route   GET /api/admin/fact-checks
+// @access  Private/Admin
+const getFactChecks = async (req, res) => {
+  try {
+    const { search, publisher, rating, page, limit } = req.query;
+    const result = await searchFactChecks({ search, publisher, rating, page, limit });
+
+    res.status(200).json({
+      success: true,
+      data: result.factChecks,
+      pagination: {
+        page: result.page,
+        total: result.total,
+        pages: result.pages
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching fact-checks:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching fact-checks',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Built-in verdict tables and admin overrides
+// @route   GET /api/admin/rating-mappings
+// @access  Private/Admin
+const getRatingMappingTables = async (req, res) => {
+  try {
+    const mappings = await getRatingMappings();
+
+    res.status(200).json({
+      success: true,
+      data: mappings
+    });
+  } catch (error) {
+    logger.error('Error fetching rating mappings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching rating mappings',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Verdicts the normalizer could not map, most frequent first
+// @route   GET /api/admin/rating-mappings/unmapped
+// @access  Private/Admin
+const getUnmappedRatingQueue = async (req, res) => {
+  try {
+    const unmapped = await getUnmappedRatings();
+
+    res.status(200).json({
+      success: true,
+      count: unmapped.length,
+      data: unmapped
+    });
+  } catch (error) {
+    logger.error('Error fetching unmapped ratings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching unmapped ratings',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Map a publisher verdict label to a normalized rating
+// @route   PUT /api/admin/rating-mappings
+// @access  Private/Admin
+const upsertRatingMapping = async (req, res) => {
+  try {
+    const { publisher = '*', label, normalizedRating, notes } = req.body;
+
+    const mapping = await setRatingMapping({ publisher, label, normalizedRating, notes }, req.user._id);
+    const reapplied = await reapplyMappings(mapping.publisher);
+
+    res.status(200).json({
+      success: true,
+      message: `"${mapping.label}" now maps to ${mapping.normalizedRating}`,
+      data: { mapping, reapplied }
+    });
+  } catch (error) {
+    if (error.statusCode || error.name === 'ValidationError') {
+      return res.status(error.statusCode || 400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    logger.error('Error saving rating mapping:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error saving rating mapping',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Remove an admin verdict mapping (built-in tables apply again)
+// @route   DELETE /api/admin/rating-mappings/:id
+// @access  Private/Admin
+const removeRatingMapping = async (req, res) => {
+  try {
+    const mapping = await deleteRatingMapping(req.params.id);
+
+    if (!mapping) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rating mapping not found'
+      });
+    }
+
+    const reapplied = await reapplyMappings(mapping.publisher);
+
+    res.status(200).json({
+      success: true,
+      message: `Removed mapping for "${mapping.label}"`,
+      data: { reapplied }
+    });
+  } catch (error) {
+    logger.error('Error deleting rating mapping:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting rating mapping',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  importFactCheckData,
+  getFactChecks,
+  getRatingMappingTables,
+  getUnmappedRatingQueue,
+  upsertRatingMapping,
+  removeRatingMapping
+};
@@ -0,0 +1,283 @@
+/**
+ * Library Controller
+ * Handles saved articles (folders, tags), read history and mark-as-read
+ */
+
+const Article = require('../models/Article');
+const SavedArticle = require('../models/SavedArticle');
+const ReadHistory = require('../models/ReadHistory');
+const logger = require('../utils/logger');
+const { recordInteraction } = require('../services/engagementService');
+const { attachUserState } = require('../services/readingList');
+
+/**
+ * Normalize a tags payload (array or comma-separated string)
+ */
+function parseTags(tags) {
+  if (!tags) return [];
+  const list = Array.isArray(tags) ? tags : String(tags).split(',');
+  return [...new Set(list.map(t => String(t).trim().toLowerCase()).filter(Boolean))];
+}
+
+// @desc    Save an article to the reading list
+// @route   POST /api/articles/:id/save
+// @access  Private
+const saveArticle = async (req, res) => {
+  try {
+    const { folder, tags, note } = req.body;
+
+    const article = await Article.findById(req.params.id).select('_id');
+    if (!article) {
+      return res.status(404).json({
+        success: false,
+        message: 'Article not found'
+      });
+    }
+
+    const update = {};
+    if (folder) update.folder = folder;
+    if (tags !== undefined) update.tags = parseTags(tags);
+    if (note !== undefined) update.note = note;
+
+    const result = await SavedArticle.findOneAndUpdate(
+      { user: req.user._id, article: article._id },
+      { $set: update },
+      { upsert: true, new: true, includeResultMetadata: true, runValidators: true }
+    );
+
+    // Count each user's save once
+    const created = !result.lastErrorObject?.updatedExisting;
+    if (created) {
+      await Article.updateOne({ _id: article._id }, { $inc: { 'interactions.saves': 1 } });
+      await recordInteraction(article._id, 'save', req);
+    }
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      data: result.value
+    });
+  } catch (error) {
+    logger.error('Error saving article:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error saving article',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Remove an article from the reading list
+// @route   DELETE /api/articles/:id/save
+// @access  Private
+const unsaveArticle = async (req, res) => {
+  try {
+    const removed = await SavedArticle.findOneAndDelete({
+      user: req.user._id,
+      article: req.params.id
+    });
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Article is not saved'
+      });
+    }
+
+    await Article.updateOne(
+      { _id: req.params.id, 'interactions.saves': { $gt: 0 } },
+      { $inc: { 'interactions.saves': -1 } }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Article removed from saved list'
+    });
+  } catch (error) {
+    logger.error('Error removing saved article:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing saved article',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Mark an article as read
+// @route   POST /api/articles/:id/read
+// @access  Private
+const markAsRead = async (req, res) => {
+  try {
+    const article = await Article.findById(req.params.id).select('_id');
+    if (!article) {
+      return res.status(404).json({
+        success: false,
+        message: 'Article not found'
+      });
+    }
+
+    const entry = await ReadHistory.findOneAndUpdate(
+      { user: req.user._id, article: article._id },
+      { $set: { readAt: new Date() }, $inc: { readCount: 1 } },
+      { upsert: true, new: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: entry
+    });
+  } catch (error) {
+    logger.error('Error marking article as read:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error marking article as read',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Mark an article as unread
+// @route   DELETE /api/articles/:id/read
+// @access  Private
+const markAsUnread = async (req, res) => {
+  try {
+    await ReadHistory.deleteOne({ user: req.user._id, article: req.params.id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Article marked as unread'
+    });
+  } catch (error) {
+    logger.error('Error marking article as unread:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error marking article as unread',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get saved articles
+// @route   GET /api/library/saved
+// @access  Private
+const getSavedArticles = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, folder, tag } = req.query;
+
+    const query = { user: req.user._id };
+    if (folder) query.folder = folder;
+    if (tag) query.tags = tag.toLowerCase();
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [entries, total] = await Promise.all([
+      SavedArticle.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate({
+          path: 'article',
+          populate: { path: 'categories', select: 'name slug color icon' }
+        }),
+      SavedArticle.countDocuments(query)
+    ]);
+
+    // Articles removed by cleanup leave dangling entries; skip them
+    const articles = await attachUserState(
+      entries.filter(e => e.article).map(e => e.article),
+      req.user._id
+    );
+
+    res.status(200).json({
+      success: true,
+      data: articles,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching saved articles:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching saved articles',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get reading list folders and tags
+// @route   GET /api/library/folders
+// @access  Private
+const getFolders = async (req, res) => {
+  try {
+    const [folders, tags] = await Promise.all([
+      SavedArticle.getFolders(req.user._id),
+      SavedArticle.distinct('tags', { user: req.user._id })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        folders: folders.map(f => ({ name: f._id, count: f.count, lastSaved: f.lastSaved })),
+        tags: tags.sort(),
+        total: folders.reduce((sum, f) => sum + f.count, 0)
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching folders:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching folders',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get read history
+// @route   GET /api/library/history
+// @access  Private
+const getReadHistory = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [entries, total] = await Promise.all([
+      ReadHistory.find({ user: req.user._id })
+        .sort({ readAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate('article', 'title url source publishedAt urlToImage filteringMetadata.overallScore'),
+      ReadHistory.countDocuments({ user: req.user._id })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: entries.filter(e => e.article),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching read history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching read history',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  saveArticle,
+  unsaveArticle,
+  markAsRead,
+  markAsUnread,
+  getSavedArticles,
+  getFolders,
+  getReadHistory
+};
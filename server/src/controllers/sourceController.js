@@ -0,0 +1,361 @@
+/**
+ * Source Controller
+ * Admin management of news sources: credibility rating, bias, factual
+ * reporting, enabled flag and fetch frequency, with rating history
+ */
+
+const Source = require('../models/Source');
+const CredibilityChange = require('../models/CredibilityChange');
+const logger = require('../utils/logger');
+const { getAllSources, updateSourceCredibility } = require('../services/credibilityService');
+const { resolveSource, clearSourceCache } = require('../services/sourceResolver');
+const { importRatings, exportRatings } = require('../services/ratingImportExport');
+
+// Fields an admin may set directly (the rating goes through updateSourceCredibility)
+const EDITABLE_FIELDS = ['url', 'domain', 'domains', 'aliases', 'kind', 'isSatire', 'isEnabled', 'fetchFrequency', 'feedUrl'];
+
+// Rating history entries returned with a single source
+const HISTORY_PREVIEW = 20;
+
+/**
+ * Pick editable fields from a request body
+ */
+function pickEditable(body) {
+  const updates = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) updates[field] = body[field];
+  }
+  return updates;
+}
+
+/**
+ * Respond with 400 for invalid input, 500 otherwise
+ */
+function handleError(res, error, message) {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: error.name === 'CastError' ? `Invalid ${error.path}` : error.message
+    });
+  }
+  logger.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+}
+
+// @desc    List sources
+// @route   GET /api/admin/sources
+// @access  Private/Admin
+const getSources = async (req, res) => {
+  try {
+    const { enabled = 'all', kind, search, sortBy = 'name' } = req.query;
+
+    const sortable = ['name', 'credibilityRating.overallScore', 'stats.totalArticlesFetched', 'lastFetched'];
+    if (!sortable.includes(sortBy.replace(/^-/, ''))) {
+      return res.status(400).json({
+        success: false,
+        message: `sortBy must be one of: ${sortable.join(', ')} (prefix with - for descending)`
+      });
+    }
+
+    const sources = await getAllSources({
+      enabled: enabled === 'all' ? null : enabled === 'true',
+      kind,
+      search,
+      sortBy
+    });
+
+    res.status(200).json({
+      success: true,
+      count: sources.length,
+      data: sources
+    });
+  } catch (error) {
+    handleError(res, error, 'Error fetching sources');
+  }
+};
+
+// @desc    Get a source with its recent rating history
+// @route   GET /api/admin/sources/:id
+// @access  Private/Admin
+const getSource = async (req, res) => {
+  try {
+    const source = await Source.findById(req.params.id);
+
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        message: 'Source not found'
+      });
+    }
+
+    const history = await CredibilityChange.find({ source: source._id })
+      .sort({ createdAt: -1 })
+      .limit(HISTORY_PREVIEW)
+      .populate('changedBy', 'name email');
+
+    res.status(200).json({
+      success: true,
+      data: { ...source.toObject(), history }
+    });
+  } catch (error) {
+    handleError(res, error, 'Error fetching source');
+  }
+};
+
+// @desc    Create a source
+// @route   POST /api/admin/sources
+// @access  Private/Admin
+const createSource = async (req, res) => {
+  try {
+    const { name, credibilityRating = {} } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a source name'
+      });
+    }
+
+    if (await Source.exists({ name })) {
+      return res.status(400).json({
+        success: false,
+        message: `A source named "${name}" already exists`
+      });
+    }
+
+    const existing = await resolveSource({ name });
+    if (existing?.matchedBy === 'alias') {
+      return res.status(400).json({
+        success: false,
+        message: `"${name}" is already an alias of ${existing.name}`
+      });
+    }
+
+    // Validate everything before writing the source and its first history entry
+    const candidate = new Source({ name, ...pickEditable(req.body), credibilityRating });
+    await candidate.validate();
+    await candidate.save();
+
+    const source = await updateSourceCredibility(name, credibilityRating, {
+      changedBy: req.user._id,
+      reason: req.body.reason || 'Source created',
+      created: true
+    });
+
+    clearSourceCache();
+    logger.info(`Source "${name}" created by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      data: source
+    });
+  } catch (error) {
+    handleError(res, error, 'Error creating source');
+  }
+};
+
+// @desc    Update a source (rating, bias, factual reporting, enabled flag, fetch frequency, ...)
+// @route   PUT /api/admin/sources/:id
+// @access  Private/Admin
+const updateSource = async (req, res) => {
+  try {
+    let source = await Source.findById(req.params.id);
+
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        message: 'Source not found'
+      });
+    }
+
+    const { credibilityRating, reason } = req.body;
+
+    source.set(pickEditable(req.body));
+    await source.validate();
+    if (credibilityRating) {
+      // Checked up front so an invalid rating does not leave a half-applied update
+      await new Source({ name: source.name, credibilityRating }).validate();
+    }
+
+    await source.save();
+
+    if (credibilityRating) {
+      source = await updateSourceCredibility(source.name, credibilityRating, {
+        changedBy: req.user._id,
+        reason: reason || `Updated by ${req.user.email}`
+      });
+    }
+
+    clearSourceCache();
+    logger.info(`Source "${source.name}" updated by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      data: source
+    });
+  } catch (error) {
+    handleError(res, error, 'Error updating source');
+  }
+};
+
+// @desc    Delete a source
+// @route   DELETE /api/admin/sources/:id
+// @access  Private/Admin
+const deleteSource = async (req, res) => {
+  try {
+    const source = await Source.findByIdAndDelete(req.params.id);
+
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        message: 'Source not found'
+      });
+    }
+
+    clearSourceCache();
+    logger.info(`Source "${source.name}" deleted by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: `Source "${source.name}" deleted`
+    });
+  } catch (error) {
+    handleError(res, error, 'Error deleting source');
+  }
+};
+
+// @desc    Get the full rating history of a source
+// @route   GET /api/admin/sources/:id/history
+// @access  Private/Admin
+const getSourceHistory = async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const query = { source: req.params.id };
+
+    const [history, total] = await Promise.all([
+      CredibilityChange.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate('changedBy', 'name email'),
+      CredibilityChange.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: history,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Error fetching source history');
+  }
+};
+
+// @desc    Show which source a name and/or URL resolves to
+// @route   GET /api/admin/sources/resolve
+// @access  Private/Admin
+const resolveSourceIdentity = async (req, res) => {
+  try {
+    const { name, url } = req.query;
+
+    if (!name && !url) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a name or url'
+      });
+    }
+
+    const resolved = await resolveSource({ name, url });
+
+    res.status(200).json({
+      success: true,
+      data: resolved
+    });
+  } catch (error) {
+    handleError(res, error, 'Error resolving source');
+  }
+};
+
+// @desc    Import credibility ratings from CSV or JSON (with validation report and dry run)
+// @route   POST /api/admin/sources/import
+// @access  Private/Admin
+const importSourceRatings = async (req, res) => {
+  try {
+    // CSV arrives as a text/csv body with options in the query string;
+    // JSON arrives as { ratings: [...], dryRun, provenance }
+    const isText = typeof req.body === 'string';
+    const options = isText ? req.query : { ...req.query, ...req.body };
+    const data = isText ? req.body : req.body?.ratings ?? req.body?.data;
+
+    const report = await importRatings(data, {
+      format: options.format || (isText ? undefined : 'json'),
+      dryRun: options.dryRun === true || options.dryRun === 'true',
+      provenance: options.provenance,
+      changedBy: req.user._id
+    });
+
+    res.status(report.dryRun ? 200 : 201).json({
+      success: true,
+      message: `${report.dryRun ? 'Dry run: would create' : 'Created'} ${report.summary.created}, ${report.dryRun ? 'update' : 'updated'} ${report.summary.updated}; ${report.summary.invalid} invalid rows`,
+      data: report
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    handleError(res, error, 'Error importing ratings');
+  }
+};
+
+// @desc    Export credibility ratings as CSV or JSON
+// @route   GET /api/admin/sources/export
+// @access  Private/Admin
+const exportSourceRatings = async (req, res) => {
+  try {
+    const { format = 'csv', kind = 'outlet' } = req.query;
+
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be csv or json'
+      });
+    }
+
+    const ratings = await exportRatings({ format, kind: kind === 'all' ? null : kind });
+    const filename = `source-ratings-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    res.attachment(filename);
+    if (format === 'csv') {
+      res.type('text/csv').send(ratings);
+    } else {
+      res.json(ratings);
+    }
+  } catch (error) {
+    handleError(res, error, 'Error exporting ratings');
+  }
+};
+
+module.exports = {
+  getSources,
+  importSourceRatings,
+  exportSourceRatings,
+  resolveSourceIdentity,
+  getSource,
+  createSource,
+  updateSource,
+  deleteSource,
+  getSourceHistory
+};
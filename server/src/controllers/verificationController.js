@@ -3,56 +3,17 @@
  * Handles manual news verification requests from users
  */
 
-const axios = require('axios');
-const cheerio = require('cheerio');
 const Article = require('../models/Article');
 const { analyzeWithAI } = require('../services/aiAnalyzer');
-const { analyzeForMisinformation, extractClaims, crossReferenceWithSources } = require('../services/factChecker');
+const { extractArticle } = require('../services/contentExtractor');
+const { analyzeForMisinformation, crossReferenceWithSources } = require('../services/factChecker');
+const { extractClaims } = require('../services/claimExtractor');
 const { getSourceCredibility } = require('../services/credibilityService');
+const { resolveSourceName } = require('../services/sourceResolver');
+const { detectRecycledArticle } = require('../services/recycledNewsDetector');
+const { detectSatire } = require('../services/satireDetector');
 const logger = require('../utils/logger');
 
-/**
- * Domain to Source Name Mapping
- */
-const DOMAIN_TO_SOURCE = {
-  'thehindu.com': 'The Hindu',
-  'indianexpress.com': 'The Indian Express',
-  'hindustantimes.com': 'Hindustan Times',
-  'indiatoday.in': 'India Today',
-  'ndtv.com': 'NDTV',
-  'timesofindia.indiatimes.com': 'Times of India',
-  'economictimes.indiatimes.com': 'The Economic Times',
-  'business-standard.com': 'Business Standard',
-  'livemint.com': 'Mint',
-  'thewire.in': 'The Wire',
-  'scroll.in': 'Scroll.in',
-  'thequint.com': 'The Quint',
-  'theprint.in': 'The Print',
-  'reuters.com': 'Reuters',
-  'bbc.com': 'BBC News',
-  'bbc.co.uk': 'BBC News',
-  'cnn.com': 'CNN',
-  'nytimes.com': 'The New York Times',
-  'washingtonpost.com': 'The Washington Post',
-  'theguardian.com': 'The Guardian',
-  'aljazeera.com': 'Al Jazeera English',
-  'apnews.com': 'Associated Press',
-  'npr.org': 'NPR',
-  'pbs.org': 'PBS',
-  'bloomberg.com': 'Bloomberg',
-  'wsj.com': 'Wall Street Journal',
-  'ft.com': 'Financial Times',
-  'economist.com': 'The Economist'
-};
-
-/**
- * Get proper source name from domain
- */
-function getSourceNameFromDomain(domain) {
-  const cleanDomain = domain.replace('www.', '').toLowerCase();
-  return DOMAIN_TO_SOURCE[cleanDomain] || cleanDomain;
-}
-
 /**
  * Extract keywords from text
  */
@@ -124,80 +85,17 @@ async function findCorroboratingSources(keywords, excludeUrl) {
  */
 async function fetchArticleFromURL(url) {
   try {
-    const response = await axios.get(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-      },
-      timeout: 15000
-    });
-
-    const $ = cheerio.load(response.data);
-
-    // Extract title (try multiple selectors)
-    let title = $('meta[property="og:title"]').attr('content') ||
-                $('meta[name="twitter:title"]').attr('content') ||
-                $('h1').first().text() ||
-                $('title').text() ||
-                'Untitled';
-    title = title.trim().replace(/\s+/g, ' ');
-
-    // Extract description
-    let description = $('meta[property="og:description"]').attr('content') ||
-                     $('meta[name="description"]').attr('content') ||
-                     $('meta[name="twitter:description"]').attr('content') ||
-                     '';
-    description = description.trim();
-
-    // Extract full article content
-    // Try common article selectors
-    let content = '';
-    const articleSelectors = [
-      'article',
-      '.article-content',
-      '.story-content',
-      '.post-content',
-      '.entry-content',
-      'div[itemprop="articleBody"]',
-      '.content-body',
-      'main p'
-    ];
-
-    for (const selector of articleSelectors) {
-      const el = $(selector);
-      if (el.length > 0) {
-        content = el.text().trim();
-        if (content.length > 200) break; // Found substantial content
-      }
-    }
-
-    // Fallback: get all paragraph text
-    if (content.length < 200) {
-      content = $('p').map((i, el) => $(el).text()).get().join(' ').trim();
-    }
-
-    // Clean up content
-    content = content.replace(/\s+/g, ' ').substring(0, 5000); // Limit to 5000 chars
-
-    // Extract domain/source
+    const extracted = await extractArticle(url);
     const urlObj = new URL(url);
-    const domain = urlObj.hostname.replace('www.', '');
-    const sourceName = getSourceNameFromDomain(domain);
-
-    // Extract publish date
-    let publishedAt = $('meta[property="article:published_time"]').attr('content') ||
-                      $('meta[name="publish-date"]').attr('content') ||
-                      $('time').attr('datetime');
-
-    logger.info(`Extracted article: ${title.substring(0, 50)}... (${content.length} chars)`);
 
     return {
-      title,
-      description: description || content.substring(0, 300),
+      title: extracted.title,
+      description: extracted.description,
       url,
-      source: { name: sourceName, url: urlObj.origin },
-      content: content || description,
-      publishedAt: publishedAt ? new Date(publishedAt) : null,
-      contentLength: content.length
+      source: { name: await resolveSourceName(null, extracted.domain || url), url: urlObj.origin },
+      content: extracted.content,
+      publishedAt: extracted.publishedAt,
+      contentLength: extracted.contentLength
     };
   } catch (error) {
     logger.error('Error fetching URL:', error.message);
@@ -253,6 +151,10 @@ exports.verifyByURL = async (req, res) => {
     // Check if article already exists in database
     const existingArticle = await Article.findOne({ url }).lean();
     if (existingArticle && existingArticle.filteringMetadata) {
+      const recycled = await findRecycledCoverage(existingArticle);
+      const satire = existingArticle.filteringMetadata.satire?.isSatire
+        ? existingArticle.filteringMetadata.satire
+        : null;
       return res.json({
         success: true,
         source: 'database',
@@ -268,7 +170,9 @@ exports.verifyByURL = async (req, res) => {
           isFactual: existingArticle.filteringMetadata.aiAnalysis?.isFactual,
           sentiment: existingArticle.filteringMetadata.aiAnalysis?.sentiment,
           status: existingArticle.curation?.status || 'unknown',
-          recommendation: generateRecommendation(existingArticle.filteringMetadata)
+          recycled,
+          satire,
+          recommendation: generateRecommendation({ ...existingArticle.filteringMetadata, recycled })
         }
       });
     }
@@ -283,12 +187,21 @@ exports.verifyByURL = async (req, res) => {
     logger.info(`Found ${corroboratingSources.length} corroborating sources`);
 
     // Perform fresh analysis
-    const [aiAnalysis, misinfoAnalysis, sourceCredibility] = await Promise.all([
+    const [aiAnalysis, sourceCredibility, recycled] = await Promise.all([
       analyzeWithAI(articleData),
-      Promise.resolve(analyzeForMisinformation(articleData.title, articleData.description)),
-      getSourceCredibility(articleData.source.name)
+      getSourceCredibility(articleData.source.name, articleData.url),
+      findRecycledCoverage(articleData)
     ]);
 
+    const satire = await detectSatire(articleData, { sourceIsSatire: sourceCredibility?.isSatire });
+
+    const misinfoAnalysis = analyzeForMisinformation(articleData.title, articleData.content || articleData.description, {
+      sourceCredibility: sourceCredibility?.overallScore,
+      recycledFrom: recycled,
+      satire,
+      publishedAt: articleData.publishedAt
+    });
+
     // Extract claims
     const claims = extractClaims(fullText);
 
@@ -301,9 +214,11 @@ exports.verifyByURL = async (req, res) => {
 
     // Calculate overall score (with cross-verification boost)
     const sourceScore = sourceCredibility?.overallScore || 50;
+    // Satire is judged on quality instead of whether its content is credible
+    const contentCredibility = satire.isSatire ? aiAnalysis.qualityScore : aiAnalysis.credibilityScore;
     let overallScore = Math.round(
       (aiAnalysis.qualityScore * 0.30) +
-      (aiAnalysis.credibilityScore * 0.30) +
+      (contentCredibility * 0.30) +
       (sourceScore * 0.25) +
       (verificationConfidence * 0.15) // Boost from corroboration
     );
@@ -328,8 +243,11 @@ exports.verifyByURL = async (req, res) => {
       misinformation: {
         type: misinfoAnalysis.type,
         flags: misinfoAnalysis.flags,
-        riskScore: misinfoAnalysis.riskScore
+        riskScore: misinfoAnalysis.riskScore,
+        signals: misinfoAnalysis.signals
       },
+      recycled,
+      satire: satire.isSatire ? satire : null,
       claims: claims.slice(0, 5), // Top 5 claims
       crossVerification: {
         sourcesFound: corroboratingSources.length,
@@ -342,6 +260,8 @@ exports.verifyByURL = async (req, res) => {
         aiAnalysis,
         credibility: { overallScore: sourceScore },
         misinformation: misinfoAnalysis,
+        recycled,
+        satire: satire.isSatire ? satire : null,
         crossVerification: {
           sourcesFound: corroboratingSources.length,
           avgScore: avgCorroboratingScore
@@ -364,6 +284,18 @@ exports.verifyByURL = async (req, res) => {
   }
 };
 
+/**
+ * Earlier coverage a URL repeats, or null (never fails the verification)
+ */
+async function findRecycledCoverage(article) {
+  try {
+    return await detectRecycledArticle(article);
+  } catch (error) {
+    logger.error('Error checking for recycled news:', error.message);
+    return null;
+  }
+}
+
 /**
  * Verify news by keywords
  */
@@ -399,7 +331,11 @@ exports.verifyByKeywords = async (req, res) => {
 
     // Analyze misinformation patterns across articles
     const misinfoTypes = articles.map(a => {
-      const analysis = analyzeForMisinformation(a.title, a.description);
+      const analysis = analyzeForMisinformation(a.title, a.description, {
+        sourceCredibility: a.filteringMetadata?.credibility?.overallScore,
+        satire: a.filteringMetadata?.satire,
+        publishedAt: a.publishedAt
+      });
       return analysis.type;
     }).filter(t => t !== 'none');
 
@@ -455,7 +391,20 @@ function generateRecommendation(metadata) {
   const crossVerif = metadata.crossVerification || {};
   const sourcesFound = crossVerif.sourcesFound || 0;
 
-  // Priority: Check for misinformation flags
+  // Priority: Satire is labelled, not judged as news
+  if (metadata.satire?.isSatire) {
+    return metadata.satire.sourceFlagged
+      ? '🎭 Satire: This comes from a satire outlet. It is not meant as factual reporting.'
+      : '🎭 Likely Satire: This reads as satire. Check the source before treating it as news.';
+  }
+
+  // Old coverage presented as new
+  if (metadata.recycled) {
+    const { source, publishedAt } = metadata.recycled;
+    return `⚠️ Recycled: This matches a story ${source ? `from ${source} ` : ''}published ${new Date(publishedAt).toDateString()}. It may be old news shared as new.`;
+  }
+
+  // Check for misinformation flags
   if (misinfoType && misinfoType !== 'none') {
     return `⚠️ Warning: This article shows signs of ${misinfoType.replace(/_/g, ' ')}. Exercise caution before sharing.`;
   }
@@ -13,6 +13,10 @@ const {
   analyzeForMisinformation,
   FACT_CHECK_SOURCES
 } = require('../services/factChecker');
+const { normalizeRating, NORMALIZED_RATINGS } = require('../services/ratingNormalizer');
+const { buildSpreadTimeline } = require('../services/originTracer');
+const { getViralityTimeline } = require('../services/viralityTracker');
+const { detectSatire } = require('../services/satireDetector');
 
 // @desc    Get all trending/viral news
 // @route   GET /api/viral
@@ -80,7 +84,8 @@ const getViralNewsById = async (req, res) => {
   try {
     const viralNews = await ViralNews.findById(req.params.id)
       .populate('categories', 'name slug')
-      .populate('relatedArticles.articleId', 'title url source publishedAt');
+      .populate('relatedArticles.articleId', 'title url source publishedAt')
+      .populate('story', 'title keywords sources sourceCount articleCount firstSeen lastUpdated');
 
     if (!viralNews) {
       return res.status(404).json({
@@ -94,7 +99,8 @@ const getViralNewsById = async (req, res) => {
       data: {
         ...viralNews.toObject(),
         summary: getVerificationSummary(viralNews),
-        reliabilityScore: viralNews.reliabilityScore
+        reliabilityScore: viralNews.reliabilityScore,
+        spreadTimeline: buildSpreadTimeline(viralNews.origin)
       }
     });
   } catch (error) {
@@ -287,6 +293,47 @@ const runViralDetection = async (req, res) => {
   }
 };
 
+// @desc    Get a story's virality time series (velocity, acceleration, peak)
+// @route   GET /api/viral/:id/timeline
+// @access  Public
+const getViralTimeline = async (req, res) => {
+  try {
+    const { hours } = req.query;
+
+    const viralNews = await ViralNews.findById(req.params.id).select('title virality isTrending');
+
+    if (!viralNews) {
+      return res.status(404).json({
+        success: false,
+        message: 'Viral news not found'
+      });
+    }
+
+    const snapshots = await getViralityTimeline(viralNews._id, { hours: parseFloat(hours) || undefined });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        id: viralNews._id,
+        title: viralNews.title,
+        isTrending: viralNews.isTrending,
+        velocity: viralNews.virality.velocity,
+        acceleration: viralNews.virality.acceleration,
+        peakTime: viralNews.virality.peakTime,
+        firstDetected: viralNews.virality.firstDetected,
+        snapshots
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching virality timeline:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching virality timeline',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Verify a viral news story
 // @route   POST /api/viral/:id/verify
 // @access  Public (should be protected in production)
@@ -337,11 +384,17 @@ const addFactCheck = async (req, res) => {
       });
     }
 
+    // The publisher's verdict is normalized here; a caller-supplied normalizedRating
+    // is only used when the verdict can't be mapped
+    const normalized = await normalizeRating(source, rating);
+    const manualRating = normalized.needsReview && NORMALIZED_RATINGS.includes(normalizedRating);
+
     await viralNews.addFactCheck({
       source,
       url,
       rating,
-      normalizedRating,
+      normalizedRating: manualRating ? normalizedRating : normalized.normalizedRating,
+      needsRatingReview: normalized.needsReview && !manualRating,
       summary
     });
 
@@ -372,7 +425,7 @@ const addFactCheck = async (req, res) => {
 // @access  Public
 const analyzeText = async (req, res) => {
   try {
-    const { title, content } = req.body;
+    const { title, content, url, source, sourceCredibility, publishedAt } = req.body;
 
     if (!title) {
       return res.status(400).json({
@@ -381,7 +434,12 @@ const analyzeText = async (req, res) => {
       });
     }
 
-    const analysis = analyzeForMisinformation(title, content);
+    const satire = await detectSatire({ title, content, url, source: { name: source } });
+    const analysis = analyzeForMisinformation(title, content, {
+      sourceCredibility: sourceCredibility !== undefined ? Number(sourceCredibility) : undefined,
+      satire,
+      publishedAt
+    });
 
     res.status(200).json({
       success: true,
@@ -389,11 +447,16 @@ const analyzeText = async (req, res) => {
         type: analysis.type,
         flags: analysis.flags,
         riskScore: analysis.riskScore,
-        recommendation: analysis.riskScore > 50
-          ? 'High risk of misinformation. Verify with trusted sources.'
-          : analysis.riskScore > 25
-            ? 'Moderate risk. Cross-check key claims.'
-            : 'Low risk detected. Standard verification recommended.'
+        signals: analysis.signals,
+        label: analysis.label,
+        satire,
+        recommendation: satire.isSatire
+          ? 'Satire. Not meant as factual reporting.'
+          : analysis.riskScore > 50
+            ? 'High risk of misinformation. Verify with trusted sources.'
+            : analysis.riskScore > 25
+              ? 'Moderate risk. Cross-check key claims.'
+              : 'Low risk detected. Standard verification recommended.'
       }
     });
   } catch (error) {
@@ -483,6 +546,7 @@ const getViralStats = async (req, res) => {
 module.exports = {
   getTrendingViralNews,
   getViralNewsById,
+  getViralTimeline,
   getFakeNews,
   getVerifiedNews,
   getUnverifiedNews,
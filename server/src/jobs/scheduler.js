@@ -4,9 +4,14 @@
  */
 
 const cron = require('node-cron');
-const { fetchAndStoreNews, fetchAndStoreIndianNews } = require('../services/newsAggregator');
-const { initializeDefaultSources } = require('../services/credibilityService');
+const { fetchAndStoreNews, fetchAndStoreIndianNews, fetchAndStoreFeeds } = require('../services/newsAggregator');
+const { initializeDefaultSources, refreshSourceStats } = require('../services/credibilityService');
+const { adjustSourceCredibility } = require('../services/credibilityAdjuster');
 const { detectViralStories, verifyViralNews } = require('../services/factChecker');
+const { clusterRecentArticles } = require('../services/storyClusterer');
+const { rescoreEngagement } = require('../services/engagementService');
+const { snapshotTrendingStories } = require('../services/viralityTracker');
+const { archiveFingerprints } = require('../services/recycledNewsDetector');
 const Category = require('../models/Category');
 const Article = require('../models/Article');
 const ViralNews = require('../models/ViralNews');
@@ -51,6 +56,78 @@ function initializeJobs() {
     timezone: 'Asia/Kolkata'
   });
 
+  // Job: Poll publisher RSS/Atom feeds every 15 minutes
+  // Each feed is only fetched once its own fetchFrequency has elapsed
+  activeJobs.fetchFeeds = cron.schedule('*/15 * * * *', async () => {
+    logger.info('[CRON] Starting feed poll...');
+    try {
+      const results = await fetchAndStoreFeeds();
+      logger.info(`[CRON] Feed poll complete: ${results.stored} new articles`);
+    } catch (error) {
+      logger.error('[CRON] Error in feed poll:', error);
+    }
+  }, {
+    scheduled: true,
+    timezone: 'UTC'
+  });
+
+  // Job: Cluster recent articles into stories every 30 minutes
+  activeJobs.clusterStories = cron.schedule('5,35 * * * *', async () => {
+    logger.info('[CRON] Starting story clustering...');
+    try {
+      const results = await clusterRecentArticles();
+      logger.info(`[CRON] Story clustering complete: ${results.created} new stories`);
+    } catch (error) {
+      logger.error('[CRON] Error in story clustering:', error);
+    }
+  }, {
+    scheduled: true,
+    timezone: 'UTC'
+  });
+
+  // Job: Re-score engagement for recent articles (hourly at :45)
+  activeJobs.engagement = cron.schedule('45 * * * *', async () => {
+    logger.info('[CRON] Starting engagement re-score...');
+    try {
+      const results = await rescoreEngagement();
+      logger.info(`[CRON] Engagement re-score complete: ${results.updated} articles updated`);
+    } catch (error) {
+      logger.error('[CRON] Error in engagement re-score:', error);
+    }
+  }, {
+    scheduled: true,
+    timezone: 'UTC'
+  });
+
+  // Job: Virality snapshots of trending stories (every 30 minutes at :20 and :50)
+  activeJobs.viralitySnapshots = cron.schedule('20,50 * * * *', async () => {
+    logger.info('[CRON] Starting virality snapshots...');
+    try {
+      const results = await snapshotTrendingStories();
+      logger.info(`[CRON] Virality snapshots complete: ${results.tracked} stories, ${results.xSearches} X searches, ${results.stoppedTrending} stopped trending`);
+    } catch (error) {
+      logger.error('[CRON] Error in virality snapshots:', error);
+    }
+  }, {
+    scheduled: true,
+    timezone: 'UTC'
+  });
+
+  // Job: Refresh source stats and nudge credibility scores (daily at 03:30)
+  activeJobs.credibility = cron.schedule('30 3 * * *', async () => {
+    logger.info('[CRON] Starting source credibility adjustment...');
+    try {
+      await refreshSourceStats();
+      const results = await adjustSourceCredibility();
+      logger.info(`[CRON] Credibility adjustment complete: ${results.adjusted} sources adjusted`);
+    } catch (error) {
+      logger.error('[CRON] Error in credibility adjustment:', error);
+    }
+  }, {
+    scheduled: true,
+    timezone: 'UTC'
+  });
+
   // Job: Cleanup old articles (runs daily at midnight)
   // Keeps articles from the last 30 days
   activeJobs.cleanup = cron.schedule('0 0 * * *', async () => {
@@ -59,12 +136,16 @@ function initializeJobs() {
       const thirtyDaysAgo = new Date();
       thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
 
-      const result = await Article.deleteMany({
+      const expired = {
         publishedAt: { $lt: thirtyDaysAgo },
         'curation.status': { $ne: 'approved' } // Keep manually approved articles
-      });
+      };
+
+      // Fingerprints outlive the articles so recycled stories can still be matched
+      const archived = await archiveFingerprints(expired);
+      const result = await Article.deleteMany(expired);
 
-      logger.info(`[CRON] Cleanup complete: Removed ${result.deletedCount} old articles`);
+      logger.info(`[CRON] Cleanup complete: Removed ${result.deletedCount} old articles (${archived} fingerprints archived)`);
     } catch (error) {
       logger.error('[CRON] Error in daily cleanup:', error);
     }
@@ -106,7 +187,12 @@ function initializeJobs() {
   logger.info('Scheduled jobs initialized:');
   logger.info('  - News fetch (US/Intl): Every hour at :00 UTC');
   logger.info('  - News fetch (India): Every hour at :30 IST');
+  logger.info('  - Feed poll (RSS/Atom): Every 15 minutes');
+  logger.info('  - Story clustering: Every 30 minutes at :05 and :35');
+  logger.info('  - Engagement re-score: Every hour at :45');
   logger.info('  - Viral detection: Every 2 hours at :15');
+  logger.info('  - Virality snapshots: Every 30 minutes at :20 and :50');
+  logger.info('  - Credibility adjustment: Daily at 03:30 UTC');
   logger.info('  - Cleanup: Daily at 00:00 UTC');
 }
 
@@ -125,20 +211,15 @@ async function runInitialSetup() {
     await initializeDefaultSources();
     logger.info('Default source ratings initialized');
 
-    // Fetch initial news (if API key is configured)
-    if (process.env.NEWSAPI_KEY) {
-      logger.info('Fetching initial news batch...');
-      const results = await fetchAndStoreNews({ category: 'general' });
-      logger.info(`Initial fetch complete: ${results.stored} articles stored`);
-
-      // Also fetch Indian news
-      logger.info('Fetching initial Indian news batch...');
-      const indianResults = await fetchAndStoreIndianNews();
-      logger.info(`Initial Indian fetch complete: ${indianResults.stored} articles stored`);
-    } else {
-      logger.warn('NewsAPI key not configured. Skipping initial fetch.');
-      logger.warn('Set NEWSAPI_KEY in .env to enable news fetching.');
-    }
+    // Fetch initial news (providers skip sources that are not configured)
+    logger.info('Fetching initial news batch...');
+    const results = await fetchAndStoreNews({ category: 'general' });
+    logger.info(`Initial fetch complete: ${results.stored} articles stored`);
+
+    // Also fetch Indian news
+    logger.info('Fetching initial Indian news batch...');
+    const indianResults = await fetchAndStoreIndianNews();
+    logger.info(`Initial Indian fetch complete: ${indianResults.stored} articles stored`);
   } catch (error) {
     logger.error('Error in initial setup:', error);
   }
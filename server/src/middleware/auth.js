@@ -43,6 +43,21 @@ const protect = async (req, res, next) => {
   }
 };
 
+// Attach the user if a valid token is sent, but never reject the request
+const optionalAuth = async (req, res, next) => {
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    try {
+      const decoded = jwt.verify(req.headers.authorization.split(' ')[1], process.env.JWT_SECRET);
+      req.user = await User.findById(decoded.id).select('-password');
+    } catch (error) {
+      // Invalid or expired token: continue as anonymous
+      req.user = null;
+    }
+  }
+
+  next();
+};
+
 // Admin only middleware
 const admin = (req, res, next) => {
   if (req.user && req.user.role === 'admin') {
@@ -55,4 +70,16 @@ const admin = (req, res, next) => {
   }
 };
 
-module.exports = { protect, admin };
+// Curator middleware (admins can curate too)
+const curator = (req, res, next) => {
+  if (req.user && ['curator', 'admin'].includes(req.user.role)) {
+    next();
+  } else {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized as curator'
+    });
+  }
+};
+
+module.exports = { protect, optionalAuth, admin, curator };
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+/**
+ * ArchivedFingerprint Schema - Content fingerprint of an article removed by the
+ * daily cleanup, kept so recycled stories can still be matched to the original
+ * coverage months later (see recycledNewsDetector)
+ */
+const ArchivedFingerprintSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  title: String,
+  sourceName: String,
+  publishedAt: {
+    type: Date,
+    required: true
+  },
+  minhash: [Number],
+  bands: [String]
+}, {
+  timestamps: true
+});
+
+ArchivedFingerprintSchema.index({ bands: 1, publishedAt: -1 });
+// Recycled stories older than a year are rare enough not to keep fingerprints for
+ArchivedFingerprintSchema.index({ publishedAt: 1 }, { expireAfterSeconds: 365 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('ArchivedFingerprint', ArchivedFingerprintSchema);
@@ -15,6 +15,12 @@ const ArticleSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // 'full' = complete article body, 'truncated' = provider stub (e.g. NewsAPI's ~200 chars)
+  contentSource: {
+    type: String,
+    enum: ['full', 'truncated'],
+    default: 'truncated'
+  },
   url: {
     type: String,
     required: [true, 'Article URL is required'],
@@ -133,6 +139,52 @@ const ArticleSchema = new mongoose.Schema({
       model: String
     },
 
+    // Satire label (source registry + linguistic cues; see satireDetector)
+    satire: {
+      isSatire: {
+        type: Boolean,
+        default: false
+      },
+      confidence: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: 0
+      },
+      cues: [String]
+    },
+
+    // User engagement (deduplicated, time-decayed; see engagementService)
+    engagement: {
+      score: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: 50
+      },
+      weightedCount: {
+        type: Number,
+        default: 0
+      },
+      uniqueViewers: {
+        type: Number,
+        default: 0
+      },
+      uniqueSavers: {
+        type: Number,
+        default: 0
+      },
+      uniqueSharers: {
+        type: Number,
+        default: 0
+      },
+      botsIgnored: {
+        type: Number,
+        default: 0
+      },
+      updatedAt: Date
+    },
+
     // Layer 4: Overall Score (Weighted Combination)
     overallScore: {
       type: Number,
@@ -148,6 +200,11 @@ const ArticleSchema = new mongoose.Schema({
     filterVersion: {
       type: String,
       default: '1.0'
+    },
+    // Scoring profile whose weights/thresholds produced overallScore
+    scoringProfile: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ScoringProfile'
     }
   },
 
@@ -167,6 +224,25 @@ const ArticleSchema = new mongoose.Schema({
     notes: String
   },
 
+  // Near-duplicate Detection (MinHash over word shingles)
+  fingerprint: {
+    minhash: [Number],
+    bands: [String]
+  },
+  // Canonical article this one is a syndicated copy of
+  duplicateOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Article',
+    default: null
+  },
+
+  // Story cluster this article belongs to (see storyClusterer)
+  story: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Story',
+    default: null
+  },
+
   // Categories
   categories: [{
     type: mongoose.Schema.Types.ObjectId,
@@ -204,6 +280,9 @@ ArticleSchema.index({ 'source.name': 1 });
 ArticleSchema.index({ 'curation.status': 1 });
 ArticleSchema.index({ 'filteringMetadata.overallScore': -1 });
 ArticleSchema.index({ categories: 1 });
+ArticleSchema.index({ 'fingerprint.bands': 1, publishedAt: -1 });
+ArticleSchema.index({ duplicateOf: 1 });
+ArticleSchema.index({ story: 1 });
 ArticleSchema.index({ title: 'text', description: 'text' });
 
 // Compound index for filtered queries
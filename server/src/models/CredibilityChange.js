@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+/**
+ * CredibilityChange Schema - History of a source's credibility score
+ * Manual edits and automatic adjustments are recorded with the reason behind them
+ */
+const CredibilityChangeSchema = new mongoose.Schema({
+  source: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Source',
+    required: true
+  },
+  sourceName: {
+    type: String,
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['auto', 'manual', 'import'],
+    required: true
+  },
+  previousScore: Number,
+  newScore: {
+    type: Number,
+    required: true
+  },
+  baselineScore: Number,
+  biasRating: String,
+  factualReporting: String,
+  reason: {
+    type: String,
+    required: true
+  },
+  // Inputs the adjuster used (rates, averages, confidence, target)
+  signals: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+CredibilityChangeSchema.index({ source: 1, createdAt: -1 });
+CredibilityChangeSchema.index({ kind: 1, createdAt: -1 });
+
+module.exports = mongoose.model('CredibilityChange', CredibilityChangeSchema);
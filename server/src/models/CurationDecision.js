@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+/**
+ * CurationDecision Schema - Audit trail of every human curation decision
+ */
+const CurationDecisionSchema = new mongoose.Schema({
+  article: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Article',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['approve', 'reject', 'flag'],
+    required: true
+  },
+  previousStatus: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'flagged']
+  },
+  newStatus: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'flagged'],
+    required: true
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+
+  // Snapshot of the article at decision time
+  sourceName: String,
+  overallScore: Number
+}, {
+  timestamps: true
+});
+
+// Indexes
+CurationDecisionSchema.index({ article: 1, createdAt: -1 });
+CurationDecisionSchema.index({ user: 1, createdAt: -1 });
+CurationDecisionSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('CurationDecision', CurationDecisionSchema);
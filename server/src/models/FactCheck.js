@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+/**
+ * FactCheck Schema - Local store of fact-checks in schema.org ClaimReview shape
+ * (https://schema.org/ClaimReview), imported from publisher JSON/JSON-LD feeds
+ */
+const FactCheckSchema = new mongoose.Schema({
+  // Review URL (one record per published fact-check)
+  url: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  claimReviewed: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  title: {
+    type: String,
+    trim: true
+  },
+  datePublished: Date,
+  inLanguage: String,
+
+  // Fact-checking organization (ClaimReview.author)
+  author: {
+    name: String,
+    url: String
+  },
+  // Key into FACT_CHECK_SOURCES ('other' for publishers we don't list)
+  publisher: {
+    type: String,
+    enum: ['alt_news', 'boom_live', 'snopes', 'politifact', 'factcheck_org', 'afp_factcheck', 'reuters_factcheck', 'other'],
+    default: 'other'
+  },
+
+  // ClaimReview.reviewRating
+  reviewRating: {
+    ratingValue: Number,
+    bestRating: Number,
+    worstRating: Number,
+    alternateName: String // The publisher's own verdict ("Pants on Fire", "Mixture", ...)
+  },
+  normalizedRating: {
+    type: String,
+    enum: ['true', 'mostly_true', 'half_true', 'mostly_false', 'false', 'pants_on_fire', 'unrated'],
+    default: 'unrated'
+  },
+  // Verdict could not be mapped by the rating normalizer
+  needsRatingReview: {
+    type: Boolean,
+    default: false
+  },
+
+  // ClaimReview.itemReviewed - who made the claim, when and where
+  itemReviewed: {
+    author: String,
+    datePublished: Date,
+    appearances: [String]
+  },
+
+  // Provenance
+  importedFrom: String,
+  importedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+FactCheckSchema.index({ claimReviewed: 'text', title: 'text' });
+FactCheckSchema.index({ publisher: 1, datePublished: -1 });
+FactCheckSchema.index({ normalizedRating: 1 });
+
+module.exports = mongoose.model('FactCheck', FactCheckSchema);
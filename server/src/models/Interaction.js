@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+/**
+ * Interaction Schema - One record per (article, type, actor)
+ * Repeat interactions bump count/lastAt instead of adding rows, so engagement
+ * scoring sees each user or anonymous visitor once per interaction type
+ */
+const InteractionSchema = new mongoose.Schema({
+  article: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Article',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['view', 'save', 'share'],
+    required: true
+  },
+
+  // 'user:<id>' for signed-in users, 'anon:<hash of ip + user agent>' otherwise
+  actorKey: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  isBot: {
+    type: Boolean,
+    default: false
+  },
+
+  // Repeat tracking
+  count: {
+    type: Number,
+    default: 1
+  },
+  firstAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes
+InteractionSchema.index({ article: 1, type: 1, actorKey: 1 }, { unique: true });
+InteractionSchema.index({ actorKey: 1, lastAt: -1 });
+InteractionSchema.index({ lastAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 }); // Keep 30 days
+
+module.exports = mongoose.model('Interaction', InteractionSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+/**
+ * RatingMapping Schema - Admin-configured mapping of a fact-checker's verdict label
+ * onto the normalized rating scale. Overrides the built-in tables in ratingNormalizer;
+ * publisher '*' applies to every publisher without a specific entry.
+ */
+const RatingMappingSchema = new mongoose.Schema({
+  publisher: {
+    type: String,
+    enum: ['*', 'alt_news', 'boom_live', 'snopes', 'politifact', 'factcheck_org', 'afp_factcheck', 'reuters_factcheck', 'other'],
+    required: true
+  },
+  // Normalized label (lowercase, punctuation stripped) - see normalizeLabel
+  label: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  normalizedRating: {
+    type: String,
+    enum: ['true', 'mostly_true', 'half_true', 'mostly_false', 'false', 'pants_on_fire', 'unrated'],
+    required: true
+  },
+  notes: String,
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+RatingMappingSchema.index({ publisher: 1, label: 1 }, { unique: true });
+
+module.exports = mongoose.model('RatingMapping', RatingMappingSchema);
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+/**
+ * ReadHistory Schema - Articles a user has marked as read
+ */
+const ReadHistorySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  article: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Article',
+    required: true
+  },
+  readAt: {
+    type: Date,
+    default: Date.now
+  },
+  readCount: {
+    type: Number,
+    default: 1
+  }
+});
+
+// Indexes
+ReadHistorySchema.index({ user: 1, article: 1 }, { unique: true });
+ReadHistorySchema.index({ user: 1, readAt: -1 });
+
+module.exports = mongoose.model('ReadHistory', ReadHistorySchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+/**
+ * SavedArticle Schema - A user's reading list entry
+ */
+const SavedArticleSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  article: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Article',
+    required: true
+  },
+
+  // Organization
+  folder: {
+    type: String,
+    trim: true,
+    maxlength: 50,
+    default: 'Reading List'
+  },
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: 30
+  }],
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+SavedArticleSchema.index({ user: 1, article: 1 }, { unique: true });
+SavedArticleSchema.index({ user: 1, folder: 1, createdAt: -1 });
+SavedArticleSchema.index({ user: 1, tags: 1 });
+
+// Folders with entry counts for a user
+SavedArticleSchema.statics.getFolders = function(userId) {
+  return this.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(userId) } },
+    {
+      $group: {
+        _id: '$folder',
+        count: { $sum: 1 },
+        lastSaved: { $max: '$createdAt' }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+};
+
+module.exports = mongoose.model('SavedArticle', SavedArticleSchema);
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+
+// Filter pipeline layers that carry a weight
+const LAYERS = ['keyword', 'credibility', 'aiQuality', 'aiCredibility', 'engagement'];
+
+/**
+ * ScoringProfile Schema - Versioned weights and thresholds for the filter pipeline
+ * Exactly one profile is active at a time; articles record the profile that scored them
+ */
+const ScoringProfileSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+
+  // Layer weights (must sum to 1)
+  weights: {
+    keyword: { type: Number, min: 0, max: 1, required: true },
+    credibility: { type: Number, min: 0, max: 1, required: true },
+    aiQuality: { type: Number, min: 0, max: 1, required: true },
+    aiCredibility: { type: Number, min: 0, max: 1, required: true },
+    engagement: { type: Number, min: 0, max: 1, required: true }
+  },
+
+  // Score cutoffs
+  thresholds: {
+    passing: { type: Number, min: 0, max: 100, default: 60 },
+    autoApprove: { type: Number, min: 0, max: 100, default: 70 },
+    autoReject: { type: Number, min: 0, max: 100, default: 40 }
+  },
+
+  // Status
+  isActive: {
+    type: Boolean,
+    default: false
+  },
+  activatedAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+ScoringProfileSchema.index({ isActive: 1 });
+
+// Validate weights and threshold ordering
+ScoringProfileSchema.pre('validate', function() {
+  const total = LAYERS.reduce((sum, layer) => sum + (this.weights[layer] || 0), 0);
+
+  if (Math.abs(total - 1) > 0.001) {
+    this.invalidate('weights', `Weights must sum to 1 (got ${total.toFixed(3)})`);
+  }
+
+  const { autoReject, passing, autoApprove } = this.thresholds;
+  if (!(autoReject <= passing && passing <= autoApprove)) {
+    this.invalidate('thresholds', 'Thresholds must satisfy autoReject <= passing <= autoApprove');
+  }
+});
+
+ScoringProfileSchema.statics.LAYERS = LAYERS;
+
+// Profile used until an admin activates another one
+ScoringProfileSchema.statics.DEFAULT_PROFILE = {
+  name: 'Default',
+  description: 'Original pipeline weights',
+  version: 1,
+  weights: {
+    keyword: 0.20,
+    credibility: 0.30,
+    aiQuality: 0.25,
+    aiCredibility: 0.10,
+    engagement: 0.15
+  },
+  thresholds: {
+    passing: 60,
+    autoApprove: 70,
+    autoReject: 40
+  }
+};
+
+// Get the active profile, seeding the default on first use
+ScoringProfileSchema.statics.getActive = async function() {
+  const active = await this.findOne({ isActive: true });
+  if (active) return active;
+
+  return this.findOneAndUpdate(
+    { version: this.DEFAULT_PROFILE.version },
+    {
+      $setOnInsert: this.DEFAULT_PROFILE,
+      $set: { isActive: true, activatedAt: new Date() }
+    },
+    { upsert: true, new: true }
+  );
+};
+
+// Next free version number
+ScoringProfileSchema.statics.nextVersion = async function() {
+  const latest = await this.findOne().sort({ version: -1 }).select('version');
+  return latest ? latest.version + 1 : 1;
+};
+
+// Make this profile the only active one
+ScoringProfileSchema.methods.activate = async function() {
+  await this.constructor.updateMany(
+    { _id: { $ne: this._id }, isActive: true },
+    { isActive: false }
+  );
+  this.isActive = true;
+  this.activatedAt = new Date();
+  return this.save();
+};
+
+module.exports = mongoose.model('ScoringProfile', ScoringProfileSchema);
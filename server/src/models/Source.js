@@ -17,6 +17,30 @@ const SourceSchema = new mongoose.Schema({
     trim: true,
     index: true
   },
+  // Identity registry: every domain the outlet publishes on and every other
+  // name providers use for it, resolved to this source (see sourceResolver)
+  domains: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  aliases: [{
+    type: String,
+    trim: true
+  }],
+  // 'outlet' = a publisher rated for credibility
+  // 'aggregator' = an ingestion feed spanning many outlets (e.g. NewsAPI headlines)
+  kind: {
+    type: String,
+    enum: ['outlet', 'aggregator'],
+    default: 'outlet'
+  },
+  // Satire/parody outlet: its articles are labelled satire instead of being
+  // scored as misinformation (see satireDetector)
+  isSatire: {
+    type: Boolean,
+    default: false
+  },
 
   // Credibility Information
   credibilityRating: {
@@ -36,6 +60,13 @@ const SourceSchema = new mongoose.Schema({
       enum: ['very-high', 'high', 'mixed', 'low', 'very-low', 'unknown'],
       default: 'unknown'
     },
+    // Curated or manually set score; automatic adjustments drift at most
+    // a bounded amount away from it (see credibilityAdjuster)
+    baselineScore: {
+      type: Number,
+      min: 0,
+      max: 100
+    },
     lastUpdated: {
       type: Date,
       default: Date.now
@@ -53,9 +84,40 @@ const SourceSchema = new mongoose.Schema({
   },
   fetchFrequency: {
     type: Number,
+    min: [5, 'Fetch frequency must be at least 5 minutes'],
     default: 60 // minutes
   },
+  // Start of the last scheduled run that fetched this source's own feed
   lastFetched: Date,
+  // When an article from this outlet was last stored, by any provider
+  lastArticleAt: Date,
+  feedUrl: {
+    type: String,
+    trim: true
+  },
+
+  // Ingestion Provider Configuration
+  ingestion: {
+    provider: {
+      type: String,
+      enum: ['newsapi', 'rss'],
+      default: null
+    },
+    // Provider-specific options (endpoint, country, domains, apiKey, ...)
+    config: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    // Which scheduled fetch run picks this source up
+    region: {
+      type: String,
+      enum: ['international', 'india'],
+      default: 'international'
+    },
+    // Conditional GET validators from the last feed response
+    etag: String,
+    lastModified: String
+  },
 
   // Statistics
   stats: {
@@ -74,19 +136,32 @@ const SourceSchema = new mongoose.Schema({
     averageQualityScore: {
       type: Number,
       default: 0
-    }
+    },
+    // Human decisions (latest per article), weighted more than pipeline outcomes
+    curatorApproved: {
+      type: Number,
+      default: 0
+    },
+    curatorRejected: {
+      type: Number,
+      default: 0
+    },
+    lastComputed: Date
   }
 }, {
   timestamps: true
 });
 
+// Indexes
+SourceSchema.index({ domains: 1 });
+SourceSchema.index({ aliases: 1 });
+
 // Default credibility ratings for major news sources
 SourceSchema.statics.DEFAULT_RATINGS = {
   // International Sources
   'Reuters': { overallScore: 95, biasRating: 'center', factualReporting: 'very-high' },
   'Associated Press': { overallScore: 95, biasRating: 'center', factualReporting: 'very-high' },
   'BBC News': { overallScore: 90, biasRating: 'center-left', factualReporting: 'high' },
-  'BBC': { overallScore: 90, biasRating: 'center-left', factualReporting: 'high' },
   'NPR': { overallScore: 88, biasRating: 'center-left', factualReporting: 'high' },
   'PBS': { overallScore: 88, biasRating: 'center', factualReporting: 'high' },
   'The Guardian': { overallScore: 85, biasRating: 'left', factualReporting: 'high' },
@@ -130,7 +205,6 @@ SourceSchema.statics.DEFAULT_RATINGS = {
   'Times of India': { overallScore: 72, biasRating: 'center', factualReporting: 'mixed' },
   'The Economic Times': { overallScore: 82, biasRating: 'center', factualReporting: 'high' },
   'Business Standard': { overallScore: 85, biasRating: 'center', factualReporting: 'high' },
-  'Mint': { overallScore: 84, biasRating: 'center', factualReporting: 'high' },
   'The Wire': { overallScore: 78, biasRating: 'center-left', factualReporting: 'high' },
   'Scroll.in': { overallScore: 76, biasRating: 'center-left', factualReporting: 'high' },
   'The Quint': { overallScore: 74, biasRating: 'center-left', factualReporting: 'high' },
@@ -173,6 +247,199 @@ SourceSchema.statics.DEFAULT_RATINGS = {
   'ET Now': { overallScore: 76, biasRating: 'center', factualReporting: 'high' }
 };
 
+// Domains and alternate names of rated outlets (seeded once, then managed per document)
+SourceSchema.statics.DEFAULT_IDENTITIES = {
+  // International Sources
+  'Reuters': { domains: ['reuters.com'] },
+  'Associated Press': { domains: ['apnews.com'], aliases: ['AP', 'AP News', 'The Associated Press'] },
+  'BBC News': { domains: ['bbc.com', 'bbc.co.uk'], aliases: ['BBC', 'BBC World'] },
+  'NPR': { domains: ['npr.org'] },
+  'PBS': { domains: ['pbs.org'], aliases: ['PBS NewsHour'] },
+  'The Guardian': { domains: ['theguardian.com'], aliases: ['Guardian'] },
+  'The New York Times': { domains: ['nytimes.com'], aliases: ['New York Times', 'NYT'] },
+  'The Washington Post': { domains: ['washingtonpost.com'], aliases: ['Washington Post'] },
+  'Wall Street Journal': { domains: ['wsj.com'], aliases: ['The Wall Street Journal', 'WSJ'] },
+  'The Economist': { domains: ['economist.com'] },
+  'Financial Times': { domains: ['ft.com'], aliases: ['FT'] },
+  'Bloomberg': { domains: ['bloomberg.com'] },
+  'Al Jazeera English': { domains: ['aljazeera.com'], aliases: ['Al Jazeera'] },
+  'CNN': { domains: ['cnn.com'] },
+  'Fox News': { domains: ['foxnews.com'] },
+  'MSNBC': { domains: ['msnbc.com'] },
+  'Breitbart News': { domains: ['breitbart.com'], aliases: ['Breitbart'] },
+  'The Daily Mail': { domains: ['dailymail.co.uk'], aliases: ['Daily Mail', 'Daily Mail Online'] },
+  'BuzzFeed News': { domains: ['buzzfeednews.com'] },
+  'Vice News': { domains: ['vice.com'], aliases: ['VICE'] },
+  'ABC News': { domains: ['abcnews.go.com'] },
+  'CBS News': { domains: ['cbsnews.com'] },
+  'NBC News': { domains: ['nbcnews.com'] },
+  'USA Today': { domains: ['usatoday.com'] },
+  'Time': { domains: ['time.com'] },
+  'Newsweek': { domains: ['newsweek.com'] },
+  'The Hill': { domains: ['thehill.com'] },
+  'Politico': { domains: ['politico.com'] },
+  'The Atlantic': { domains: ['theatlantic.com'] },
+  'Axios': { domains: ['axios.com'] },
+  'Business Insider': { domains: ['businessinsider.com'] },
+  'TechCrunch': { domains: ['techcrunch.com'] },
+  'Wired': { domains: ['wired.com'] },
+  'Ars Technica': { domains: ['arstechnica.com'] },
+  'The Verge': { domains: ['theverge.com'] },
+  'Engadget': { domains: ['engadget.com'] },
+
+  // Indian News Sources
+  'The Hindu': { domains: ['thehindu.com'] },
+  'The Indian Express': { domains: ['indianexpress.com'] },
+  'Hindustan Times': { domains: ['hindustantimes.com'] },
+  'India Today': { domains: ['indiatoday.in'] },
+  'NDTV': { domains: ['ndtv.com'], aliases: ['NDTV News'] },
+  'Times of India': { domains: ['timesofindia.indiatimes.com'], aliases: ['The Times of India'] },
+  'The Economic Times': { domains: ['economictimes.indiatimes.com'] },
+  'Business Standard': { domains: ['business-standard.com'] },
+  'LiveMint': { domains: ['livemint.com'], aliases: ['Mint'] },
+  'The Wire': { domains: ['thewire.in'] },
+  'Scroll.in': { domains: ['scroll.in'], aliases: ['Scroll'] },
+  'The Quint': { domains: ['thequint.com'] },
+  'The Print': { domains: ['theprint.in'] },
+  'News18': { domains: ['news18.com'] },
+  'Zee News': { domains: ['zeenews.india.com'] },
+  'Republic World': { domains: ['republicworld.com'], aliases: ['Republic TV'] },
+  'ABP News': { domains: ['abplive.com'], aliases: ['ABP Live'] },
+  'Aaj Tak': { domains: ['aajtak.in'] },
+  'India TV': { domains: ['indiatvnews.com'] },
+  'Firstpost': { domains: ['firstpost.com'] },
+  'Deccan Herald': { domains: ['deccanherald.com'] },
+  'The Telegraph India': { domains: ['telegraphindia.com'] },
+  'The Statesman': { domains: ['thestatesman.com'] },
+  'The Tribune': { domains: ['tribuneindia.com'], aliases: ['Tribune India'] },
+  'The Pioneer': { domains: ['dailypioneer.com'] },
+  'DNA India': { domains: ['dnaindia.com'] },
+  'Free Press Journal': { domains: ['freepressjournal.in'] },
+  'Mid-Day': { domains: ['mid-day.com'] },
+  'Mumbai Mirror': { domains: ['mumbaimirror.indiatimes.com'] },
+  'The New Indian Express': { domains: ['newindianexpress.com'] },
+  'Deccan Chronicle': { domains: ['deccanchronicle.com'] },
+  'The Hans India': { domains: ['thehansindia.com'] },
+  'Outlook India': { domains: ['outlookindia.com'], aliases: ['Outlook'] },
+  'Frontline': { domains: ['frontline.thehindu.com'] },
+  'Caravan Magazine': { domains: ['caravanmagazine.in'], aliases: ['The Caravan'] },
+  'Swarajya': { domains: ['swarajyamag.com'] },
+  'OpIndia': { domains: ['opindia.com'] },
+  'Alt News': { domains: ['altnews.in'] },
+  'Boom Live': { domains: ['boomlive.in'], aliases: ['BOOM'] },
+  'PTI': { domains: ['ptinews.com'], aliases: ['Press Trust of India'] },
+  'ANI': { domains: ['aninews.in'], aliases: ['ANI News', 'Asian News International'] },
+  'IANS': { domains: ['ianslive.in'] },
+  'UNI': { domains: ['uniindia.com'], aliases: ['United News of India'] },
+  'Moneycontrol': { domains: ['moneycontrol.com'] },
+  'Financial Express': { domains: ['financialexpress.com'], aliases: ['The Financial Express'] },
+  'CNBC TV18': { domains: ['cnbctv18.com'], aliases: ['CNBC-TV18'] },
+  'ET Now': { domains: ['etnownews.com'] }
+};
+
+// Known satire outlets (seeded once as satire; an admin can clear the flag)
+SourceSchema.statics.DEFAULT_SATIRE_SOURCES = {
+  'The Onion': { domains: ['theonion.com'], aliases: ['Onion'] },
+  'The Babylon Bee': { domains: ['babylonbee.com'], aliases: ['Babylon Bee'] },
+  'ClickHole': { domains: ['clickhole.com'] },
+  'The Beaverton': { domains: ['thebeaverton.com'] },
+  'The Daily Mash': { domains: ['thedailymash.co.uk'], aliases: ['Daily Mash'] },
+  'NewsThump': { domains: ['newsthump.com'] },
+  'Waterford Whispers News': { domains: ['waterfordwhispersnews.com'], aliases: ['Waterford Whispers'] },
+  'The Borowitz Report': { domains: ['borowitzreport.com'], aliases: ['Borowitz Report'] },
+  'Faking News': { domains: ['fakingnews.com'] },
+  'The Fauxy': { domains: ['thefauxy.com'] },
+  'The UnReal Times': { domains: ['unrealtimes.com'], aliases: ['UnReal Times'] }
+};
+
+// Publisher RSS/Atom feeds for rated outlets (seeded once, then managed per document)
+SourceSchema.statics.DEFAULT_FEED_URLS = {
+  'The Hindu': 'https://www.thehindu.com/news/national/feeder/default.rss',
+  'The Indian Express': 'https://indianexpress.com/feed/',
+  'Hindustan Times': 'https://www.hindustantimes.com/feeds/rss/india-news/rssfeed.xml',
+  'India Today': 'https://www.indiatoday.in/rss/home',
+  'NDTV': 'https://feeds.feedburner.com/ndtvnews-top-stories',
+  'Times of India': 'https://timesofindia.indiatimes.com/rssfeedstopstories.cms',
+  'The Economic Times': 'https://economictimes.indiatimes.com/rssfeedsdefault.cms',
+  'Business Standard': 'https://www.business-standard.com/rss/home_page_top_stories.rss',
+  'LiveMint': 'https://www.livemint.com/rss/news',
+  'The Wire': 'https://thewire.in/rss',
+  'The Print': 'https://theprint.in/feed/',
+  'News18': 'https://www.news18.com/rss/india.xml',
+  'Deccan Herald': 'https://www.deccanherald.com/rss-feed/',
+  'Moneycontrol': 'https://www.moneycontrol.com/rss/latestnews.xml',
+  'Alt News': 'https://www.altnews.in/feed/',
+  'Boom Live': 'https://www.boomlive.in/feeds/rss'
+};
+
+// Default ingestion feeds (seeded once, then managed per document)
+SourceSchema.statics.DEFAULT_INGESTION = [
+  {
+    name: 'NewsAPI Top Headlines (US)',
+    kind: 'aggregator',
+    ingestion: {
+      provider: 'newsapi',
+      region: 'international',
+      config: {
+        endpoint: 'top-headlines',
+        country: 'us',
+        categories: ['general', 'technology', 'business', 'science', 'health', 'sports', 'entertainment'],
+        pageSize: 20
+      }
+    }
+  },
+  {
+    name: 'NewsAPI Top Headlines (India)',
+    kind: 'aggregator',
+    ingestion: {
+      provider: 'newsapi',
+      region: 'india',
+      config: {
+        endpoint: 'top-headlines',
+        country: 'in',
+        category: 'general',
+        pageSize: 100
+      }
+    }
+  },
+  {
+    name: 'NewsAPI Indian Outlets',
+    kind: 'aggregator',
+    ingestion: {
+      provider: 'newsapi',
+      region: 'india',
+      config: {
+        endpoint: 'everything',
+        domains: [
+          'thehindu.com',
+          'indianexpress.com',
+          'hindustantimes.com',
+          'indiatoday.in',
+          'ndtv.com',
+          'timesofindia.indiatimes.com',
+          'economictimes.indiatimes.com',
+          'business-standard.com',
+          'livemint.com',
+          'thewire.in',
+          'scroll.in',
+          'thequint.com',
+          'theprint.in',
+          'news18.com',
+          'firstpost.com',
+          'deccanherald.com',
+          'telegraphindia.com',
+          'newindianexpress.com',
+          'outlookindia.com',
+          'moneycontrol.com'
+        ],
+        language: 'en',
+        sortBy: 'publishedAt',
+        pageSize: 100
+      }
+    }
+  }
+];
+
 // Get or create source with default ratings
 SourceSchema.statics.getOrCreateSource = async function(sourceName) {
   let source = await this.findOne({ name: sourceName });
@@ -186,8 +453,10 @@ SourceSchema.statics.getOrCreateSource = async function(sourceName) {
 
     source = await this.create({
       name: sourceName,
+      ...this.DEFAULT_IDENTITIES[sourceName],
       credibilityRating: {
         ...defaultRating,
+        baselineScore: defaultRating.overallScore,
         lastUpdated: new Date(),
         source: this.DEFAULT_RATINGS[sourceName] ? 'curated' : 'default'
       }
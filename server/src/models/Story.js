@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+/**
+ * Story Schema - Persistent cluster of articles covering the same event
+ * Maintained by the story clusterer (TF-IDF + incremental agglomerative clustering)
+ */
+const StorySchema = new mongoose.Schema({
+  // Headline of the member article closest to the centroid
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  // Top TF-IDF terms of the cluster centroid
+  keywords: [{
+    type: String,
+    lowercase: true
+  }],
+  centroid: [{
+    _id: false,
+    term: String,
+    weight: Number
+  }],
+
+  // Members
+  articles: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Article'
+  }],
+  sources: [String],
+  articleCount: {
+    type: Number,
+    default: 0
+  },
+  sourceCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Timing
+  firstSeen: {
+    type: Date,
+    default: Date.now
+  },
+  lastUpdated: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Status
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Story',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+StorySchema.index({ isActive: 1, lastUpdated: -1 });
+StorySchema.index({ isActive: 1, sourceCount: -1 });
+StorySchema.index({ keywords: 1 });
+
+// Statics
+StorySchema.statics.getTrending = function(options = {}) {
+  const {
+    limit = 10,
+    since = new Date(Date.now() - 24 * 60 * 60 * 1000),
+    minSources = 2
+  } = options;
+
+  return this.find({
+    isActive: true,
+    lastUpdated: { $gte: since },
+    sourceCount: { $gte: minSources }
+  })
+    .sort({ sourceCount: -1, lastUpdated: -1 })
+    .limit(limit);
+};
+
+module.exports = mongoose.model('Story', StorySchema);
@@ -27,7 +27,7 @@ const UserSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: ['user', 'curator', 'admin'],
     default: 'user'
   },
   isEmailVerified: {
@@ -36,6 +36,50 @@ const UserSchema = new mongoose.Schema({
   },
   lastLogin: {
     type: Date
+  },
+
+  // Feed preferences
+  preferences: {
+    followedCategories: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category'
+    }],
+    followedSources: [{
+      type: String,
+      trim: true
+    }],
+    minCredibility: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 0
+    },
+
+    // Dashboard defaults
+    defaultCategory: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+    mutedSources: [{
+      type: String,
+      trim: true
+    }],
+    minScore: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 0
+    },
+    // Bias ratings to show (empty = all)
+    biasFilter: [{
+      type: String,
+      enum: ['left', 'center-left', 'center', 'center-right', 'right', 'unknown']
+    }],
+    showIndianNews: {
+      type: Boolean,
+      default: true
+    }
   }
 }, {
   timestamps: true // Adds createdAt and updatedAt
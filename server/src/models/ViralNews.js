@@ -23,6 +23,13 @@ const ViralNewsSchema = new mongoose.Schema({
     lowercase: true
   }],
 
+  // Story cluster this viral story was detected from
+  story: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Story',
+    default: null
+  },
+
   // Virality Metrics
   virality: {
     score: {
@@ -40,6 +47,10 @@ const ViralNewsSchema = new mongoose.Schema({
       type: Number, // How fast it's spreading (mentions/hour)
       default: 0
     },
+    acceleration: {
+      type: Number, // Change in velocity per hour (negative = fading)
+      default: 0
+    },
     reach: {
       type: Number, // Estimated total reach
       default: 0
@@ -84,6 +95,9 @@ const ViralNewsSchema = new mongoose.Schema({
       enum: ['factual', 'opinion', 'prediction', 'quote', 'statistic', 'event'],
       default: 'factual'
     },
+    speaker: String, // Who the claim is attributed to, if anyone
+    dateText: String, // Date or time the claim refers to, as written
+    mentions: { type: Number, default: 1 }, // Related articles carrying the claim
     verification: {
       status: {
         type: String,
@@ -121,13 +135,16 @@ const ViralNewsSchema = new mongoose.Schema({
       enum: ['supports', 'contradicts', 'neutral', 'different_angle'],
       default: 'neutral'
     },
-    credibilityScore: Number
+    credibilityScore: Number // Rating of the article's source
   }],
 
   // Social Media Presence
   socialMedia: {
     twitter: {
-      mentionCount: { type: Number, default: 0 },
+      mentionCount: { type: Number, default: 0 }, // Matching posts seen so far
+      // Newest post ID and time of the last search, so each search only fetches new posts
+      sinceId: String,
+      lastSearched: Date,
       sentiment: { type: String, enum: ['positive', 'negative', 'neutral', 'mixed'], default: 'neutral' },
       topTweets: [{
         id: String,
@@ -162,8 +179,13 @@ const ViralNewsSchema = new mongoose.Schema({
       type: String,
       enum: ['true', 'mostly_true', 'half_true', 'mostly_false', 'false', 'pants_on_fire', 'unrated']
     },
+    needsRatingReview: { type: Boolean, default: false }, // rating could not be normalized
     summary: String,
-    checkedAt: Date
+    checkedAt: Date,
+    // Set when linked automatically from the local fact-check store
+    factCheck: { type: mongoose.Schema.Types.ObjectId, ref: 'FactCheck' },
+    matchedClaim: String,
+    similarity: Number
   }],
 
   // Origin Tracking - Where did this story first appear?
@@ -180,7 +202,22 @@ const ViralNewsSchema = new mongoose.Schema({
     originalClaim: String,
     spreadPattern: [{
       source: String,
+      url: String,
+      type: {
+        type: String,
+        enum: ['news', 'social_media', 'blog', 'official', 'unknown'],
+        default: 'unknown'
+      },
       timestamp: Date,
+      text: String, // The claim as this source worded it
+      derivedFrom: String, // Most similar earlier step
+      similarity: Number, // To the original claim
+      diff: [{
+        _id: false,
+        op: { type: String, enum: ['equal', 'insert', 'delete'] },
+        text: String
+      }],
+      preOrigin: Boolean, // Published before the credible origin
       modification: String // How the story changed
     }]
   },
@@ -192,6 +229,24 @@ const ViralNewsSchema = new mongoose.Schema({
       enum: ['fabricated', 'manipulated', 'out_of_context', 'misleading_headline', 'satire_misunderstood', 'old_news_recycled', 'partial_truth', 'none'],
       default: 'none'
     },
+    riskScore: Number, // 0-100, see misinformationClassifier
+    signals: [{
+      _id: false,
+      signal: String,
+      category: String,
+      weight: Number, // Log-odds contribution; negative lowers risk
+      matched: String // Text or evidence that triggered it
+    }],
+    // Earlier coverage this story repeats (see recycledNewsDetector)
+    recycledFrom: {
+      articleId: { type: mongoose.Schema.Types.ObjectId, ref: 'Article' },
+      url: String,
+      title: String,
+      source: String,
+      publishedAt: Date,
+      similarity: Number,
+      ageDays: Number // Days between the original and this story
+    },
     misleadingElements: [{
       element: String, // What part is misleading
       reality: String, // What the truth is
@@ -231,6 +286,7 @@ const ViralNewsSchema = new mongoose.Schema({
 ViralNewsSchema.index({ 'virality.score': -1 });
 ViralNewsSchema.index({ 'verification.status': 1 });
 ViralNewsSchema.index({ keywords: 1 });
+ViralNewsSchema.index({ story: 1 });
 ViralNewsSchema.index({ createdAt: -1 });
 ViralNewsSchema.index({ isTrending: 1, 'virality.score': -1 });
 ViralNewsSchema.index({ '$**': 'text' }); // Full-text search
@@ -269,7 +325,7 @@ ViralNewsSchema.virtual('reliabilityScore').get(function() {
       'mostly_false': 30, 'false': 10, 'pants_on_fire': 0
     };
     const avgFactCheck = this.factChecks.reduce((sum, fc) =>
-      sum + (factCheckScores[fc.normalizedRating] || 50), 0) / this.factChecks.length;
+      sum + (factCheckScores[fc.normalizedRating] ?? 50), 0) / this.factChecks.length;
     score = score * (1 - factCheckWeight) + avgFactCheck * factCheckWeight;
   }
 
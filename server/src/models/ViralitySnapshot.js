@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+/**
+ * ViralitySnapshot Schema - Periodic measurement of a viral story's spread
+ * The series gives velocity, acceleration and peak timing (see viralityTracker)
+ */
+const ViralitySnapshotSchema = new mongoose.Schema({
+  viralNews: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ViralNews',
+    required: true
+  },
+  takenAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Raw measurements
+  mentionCount: { type: Number, default: 0 }, // Articles in the story cluster
+  sourceCount: { type: Number, default: 0 },
+  xPostCount: { type: Number, default: 0 }, // Matching X posts seen so far (cumulative)
+  xEngagement: { type: Number, default: 0 }, // Their engagement when first seen
+  reach: { type: Number, default: 0 },
+
+  // Derived from the previous snapshot
+  velocity: { type: Number, default: 0 }, // New mentions per hour
+  acceleration: { type: Number, default: 0 } // Change in velocity per hour
+}, {
+  timestamps: false
+});
+
+ViralitySnapshotSchema.index({ viralNews: 1, takenAt: -1 });
+// Snapshots are only needed while a story can still trend
+ViralitySnapshotSchema.index({ takenAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('ViralitySnapshot', ViralitySnapshotSchema);
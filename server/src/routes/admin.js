@@ -0,0 +1,82 @@
+/**
+ * Admin Routes
+ * Pipeline configuration and maintenance (admin only)
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  getScoringProfiles,
+  createScoringProfile,
+  activateScoringProfile,
+  simulateScoringProfile,
+  reprocessArticles,
+  updateUserRole,
+  getCredibilityChanges,
+  runCredibilityAdjustment
+} = require('../controllers/adminController');
+const {
+  getSources,
+  resolveSourceIdentity,
+  importSourceRatings,
+  exportSourceRatings,
+  getSource,
+  createSource,
+  updateSource,
+  deleteSource,
+  getSourceHistory
+} = require('../controllers/sourceController');
+const {
+  importFactCheckData,
+  getFactChecks,
+  getRatingMappingTables,
+  getUnmappedRatingQueue,
+  upsertRatingMapping,
+  removeRatingMapping
+} = require('../controllers/factCheckController');
+const { protect, admin } = require('../middleware/auth');
+
+// All admin routes require an authenticated admin
+router.use(protect, admin);
+
+// Scoring profiles
+router.get('/scoring-profiles', getScoringProfiles);
+router.post('/scoring-profiles', createScoringProfile);
+router.post('/scoring-profiles/simulate', simulateScoringProfile);
+router.put('/scoring-profiles/:id/activate', activateScoringProfile);
+
+// Article maintenance
+router.post('/articles/reprocess', reprocessArticles);
+
+// Sources
+router.get('/sources', getSources);
+router.post('/sources', createSource);
+router.get('/sources/resolve', resolveSourceIdentity);
+router.post(
+  '/sources/import',
+  express.json({ limit: '5mb' }),
+  express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }),
+  importSourceRatings
+);
+router.get('/sources/export', exportSourceRatings);
+router.get('/sources/:id', getSource);
+router.put('/sources/:id', updateSource);
+router.delete('/sources/:id', deleteSource);
+router.get('/sources/:id/history', getSourceHistory);
+
+// Source credibility
+router.get('/credibility-changes', getCredibilityChanges);
+router.post('/credibility/adjust', runCredibilityAdjustment);
+
+// Fact-check store (ClaimReview)
+router.get('/fact-checks', getFactChecks);
+router.post('/fact-checks/import', express.json({ type: ['application/json', 'application/ld+json'], limit: '10mb' }), importFactCheckData);
+router.get('/rating-mappings', getRatingMappingTables);
+router.get('/rating-mappings/unmapped', getUnmappedRatingQueue);
+router.put('/rating-mappings', upsertRatingMapping);
+router.delete('/rating-mappings/:id', removeRatingMapping);
+
+// Users
+router.put('/users/:id/role', updateUserRole);
+
+module.exports = router;
@@ -3,7 +3,10 @@ const router = express.Router();
 const {
   getArticles,
   getArticle,
+  shareArticle,
+  getForYouArticles,
   getTrendingArticles,
+  getStories,
   getCategories,
   getSources,
   getStats,
@@ -15,11 +18,20 @@ const {
   fetchFreshIndianNews,
   getIndianSources
 } = require('../controllers/articleController');
+const {
+  saveArticle,
+  unsaveArticle,
+  markAsRead,
+  markAsUnread
+} = require('../controllers/libraryController');
+const { protect, optionalAuth } = require('../middleware/auth');
 
 // Public routes
-router.get('/', getArticles);
+router.get('/', optionalAuth, getArticles);
 router.get('/search', searchArticles);
 router.get('/trending', getTrendingArticles);
+router.get('/for-you', protect, getForYouArticles);
+router.get('/stories', getStories);
 router.get('/categories', getCategories);
 router.get('/sources', getSources);
 router.get('/stats', getStats);
@@ -35,6 +47,13 @@ router.post('/india/fetch', fetchFreshIndianNews);
 router.get('/india/sources', getIndianSources);
 
 // Single article (keep at bottom to avoid conflicts)
-router.get('/:id', getArticle);
+router.get('/:id', optionalAuth, getArticle);
+router.post('/:id/share', optionalAuth, shareArticle);
+
+// Reading list (signed-in users)
+router.post('/:id/save', protect, saveArticle);
+router.delete('/:id/save', protect, unsaveArticle);
+router.post('/:id/read', protect, markAsRead);
+router.delete('/:id/read', protect, markAsUnread);
 
 module.exports = router;
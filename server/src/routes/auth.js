@@ -4,6 +4,8 @@ const {
   register,
   login,
   getMe,
+  getPreferences,
+  updatePreferences,
   logout
 } = require('../controllers/authController');
 const { protect } = require('../middleware/auth');
@@ -14,6 +16,8 @@ router.post('/login', login);
 
 // Protected routes
 router.get('/me', protect, getMe);
+router.get('/me/preferences', protect, getPreferences);
+router.put('/me/preferences', protect, updatePreferences);
 router.post('/logout', protect, logout);
 
 module.exports = router;
@@ -0,0 +1,29 @@
+/**
+ * Curation Routes
+ * Review queue and human curation decisions (curators and admins)
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  getReviewQueue,
+  approveArticle,
+  rejectArticle,
+  flagArticle,
+  getDecisions,
+  getArticleHistory
+} = require('../controllers/curationController');
+const { protect, curator } = require('../middleware/auth');
+
+// All curation routes require an authenticated curator or admin
+router.use(protect, curator);
+
+router.get('/queue', getReviewQueue);
+router.get('/decisions', getDecisions);
+
+router.post('/articles/:id/approve', approveArticle);
+router.post('/articles/:id/reject', rejectArticle);
+router.post('/articles/:id/flag', flagArticle);
+router.get('/articles/:id/history', getArticleHistory);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+/**
+ * Library Routes
+ * A user's saved articles and read history
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  getSavedArticles,
+  getFolders,
+  getReadHistory
+} = require('../controllers/libraryController');
+const { protect } = require('../middleware/auth');
+
+// All library routes require authentication
+router.use(protect);
+
+router.get('/saved', getSavedArticles);
+router.get('/folders', getFolders);
+router.get('/history', getReadHistory);
+
+module.exports = router;
@@ -3,6 +3,7 @@ const router = express.Router();
 const {
   getTrendingViralNews,
   getViralNewsById,
+  getViralTimeline,
   getFakeNews,
   getVerifiedNews,
   getUnverifiedNews,
@@ -28,6 +29,7 @@ router.post('/detect', runViralDetection);
 
 // Single viral news
 router.get('/:id', getViralNewsById);
+router.get('/:id/timeline', getViralTimeline);
 router.post('/:id/verify', verifyStory);
 router.post('/:id/factcheck', addFactCheck);
 
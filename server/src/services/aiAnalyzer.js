@@ -145,6 +145,13 @@ function isAIAvailable() {
   return openai !== null;
 }
 
+/**
+ * Shared OpenAI client (null when no API key is configured)
+ */
+function getOpenAIClient() {
+  return openai;
+}
+
 /**
  * Batch analyze multiple articles
  */
@@ -168,5 +175,6 @@ module.exports = {
   analyzeWithAI,
   analyzeWithHeuristics,
   analyzeArticles,
-  isAIAvailable
+  isAIAvailable,
+  getOpenAIClient
 };
@@ -0,0 +1,279 @@
+/**
+ * Claim Extractor Service
+ * Splits article text into sentences and keeps the checkable ones: numeric
+ * assertions, attributed quotes (with the speaker resolved) and event/date
+ * claims. Claims repeated across related articles are merged.
+ */
+
+const { claimSimilarity } = require('./factCheckMatcher');
+
+// Sentences outside this word range are rarely a single checkable claim
+const MIN_WORDS = 5;
+const MAX_WORDS = 60;
+const MAX_CLAIM_LENGTH = 300;
+
+// Claims kept per story / text
+const MAX_CLAIMS = 10;
+
+// Claims at least this similar are the same claim reported twice
+const DUPLICATE_SIMILARITY = 0.6;
+
+// Tokens ending in a period that do not end a sentence
+const ABBREVIATIONS = new Set([
+  'mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'st', 'gen', 'col', 'lt', 'sgt', 'capt',
+  'gov', 'sen', 'rep', 'hon', 'rs', 'no', 'vs', 'etc', 'inc', 'ltd', 'co', 'corp',
+  'jan', 'feb', 'mar', 'apr', 'jun', 'jul', 'aug', 'sep', 'sept', 'oct', 'nov', 'dec'
+]);
+
+const MONTHS = 'January|February|March|April|May|June|July|August|September|October|November|December|Jan|Feb|Mar|Apr|Jun|Jul|Aug|Sept?|Oct|Nov|Dec';
+
+const SPEECH_VERBS = 'said|says|told|stated|claimed|claims|added|alleged|alleges|announced|tweeted|wrote|posted|declared|insisted|warned|asserted';
+
+// Optional title followed by up to four capitalized words ("Chief Minister Mamata Banerjee")
+const TITLES = '(?:Prime Minister|Chief Minister|Home Minister|Finance Minister|Minister|President|Vice President|Governor|Senator|Spokesperson|Chairman|Chief|Dr|Mr|Mrs|Ms|Prof|Gen|Sen|Rep|Gov)\\.?';
+const NAME = `((?:${TITLES}\\s+)?[A-Z][\\p{L}'’.-]*(?:\\s+[A-Z][\\p{L}'’.-]*){0,3})`;
+
+const PATTERNS = {
+  quoted: /["“]([^"”]{12,})["”]/u,
+  // "...," said Name / "...," Name said
+  quoteThenSpeaker: new RegExp(`["”],?\\s+(?:${SPEECH_VERBS})\\s+${NAME}`, 'u'),
+  quoteThenNamedSpeaker: new RegExp(`["”],?\\s+${NAME}\\s+(?:${SPEECH_VERBS})\\b`, 'u'),
+  // Name said (that) ... / according to Name
+  speakerFirst: new RegExp(`(?:^|[\\s,;])${NAME}\\s+(?:has\\s+|had\\s+)?(?:${SPEECH_VERBS})\\b`, 'u'),
+  accordingTo: new RegExp(`according to\\s+${NAME}`, 'u'),
+  pronounSpeaker: new RegExp(`\\b(?:he|she|they)\\s+(?:${SPEECH_VERBS})\\b|\\b(?:${SPEECH_VERBS})\\s+(?:he|she|they)\\b`, 'i'),
+  roleSpeaker: new RegExp(`\\bthe\\s+(?:minister|president|spokesperson|spokesman|spokeswoman|official|leader|chief|governor|senator|mp|mla)\\s+(?:${SPEECH_VERBS})\\b`, 'i'),
+
+  // Numeric assertions: quantities with units, counted outcomes, money
+  statistic: /\b\d[\d,.]*\s*(?:%|percent|per cent|million|billion|trillion|crore|lakh|thousand|hundred|people|persons|dead|deaths|killed|injured|cases|votes|seats|students|soldiers|workers|homes|houses|km|kilometres|kilometers|miles|kg|tonnes|tons)\b/i,
+  currency: /(?:₹|\$|€|£|\bRs\.?|\bINR|\bUSD)\s?\d/,
+
+  // Events and dates
+  eventVerb: /\b(?:kills?|happened|occurred|took place|broke out|killed|died|arrested|launched|announced|collapsed|struck|hit|erupted|crashed|signed|banned|resigned|elected|won|lost|passed|approved|declared|attacked|exploded|flooded|detained|sentenced|inaugurated|began|started|ended|opened|shut)\b/i,
+  date: new RegExp(`\\b(?:(?:on|since|from|until|by|in)\\s+)?(?:\\d{1,2}(?:st|nd|rd|th)?\\s+(?:${MONTHS})(?:,?\\s+\\d{4})?|(?:${MONTHS})\\s+\\d{1,2}(?:st|nd|rd|th)?(?:,?\\s+\\d{4})?|\\d{1,2}[/-]\\d{1,2}[/-]\\d{2,4}|(?:Monday|Tuesday|Wednesday|Thursday|Friday|Saturday|Sunday)|(?:in|since)\\s+(?:19|20)\\d{2}|(?:last|this)\\s+(?:week|month|year))\\b`, 'i'),
+  place: /\b(?:in|at|near)\s+[A-Z][\p{L}-]+(?:\s+[A-Z][\p{L}-]+){0,2}/u,
+
+  // Not checkable: questions, hedges and first-person opinion
+  opinion: /^(?:I|We)\s+(?:think|believe|feel|hope)\b|\b(?:should|ought to|must)\s+(?:be|have|not)\b/i
+};
+
+// Capitalized words that start sentences but are not speakers
+const NOT_NAMES = new Set(['The', 'This', 'That', 'These', 'Those', 'It', 'He', 'She', 'They', 'We', 'I', 'But', 'And', 'Officials', 'Police', 'Reports', 'Sources']);
+
+/**
+ * Split text into sentences without breaking on abbreviations, initials or decimals
+ * @param {string} text
+ * @returns {Array} Sentences
+ */
+function splitSentences(text) {
+  const normalized = (text || '').replace(/\s+/g, ' ').trim();
+  const sentences = [];
+  const boundary = /[.!?]+["'”’)]*\s+(?=["'“‘(]?[A-Z0-9])/g;
+
+  let start = 0;
+  let match;
+  while ((match = boundary.exec(normalized)) !== null) {
+    const end = match.index + match[0].length;
+    const candidate = normalized.slice(start, end).trim();
+    const lastToken = candidate.split(' ').pop().replace(/[.!?"'”’)]+$/, '');
+
+    // "Dr. Singh", "U.S. officials", "J. Smith"
+    if (ABBREVIATIONS.has(lastToken.toLowerCase()) || /^(?:[A-Z]\.)*[A-Z]$/.test(lastToken)) {
+      continue;
+    }
+
+    sentences.push(candidate);
+    start = end;
+  }
+
+  const rest = normalized.slice(start).trim();
+  if (rest) sentences.push(rest);
+  return sentences;
+}
+
+/**
+ * Clean up a captured speaker name; null when it isn't a name
+ */
+function cleanName(name) {
+  const cleaned = (name || '').replace(/^The\s+/, '').replace(/[,.’']+$/, '').trim();
+  if (!cleaned) return null;
+  const first = cleaned.split(' ')[0];
+  return NOT_NAMES.has(first) && !cleaned.includes(' ') ? null : cleaned;
+}
+
+/**
+ * Resolve a speaker mention against speakers already seen in the article:
+ * pronouns and roles ("he said", "the minister said") take the last named
+ * speaker, surnames ("Modi said") expand to the full name
+ * @param {Object} mention - { name } or { pronoun: true }
+ * @param {Object} context - { lastSpeaker, speakers: Array }
+ */
+function resolveSpeaker(mention, context) {
+  if (mention.pronoun) return context.lastSpeaker;
+
+  const name = mention.name;
+  const bare = name.replace(new RegExp(`^${TITLES}\\s+`), '');
+  const full = context.speakers.find(s => s !== name && (s.endsWith(` ${bare}`) || s.endsWith(` ${name}`)));
+  const resolved = full || name;
+
+  if (!context.speakers.includes(resolved)) context.speakers.push(resolved);
+  context.lastSpeaker = resolved;
+  return resolved;
+}
+
+/**
+ * Find who a sentence is attributed to
+ * @returns {string|null} Resolved speaker
+ */
+function findSpeaker(sentence, context) {
+  for (const pattern of ['quoteThenSpeaker', 'quoteThenNamedSpeaker', 'accordingTo', 'speakerFirst']) {
+    const match = sentence.match(PATTERNS[pattern]);
+    const name = match && cleanName(match[1]);
+    if (name) return resolveSpeaker({ name }, context);
+  }
+
+  if (PATTERNS.pronounSpeaker.test(sentence) || PATTERNS.roleSpeaker.test(sentence)) {
+    return resolveSpeaker({ pronoun: true }, context);
+  }
+  return null;
+}
+
+/**
+ * Classify one sentence as a checkable claim
+ * @returns {Object|null} Claim fields, or null if not checkable
+ */
+function classifySentence(sentence, context) {
+  const words = sentence.split(' ').length;
+  const speaker = findSpeaker(sentence, context);
+
+  if (words < MIN_WORDS || words > MAX_WORDS) return null;
+  if (/\?["”]?$/.test(sentence) || PATTERNS.opinion.test(sentence)) return null;
+
+  const dateMatch = sentence.match(PATTERNS.date);
+  const dateText = dateMatch ? dateMatch[0].trim() : undefined;
+  const quoted = sentence.match(PATTERNS.quoted);
+
+  let type = null;
+  let weight = 0;
+
+  if (quoted && speaker) {
+    type = 'quote';
+    weight = 2;
+  } else if (PATTERNS.statistic.test(sentence) || PATTERNS.currency.test(sentence)) {
+    type = 'statistic';
+    weight = 3;
+  } else if (PATTERNS.eventVerb.test(sentence) && (dateText || PATTERNS.place.test(sentence))) {
+    type = 'event';
+    weight = 2;
+  }
+
+  if (!type) return null;
+  if (dateText) weight++;
+  if (speaker) weight++;
+
+  return {
+    text: sentence.length > MAX_CLAIM_LENGTH ? `${sentence.substring(0, MAX_CLAIM_LENGTH - 3)}...` : sentence,
+    type,
+    speaker: speaker || undefined,
+    dateText,
+    weight
+  };
+}
+
+/**
+ * Numbers a claim states, normalized ("1,200" -> "1200")
+ */
+function numberTokens(text) {
+  return (text.match(/\d[\d,]*(?:\.\d+)?/g) || []).map(n => n.replace(/,/g, '')).sort().join(' ');
+}
+
+/**
+ * Add a claim unless an equivalent one is already listed
+ * Claims stating different numbers are never merged - that disagreement is what stance checks look for
+ * @returns {boolean} True if added
+ */
+function mergeClaim(claims, claim) {
+  const numbers = numberTokens(claim.text);
+  const existing = claims.find(c => (
+    numberTokens(c.text) === numbers &&
+    claimSimilarity(c.text, claim.text).score >= DUPLICATE_SIMILARITY
+  ));
+  if (!existing) {
+    claims.push(claim);
+    return true;
+  }
+
+  existing.mentions++;
+  if (!existing.speaker && claim.speaker) existing.speaker = claim.speaker;
+  if (!existing.dateText && claim.dateText) existing.dateText = claim.dateText;
+  return false;
+}
+
+/**
+ * Checkable claims in one text
+ * @param {string} text - Article text
+ * @param {Object} extractedFrom - Optional { articleId, sourceName }
+ * @returns {Array} Claims (weight/mentions included for ranking)
+ */
+function extractSentenceClaims(text, extractedFrom) {
+  const context = { lastSpeaker: null, speakers: [] };
+  const claims = [];
+
+  for (const sentence of splitSentences(text)) {
+    const claim = classifySentence(sentence, context);
+    if (!claim) continue;
+    mergeClaim(claims, { ...claim, mentions: 1, ...(extractedFrom && { extractedFrom }) });
+  }
+
+  return claims;
+}
+
+/**
+ * Order claims (most repeated, then most checkable) and shape them for ViralNews.claims
+ */
+function rankClaims(claims) {
+  return claims
+    .sort((a, b) => b.mentions - a.mentions || b.weight - a.weight)
+    .slice(0, MAX_CLAIMS)
+    .map(({ weight, ...claim }) => ({
+      ...claim,
+      verification: { status: 'unverified' }
+    }));
+}
+
+/**
+ * Extract checkable claims from a single text
+ * @param {string} text
+ * @returns {Array} Claims
+ */
+function extractClaims(text) {
+  return rankClaims(extractSentenceClaims(text));
+}
+
+/**
+ * Extract claims from several related articles, merging claims they share
+ * Earlier articles win, so extractedFrom points at the first outlet to carry a claim
+ * @param {Array} articles - [{ articleId, sourceName, text }] in publication order
+ * @returns {Array} Claims
+ */
+function extractClaimsFromArticles(articles) {
+  const claims = [];
+
+  for (const article of articles) {
+    const extractedFrom = { articleId: article.articleId, sourceName: article.sourceName };
+    // A claim repeated within one article counts once for that article
+    for (const claim of extractSentenceClaims(article.text, extractedFrom)) {
+      mergeClaim(claims, { ...claim, mentions: 1 });
+    }
+  }
+
+  return rankClaims(claims);
+}
+
+module.exports = {
+  extractClaims,
+  extractClaimsFromArticles,
+  splitSentences,
+  classifySentence,
+  resolveSpeaker
+};
@@ -0,0 +1,231 @@
+/**
+ * Content Extractor Service
+ * Readability-style extraction of full article text from publisher pages
+ */
+
+const axios = require('axios');
+const cheerio = require('cheerio');
+const logger = require('../utils/logger');
+
+// Maximum characters kept from an extracted article body
+const MAX_CONTENT_LENGTH = 10000;
+
+// Minimum length for extracted text to count as a full article
+const MIN_FULL_CONTENT_LENGTH = 500;
+
+// Generic article body selectors, tried in order
+const ARTICLE_SELECTORS = [
+  'article',
+  '.article-content',
+  '.story-content',
+  '.post-content',
+  '.entry-content',
+  'div[itemprop="articleBody"]',
+  '.content-body',
+  'main p'
+];
+
+// Per-domain selector overrides, tried before the generic selectors
+const DOMAIN_SELECTORS = {
+  'thehindu.com': ['.articlebodycontent'],
+  'indianexpress.com': ['#pcl-full-content', '.full-details'],
+  'hindustantimes.com': ['.storyDetails', '.detail'],
+  'indiatoday.in': ['.story__content', '.description'],
+  'ndtv.com': ['.sp-cn', '#ins_storybody'],
+  'timesofindia.indiatimes.com': ['[data-articlebody]', '.Normal'],
+  'economictimes.indiatimes.com': ['.artText', '.article_content'],
+  'business-standard.com': ['.storycontent', '.story-content'],
+  'livemint.com': ['[class*="storyContent"]', '.mainArea'],
+  'thewire.in': ['.postCont', '.grey-text'],
+  'scroll.in': ['#article-contents'],
+  'theprint.in': ['.td-post-content'],
+  'news18.com': ['.article_content', '#article_body'],
+  'deccanherald.com': ['.article-body', '#text-element-with-ad'],
+  'moneycontrol.com': ['.content_wrapper', '#contentdata'],
+  'reuters.com': ['[data-testid="ArticleBody"]', '[class*="article-body__content"]'],
+  'bbc.com': ['[data-component="text-block"]'],
+  'bbc.co.uk': ['[data-component="text-block"]'],
+  'theguardian.com': ['#maincontent', '.article-body-commercial-selector'],
+  'apnews.com': ['.RichTextStoryBody', '.Article']
+};
+
+// Elements that never contain article text
+const NOISE_SELECTORS = 'script, style, noscript, iframe, nav, header, footer, aside, form, figure, .ad, .ads, .advertisement, .social-share, .related-articles, .newsletter';
+
+/**
+ * Normalize a hostname for selector lookup
+ * @param {string} hostname - URL hostname
+ * @returns {string} Domain without www.
+ */
+function cleanDomain(hostname) {
+  return hostname.replace(/^www\./, '').toLowerCase();
+}
+
+/**
+ * Collapse whitespace in extracted text
+ */
+function cleanText(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Get selector overrides for a domain (matches parent domains too)
+ * @param {string} domain - Clean domain
+ * @returns {Array} Selectors
+ */
+function getDomainSelectors(domain) {
+  const match = Object.keys(DOMAIN_SELECTORS).find(d => domain === d || domain.endsWith(`.${d}`));
+  return match ? DOMAIN_SELECTORS[match] : [];
+}
+
+/**
+ * Score paragraph containers and return the text of the densest one
+ * @param {Function} $ - Cheerio instance
+ * @returns {string} Best candidate text
+ */
+function extractByParagraphDensity($) {
+  const candidates = new Map();
+
+  $('p').each((i, el) => {
+    const text = cleanText($(el).text());
+    if (text.length < 40) return;
+
+    const parent = el.parent;
+    if (!parent) return;
+
+    const current = candidates.get(parent) || { score: 0, paragraphs: [] };
+    current.score += text.length + (text.match(/,/g) || []).length * 10;
+    current.paragraphs.push(text);
+    candidates.set(parent, current);
+  });
+
+  let best = null;
+  for (const candidate of candidates.values()) {
+    if (!best || candidate.score > best.score) {
+      best = candidate;
+    }
+  }
+
+  return best ? best.paragraphs.join(' ') : '';
+}
+
+/**
+ * Extract article fields from an HTML document
+ * @param {string} html - Page HTML
+ * @param {string} url - Page URL
+ * @param {Object} options - { selectors: extra selectors tried first }
+ * @returns {Object} Extracted article
+ */
+function extractFromHTML(html, url, options = {}) {
+  const $ = cheerio.load(html);
+  const domain = cleanDomain(new URL(url).hostname);
+
+  // Extract title (try multiple selectors)
+  const title = cleanText(
+    $('meta[property="og:title"]').attr('content') ||
+    $('meta[name="twitter:title"]').attr('content') ||
+    $('h1').first().text() ||
+    $('title').text()
+  ) || 'Untitled';
+
+  // Extract description
+  const description = cleanText(
+    $('meta[property="og:description"]').attr('content') ||
+    $('meta[name="description"]').attr('content') ||
+    $('meta[name="twitter:description"]').attr('content')
+  );
+
+  // Extract publish date
+  const publishedAt = $('meta[property="article:published_time"]').attr('content') ||
+                      $('meta[name="publish-date"]').attr('content') ||
+                      $('time').attr('datetime');
+
+  $(NOISE_SELECTORS).remove();
+
+  // Domain overrides first, then generic selectors
+  const selectors = [
+    ...(options.selectors || []),
+    ...getDomainSelectors(domain),
+    ...ARTICLE_SELECTORS
+  ];
+
+  let content = '';
+  let method = 'none';
+
+  for (const selector of selectors) {
+    const el = $(selector);
+    if (el.length > 0) {
+      content = cleanText(el.text());
+      if (content.length > 200) {
+        method = selector;
+        break; // Found substantial content
+      }
+    }
+  }
+
+  // Fallback: densest paragraph container
+  if (content.length < 200) {
+    content = extractByParagraphDensity($);
+    method = 'paragraph-density';
+  }
+
+  // Last resort: all paragraph text
+  if (content.length < 200) {
+    content = cleanText($('p').map((i, el) => $(el).text()).get().join(' '));
+    method = 'all-paragraphs';
+  }
+
+  content = content.substring(0, MAX_CONTENT_LENGTH);
+
+  return {
+    title,
+    description: description || content.substring(0, 300),
+    url,
+    domain,
+    content: content || description,
+    publishedAt: publishedAt ? new Date(publishedAt) : null,
+    contentLength: content.length,
+    isFullText: content.length >= MIN_FULL_CONTENT_LENGTH,
+    method
+  };
+}
+
+/**
+ * Fetch a page and extract its article
+ * @param {string} url - Article URL
+ * @param {Object} options - { selectors, timeout }
+ * @returns {Object} Extracted article
+ */
+async function extractArticle(url, options = {}) {
+  const response = await axios.get(url, {
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+    },
+    timeout: options.timeout || 15000
+  });
+
+  const extracted = extractFromHTML(response.data, url, options);
+  logger.info(`Extracted article: ${extracted.title.substring(0, 50)}... (${extracted.contentLength} chars via ${extracted.method})`);
+
+  return extracted;
+}
+
+/**
+ * Check whether stored content is a provider stub rather than the full article
+ * NewsAPI truncates content to ~200 chars and appends "[+1234 chars]"
+ * @param {string} content - Article content
+ * @returns {boolean} True if content looks truncated
+ */
+function isTruncated(content) {
+  if (!content) return true;
+  if (/\[\+\d+ chars\]\s*$/.test(content)) return true;
+  return content.length < MIN_FULL_CONTENT_LENGTH;
+}
+
+module.exports = {
+  extractArticle,
+  extractFromHTML,
+  isTruncated,
+  DOMAIN_SELECTORS,
+  ARTICLE_SELECTORS
+};
@@ -0,0 +1,188 @@
+/**
+ * Credibility Adjuster Service
+ * Nudges source credibility scores toward what curation outcomes suggest,
+ * a few points per run and never further than MAX_DRIFT from the curated baseline
+ */
+
+const Source = require('../models/Source');
+const CredibilityChange = require('../models/CredibilityChange');
+const logger = require('../utils/logger');
+
+// Furthest an automatic adjustment may move a score from its baseline
+const MAX_DRIFT = 10;
+
+// Largest change applied in a single run
+const MAX_STEP = 2;
+
+// Decided (approved + rejected) articles needed before a source is adjusted,
+// and the count at which its signals are fully trusted
+const MIN_DECIDED = 20;
+const FULL_CONFIDENCE_DECIDED = 100;
+
+// Curator decisions needed before they count as a signal
+const MIN_CURATOR_DECISIONS = 5;
+
+// Relative weight of each signal
+const SIGNAL_WEIGHTS = {
+  approval: 0.35,
+  quality: 0.35,
+  curator: 0.3
+};
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+const percent = value => `${Math.round(value * 100)}%`;
+
+/**
+ * Approval rate and average quality across all outlets, the yardstick each
+ * source is compared against
+ * @param {Array} sources - Lean sources with stats
+ * @returns {Object} { approvalRate, averageQuality }
+ */
+function getGlobalBaseline(sources) {
+  let approved = 0;
+  let decided = 0;
+  let qualityTotal = 0;
+
+  for (const { stats } of sources) {
+    const count = (stats?.articlesApproved || 0) + (stats?.articlesRejected || 0);
+    approved += stats?.articlesApproved || 0;
+    decided += count;
+    qualityTotal += (stats?.averageQualityScore || 0) * count;
+  }
+
+  return {
+    approvalRate: decided > 0 ? approved / decided : 0,
+    averageQuality: decided > 0 ? qualityTotal / decided : 0
+  };
+}
+
+/**
+ * Work out where a source's score should be heading and why
+ * @param {Object} source - Lean source with stats and credibilityRating
+ * @param {Object} global - Result of getGlobalBaseline
+ * @returns {Object|null} { target, signals, reason } or null when there is too little evidence
+ */
+function computeTarget(source, global) {
+  const stats = source.stats || {};
+  const decided = (stats.articlesApproved || 0) + (stats.articlesRejected || 0);
+  if (decided < MIN_DECIDED) return null;
+
+  const baseline = source.credibilityRating.baselineScore ?? source.credibilityRating.overallScore;
+  const approvalRate = stats.articlesApproved / decided;
+
+  // Each signal is in -1..1, positive meaning the source does better than average
+  const signals = {
+    approval: clamp((approvalRate - global.approvalRate) / 0.5, -1, 1),
+    quality: clamp((stats.averageQualityScore - global.averageQuality) / 25, -1, 1)
+  };
+  const reasons = [
+    `approval rate ${percent(approvalRate)} vs ${percent(global.approvalRate)} overall`,
+    `average quality ${Math.round(stats.averageQualityScore)} vs ${Math.round(global.averageQuality)} overall`
+  ];
+
+  const curatorDecisions = (stats.curatorApproved || 0) + (stats.curatorRejected || 0);
+  if (curatorDecisions >= MIN_CURATOR_DECISIONS) {
+    signals.curator = (stats.curatorApproved / curatorDecisions - 0.5) * 2;
+    reasons.push(`curators approved ${stats.curatorApproved} of ${curatorDecisions}`);
+  }
+
+  // Weighted mean of the signals present
+  let weightTotal = 0;
+  let combined = 0;
+  for (const [name, value] of Object.entries(signals)) {
+    combined += SIGNAL_WEIGHTS[name] * value;
+    weightTotal += SIGNAL_WEIGHTS[name];
+  }
+  combined /= weightTotal;
+
+  for (const name of Object.keys(signals)) {
+    signals[name] = Math.round(signals[name] * 100) / 100;
+  }
+
+  const confidence = Math.min(1, decided / FULL_CONFIDENCE_DECIDED);
+  const target = clamp(Math.round(baseline + MAX_DRIFT * combined * confidence), 0, 100);
+
+  return {
+    target,
+    signals: {
+      ...signals,
+      combined: Math.round(combined * 100) / 100,
+      confidence: Math.round(confidence * 100) / 100,
+      decided,
+      curatorDecisions,
+      approvalRate: Math.round(approvalRate * 100) / 100,
+      averageQuality: stats.averageQualityScore,
+      globalApprovalRate: Math.round(global.approvalRate * 100) / 100,
+      globalAverageQuality: Math.round(global.averageQuality * 10) / 10,
+      target
+    },
+    reason: `${reasons.join(', ')} (${decided} decided articles) -> target ${target}, baseline ${baseline}`
+  };
+}
+
+/**
+ * Move every outlet's credibility score one step toward its target
+ * @param {Object} options - { dryRun: report without saving }
+ * @returns {Object} { checked, adjusted, changes }
+ */
+async function adjustSourceCredibility(options = {}) {
+  const { dryRun = false } = options;
+
+  const sources = await Source.find({ kind: 'outlet' })
+    .select('name credibilityRating stats')
+    .lean();
+
+  const global = getGlobalBaseline(sources);
+  const changes = [];
+
+  for (const source of sources) {
+    const plan = computeTarget(source, global);
+    if (!plan) continue;
+
+    const current = source.credibilityRating.overallScore;
+    const baseline = source.credibilityRating.baselineScore ?? current;
+    const next = clamp(
+      current + clamp(plan.target - current, -MAX_STEP, MAX_STEP),
+      baseline - MAX_DRIFT,
+      baseline + MAX_DRIFT
+    );
+    if (next === current) continue;
+
+    const change = {
+      source: source._id,
+      sourceName: source.name,
+      kind: 'auto',
+      previousScore: current,
+      newScore: next,
+      baselineScore: baseline,
+      reason: `${next > current ? 'Raised' : 'Lowered'} from ${current} to ${next}: ${plan.reason}`,
+      signals: plan.signals
+    };
+    changes.push(change);
+
+    if (dryRun) continue;
+
+    await Source.updateOne(
+      { _id: source._id },
+      {
+        'credibilityRating.overallScore': next,
+        // Sources rated before baselines existed keep their current score as baseline
+        'credibilityRating.baselineScore': baseline,
+        'credibilityRating.lastUpdated': new Date()
+      }
+    );
+    await CredibilityChange.create(change);
+    logger.info(`Credibility auto-adjust ${source.name}: ${change.reason}`);
+  }
+
+  logger.info(`Credibility adjustment ${dryRun ? '(dry run) ' : ''}complete: ${changes.length}/${sources.length} sources adjusted`);
+
+  return { checked: sources.length, adjusted: changes.length, changes };
+}
+
+module.exports = {
+  adjustSourceCredibility,
+  computeTarget,
+  getGlobalBaseline,
+  MAX_DRIFT
+};
@@ -4,24 +4,30 @@
  */
 
 const Source = require('../models/Source');
+const Article = require('../models/Article');
+const CurationDecision = require('../models/CurationDecision');
+const CredibilityChange = require('../models/CredibilityChange');
+const { resolveSourceName, clearSourceCache } = require('./sourceResolver');
 const logger = require('../utils/logger');
 
 /**
  * Get credibility rating for a news source
- * @param {string} sourceName - Name of the news source
+ * @param {string} sourceName - Name of the news source (aliases are resolved)
+ * @param {string} url - Article URL, used to resolve the source by domain (optional)
  * @returns {Object} Credibility rating object
  */
-async function getSourceCredibility(sourceName) {
+async function getSourceCredibility(sourceName, url = null) {
   try {
-    // Get or create the source with default ratings
-    const source = await Source.getOrCreateSource(sourceName);
+    // Get or create the canonical source with default ratings
+    const source = await Source.getOrCreateSource(await resolveSourceName(sourceName, url));
 
     return {
       sourceRating: source.credibilityRating.overallScore,
       biasRating: source.credibilityRating.biasRating,
       factualReporting: source.credibilityRating.factualReporting,
       overallScore: source.credibilityRating.overallScore,
-      ratingSource: source.credibilityRating.source
+      ratingSource: source.credibilityRating.source,
+      isSatire: source.isSatire
     };
   } catch (error) {
     logger.error(`Error getting credibility for ${sourceName}:`, error);
@@ -32,32 +38,62 @@ async function getSourceCredibility(sourceName) {
       biasRating: 'unknown',
       factualReporting: 'unknown',
       overallScore: 50,
-      ratingSource: 'default'
+      ratingSource: 'default',
+      isSatire: false
     };
   }
 }
 
 /**
- * Update credibility rating for a source
+ * Update credibility rating for a source and record the change in its history
  * @param {string} sourceName - Name of the news source
- * @param {Object} rating - New rating values
+ * @param {Object} rating - New rating values (omitted fields keep their current value)
+ * @param {Object} options - { changedBy: user ID, reason, kind: 'manual' | 'import', created: first rating of a new source }
  * @returns {Object} Updated source
  */
-async function updateSourceCredibility(sourceName, rating) {
+async function updateSourceCredibility(sourceName, rating, options = {}) {
   try {
+    const existing = await Source.findOne({ name: sourceName }).select('credibilityRating').lean();
+    const previous = existing?.credibilityRating || {};
+
+    const next = {
+      overallScore: rating.overallScore ?? previous.overallScore ?? 50,
+      biasRating: rating.biasRating ?? previous.biasRating ?? 'unknown',
+      factualReporting: rating.factualReporting ?? previous.factualReporting ?? 'unknown'
+    };
+
     const source = await Source.findOneAndUpdate(
       { name: sourceName },
       {
-        'credibilityRating.overallScore': rating.overallScore,
-        'credibilityRating.biasRating': rating.biasRating,
-        'credibilityRating.factualReporting': rating.factualReporting,
+        'credibilityRating.overallScore': next.overallScore,
+        'credibilityRating.baselineScore': next.overallScore,
+        'credibilityRating.biasRating': next.biasRating,
+        'credibilityRating.factualReporting': next.factualReporting,
         'credibilityRating.lastUpdated': new Date(),
         'credibilityRating.source': rating.source || 'manual'
       },
-      { new: true, upsert: true }
+      { new: true, upsert: true, runValidators: true }
     );
 
-    logger.info(`Updated credibility for ${sourceName}: ${rating.overallScore}`);
+    // A new source's first rating is always recorded, even when it matches the schema defaults
+    const changed = options.created ||
+      ['overallScore', 'biasRating', 'factualReporting'].some(key => next[key] !== previous[key]);
+    if (changed) {
+      await CredibilityChange.create({
+        source: source._id,
+        sourceName,
+        kind: options.kind || 'manual',
+        previousScore: options.created ? undefined : previous.overallScore,
+        newScore: next.overallScore,
+        baselineScore: next.overallScore,
+        biasRating: next.biasRating,
+        factualReporting: next.factualReporting,
+        reason: options.reason || 'Manual rating update',
+        changedBy: options.changedBy || null
+      });
+    }
+
+    logger.info(`Updated credibility for ${sourceName}: ${next.overallScore}`);
     return source;
   } catch (error) {
     logger.error(`Error updating credibility for ${sourceName}:`, error);
@@ -67,18 +103,95 @@ async function updateSourceCredibility(sourceName, rating) {
 
 /**
  * Get all sources with their ratings
- * @param {Object} options - Query options
+ * @param {Object} options - { enabled: true | false | null for all, kind, search, sortBy ('-field' for descending) }
  * @returns {Array} List of sources
  */
 async function getAllSources(options = {}) {
-  const { enabled = true, sortBy = 'name' } = options;
+  const { enabled = true, kind = null, search = null, sortBy = 'name' } = options;
 
   const query = {};
   if (enabled !== null) {
     query.isEnabled = enabled;
   }
+  if (kind) {
+    query.kind = kind;
+  }
+  if (search) {
+    query.name = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+  }
+
+  const descending = sortBy.startsWith('-');
+  return Source.find(query).sort({ [sortBy.replace(/^-/, '')]: descending ? -1 : 1 });
+}
+
+/**
+ * Recompute approval, rejection and quality stats for sources from stored
+ * articles (pipeline outcomes) and curator decisions
+ * @param {string} sourceName - Limit to one source (default: all sources)
+ * @returns {number} Number of sources updated
+ */
+async function refreshSourceStats(sourceName = null) {
+  const articleMatch = sourceName ? { 'source.name': sourceName } : {};
+  const decisionMatch = sourceName ? { sourceName } : {};
+
+  const [articleStats, decisionStats] = await Promise.all([
+    Article.aggregate([
+      { $match: articleMatch },
+      {
+        $group: {
+          _id: '$source.name',
+          approved: { $sum: { $cond: [{ $eq: ['$curation.status', 'approved'] }, 1, 0] } },
+          rejected: { $sum: { $cond: [{ $eq: ['$curation.status', 'rejected'] }, 1, 0] } },
+          averageScore: { $avg: '$filteringMetadata.overallScore' }
+        }
+      }
+    ]),
+    // Only the latest decision on each article counts
+    CurationDecision.aggregate([
+      { $match: decisionMatch },
+      { $sort: { createdAt: -1 } },
+      { $group: { _id: '$article', sourceName: { $first: '$sourceName' }, action: { $first: '$action' } } },
+      {
+        $group: {
+          _id: '$sourceName',
+          approved: { $sum: { $cond: [{ $eq: ['$action', 'approve'] }, 1, 0] } },
+          rejected: { $sum: { $cond: [{ $eq: ['$action', 'reject'] }, 1, 0] } }
+        }
+      }
+    ])
+  ]);
+
+  const stats = new Map();
+  for (const row of articleStats) {
+    if (!row._id) continue;
+    stats.set(row._id, {
+      'stats.articlesApproved': row.approved,
+      'stats.articlesRejected': row.rejected,
+      'stats.averageQualityScore': Math.round((row.averageScore || 0) * 10) / 10,
+      'stats.curatorApproved': 0,
+      'stats.curatorRejected': 0
+    });
+  }
+  for (const row of decisionStats) {
+    if (!row._id || !stats.has(row._id)) continue;
+    stats.get(row._id)['stats.curatorApproved'] = row.approved;
+    stats.get(row._id)['stats.curatorRejected'] = row.rejected;
+  }
 
-  return Source.find(query).sort({ [sortBy]: 1 });
+  if (stats.size === 0) return 0;
+
+  const now = new Date();
+  const result = await Source.bulkWrite(
+    [...stats].map(([name, update]) => ({
+      updateOne: {
+        filter: { name },
+        update: { $set: { ...update, 'stats.lastComputed': now } }
+      }
+    }))
+  );
+
+  logger.info(`Refreshed stats for ${result.modifiedCount} sources`);
+  return result.modifiedCount;
 }
 
 /**
@@ -125,12 +238,23 @@ async function initializeDefaultSources() {
   const defaultRatings = Source.DEFAULT_RATINGS;
 
   for (const [name, rating] of Object.entries(defaultRatings)) {
+    // Keep any automatic drift on top of the (possibly updated) curated baseline
+    const existing = await Source.findOne({ name }).select('credibilityRating').lean();
+    const previous = existing?.credibilityRating;
+
+    // Ratings set by an admin or imported from a dataset take precedence over the built-in defaults
+    if (previous?.source && !['curated', 'default'].includes(previous.source)) continue;
+
+    const drift = previous?.baselineScore != null ? previous.overallScore - previous.baselineScore : 0;
+
     await Source.findOneAndUpdate(
       { name },
       {
         name,
         credibilityRating: {
           ...rating,
+          overallScore: Math.max(0, Math.min(100, rating.overallScore + drift)),
+          baselineScore: rating.overallScore,
           lastUpdated: new Date(),
           source: 'curated'
         }
@@ -140,12 +264,81 @@ async function initializeDefaultSources() {
   }
 
   logger.info(`Initialized ${Object.keys(defaultRatings).length} default source ratings`);
+
+  // Seed ingestion feeds without overwriting later admin changes
+  for (const feed of Source.DEFAULT_INGESTION) {
+    await Source.updateOne(
+      { name: feed.name },
+      { $setOnInsert: feed },
+      { upsert: true }
+    );
+  }
+
+  logger.info(`Initialized ${Source.DEFAULT_INGESTION.length} default ingestion feeds`);
+
+  // Attach publisher feeds to outlets that never had one; an outlet whose feed an
+  // admin switched off (provider cleared, feedUrl kept) stays off
+  for (const [name, feedUrl] of Object.entries(Source.DEFAULT_FEED_URLS)) {
+    await Source.updateOne(
+      { name, 'ingestion.provider': null, feedUrl: { $in: [null, ''] } },
+      {
+        feedUrl,
+        'ingestion.provider': 'rss',
+        'ingestion.region': 'india'
+      }
+    );
+  }
+
+  // Register domains and aliases, keeping any an admin added
+  for (const [name, identity] of Object.entries(Source.DEFAULT_IDENTITIES)) {
+    await Source.updateOne(
+      { name },
+      {
+        $addToSet: {
+          domains: { $each: identity.domains || [] },
+          aliases: { $each: identity.aliases || [] }
+        }
+      }
+    );
+    await Source.updateOne(
+      { name, domain: { $in: [null, ''] } },
+      { domain: identity.domains?.[0] }
+    );
+
+    // Fold sources created under an alias (e.g. 'BBC' next to 'BBC News') into the canonical one
+    for (const alias of identity.aliases || []) {
+      const duplicate = await Source.findOneAndDelete({ name: alias, kind: 'outlet', 'ingestion.provider': null });
+      if (duplicate) {
+        const moved = await Article.updateMany({ 'source.name': alias }, { 'source.name': name });
+        logger.info(`Merged duplicate source "${alias}" into "${name}" (${moved.modifiedCount} articles)`);
+      }
+    }
+  }
+
+  // Register satire outlets; the flag is only set on creation so an admin's change sticks
+  for (const [name, identity] of Object.entries(Source.DEFAULT_SATIRE_SOURCES)) {
+    await Source.updateOne(
+      { name },
+      {
+        $setOnInsert: { name, domain: identity.domains?.[0], isSatire: true },
+        $addToSet: {
+          domains: { $each: identity.domains || [] },
+          aliases: { $each: identity.aliases || [] }
+        }
+      },
+      { upsert: true }
+    );
+  }
+
+  clearSourceCache();
+  logger.info(`Initialized identities for ${Object.keys(Source.DEFAULT_IDENTITIES).length} sources and ${Object.keys(Source.DEFAULT_SATIRE_SOURCES).length} satire outlets`);
 }
 
 module.exports = {
   getSourceCredibility,
   updateSourceCredibility,
   getAllSources,
+  refreshSourceStats,
   calculateCredibilityScore,
   initializeDefaultSources
 };
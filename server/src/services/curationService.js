@@ -0,0 +1,123 @@
+/**
+ * Curation Service
+ * Review queue and human approve/reject/flag decisions with an audit trail
+ */
+
+const Article = require('../models/Article');
+const CurationDecision = require('../models/CurationDecision');
+const { refreshSourceStats } = require('./credibilityService');
+const logger = require('../utils/logger');
+
+// Curation status each action moves an article to
+const ACTION_STATUS = {
+  approve: 'approved',
+  reject: 'rejected',
+  flag: 'flagged'
+};
+
+/**
+ * Articles awaiting review, most viral and highest scoring first
+ * Virality is the number of outlets covering the article's story cluster
+ * @param {Object} options - { status: 'pending' | 'flagged' | 'all', sort: 'virality' | 'score', page, limit }
+ * @returns {Object} { articles, total }
+ */
+async function getReviewQueue(options = {}) {
+  const { status = 'all', sort = 'virality' } = options;
+  const page = Math.max(1, parseInt(options.page) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(options.limit) || 20));
+
+  const statuses = status === 'all' ? ['pending', 'flagged'] : [status];
+  const match = { isActive: true, duplicateOf: null, 'curation.status': { $in: statuses } };
+
+  const sortStage = sort === 'score'
+    ? { 'filteringMetadata.overallScore': -1, virality: -1, publishedAt: -1 }
+    : { virality: -1, 'filteringMetadata.overallScore': -1, publishedAt: -1 };
+
+  const [articles, total] = await Promise.all([
+    Article.aggregate([
+      { $match: match },
+      {
+        $lookup: {
+          from: 'stories',
+          localField: 'story',
+          foreignField: '_id',
+          as: 'storyDoc',
+          pipeline: [{ $project: { title: 1, sourceCount: 1, articleCount: 1 } }]
+        }
+      },
+      {
+        $addFields: {
+          storyInfo: { $arrayElemAt: ['$storyDoc', 0] },
+          virality: { $ifNull: [{ $arrayElemAt: ['$storyDoc.sourceCount', 0] }, 1] }
+        }
+      },
+      { $sort: sortStage },
+      { $skip: (page - 1) * limit },
+      { $limit: limit },
+      {
+        $project: {
+          storyDoc: 0,
+          content: 0,
+          fingerprint: 0
+        }
+      }
+    ]),
+    Article.countDocuments(match)
+  ]);
+
+  return { articles, total, page, limit };
+}
+
+/**
+ * Apply a curator's decision to an article and record it in the audit trail
+ * @param {string} articleId - Article ID
+ * @param {Object} user - Curator (User document)
+ * @param {string} action - approve | reject | flag
+ * @param {string} notes - Curator notes
+ * @returns {Object} { article, decision }
+ */
+async function applyDecision(articleId, user, action, notes) {
+  const newStatus = ACTION_STATUS[action];
+  if (!newStatus) {
+    throw new Error(`Unknown curation action: ${action}`);
+  }
+
+  const article = await Article.findById(articleId);
+  if (!article) return null;
+
+  const previousStatus = article.curation.status;
+
+  article.curation.status = newStatus;
+  article.curation.curatedBy = user._id;
+  article.curation.curatedAt = new Date();
+  article.curation.notes = notes;
+  await article.save();
+
+  const decision = await CurationDecision.create({
+    article: article._id,
+    user: user._id,
+    action,
+    previousStatus,
+    newStatus,
+    notes,
+    sourceName: article.source?.name,
+    overallScore: article.filteringMetadata?.overallScore
+  });
+
+  // Feed the decision back into the source's stats (used by the credibility adjuster)
+  if (article.source?.name) {
+    refreshSourceStats(article.source.name).catch(error => {
+      logger.error(`Error refreshing stats for ${article.source.name}:`, error.message);
+    });
+  }
+
+  logger.info(`Curation: ${user.email} set "${article.title.substring(0, 50)}..." to ${newStatus} (was ${previousStatus})`);
+
+  return { article, decision };
+}
+
+module.exports = {
+  getReviewQueue,
+  applyDecision,
+  ACTION_STATUS
+};
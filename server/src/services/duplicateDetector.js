@@ -0,0 +1,280 @@
+/**
+ * Duplicate Detector Service
+ * MinHash fingerprints for spotting syndicated copies (PTI/ANI wire stories etc.)
+ * republished by several outlets under different URLs and headlines
+ */
+
+const Article = require('../models/Article');
+const logger = require('../utils/logger');
+
+// Words per shingle
+const SHINGLE_SIZE = 3;
+
+// MinHash signature length, split into LSH bands for indexed candidate lookup
+// (8 bands x 4 rows: pairs with Jaccard >= 0.8 collide with >99% probability)
+const NUM_HASHES = 32;
+const BAND_COUNT = 8;
+const ROWS_PER_BAND = NUM_HASHES / BAND_COUNT;
+
+// Minimum estimated Jaccard similarity for two articles to count as the same story
+const SIMILARITY_THRESHOLD = 0.7;
+
+// Only compare against articles published within this window
+const LOOKBACK_DAYS = 3;
+
+// Texts shorter than this produce unreliable fingerprints
+const MIN_TOKENS = 15;
+
+/**
+ * 32-bit FNV-1a hash
+ * @param {string} str - Input string
+ * @returns {number} Unsigned 32-bit hash
+ */
+function hash32(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Deterministic PRNG so hash coefficients stay stable across restarts
+ * (stored signatures must remain comparable)
+ */
+function mulberry32(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0);
+  };
+}
+
+const random = mulberry32(0x5eed);
+const HASH_COEFFICIENTS = Array.from({ length: NUM_HASHES }, () => ({
+  a: random() | 1,
+  b: random()
+}));
+
+/**
+ * Split text into lowercase word tokens
+ */
+function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/\[\+\d+ chars\]/g, ' ')
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+/**
+ * Compute a MinHash signature over word shingles
+ * @param {string} text - Article text
+ * @returns {Array|null} Signature of NUM_HASHES integers, or null if text is too short
+ */
+function computeMinHash(text) {
+  const tokens = tokenize(text);
+  if (tokens.length < MIN_TOKENS) return null;
+
+  const shingles = new Set();
+  for (let i = 0; i <= tokens.length - SHINGLE_SIZE; i++) {
+    shingles.add(hash32(tokens.slice(i, i + SHINGLE_SIZE).join(' ')));
+  }
+
+  const signature = new Array(NUM_HASHES).fill(0xffffffff);
+  for (const shingle of shingles) {
+    for (let i = 0; i < NUM_HASHES; i++) {
+      const { a, b } = HASH_COEFFICIENTS[i];
+      const value = (Math.imul(a, shingle) + b) >>> 0;
+      if (value < signature[i]) {
+        signature[i] = value;
+      }
+    }
+  }
+
+  return signature;
+}
+
+/**
+ * Split a signature into indexed LSH band keys
+ * @param {Array} signature - MinHash signature
+ * @returns {Array} Band keys like '0:9f3a12bc'
+ */
+function getBands(signature) {
+  const bands = [];
+  for (let i = 0; i < BAND_COUNT; i++) {
+    const rows = signature.slice(i * ROWS_PER_BAND, (i + 1) * ROWS_PER_BAND);
+    bands.push(`${i}:${hash32(rows.join('-')).toString(16)}`);
+  }
+  return bands;
+}
+
+/**
+ * Estimated Jaccard similarity between two signatures
+ */
+function estimateSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+  let matches = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === b[i]) matches++;
+  }
+  return matches / a.length;
+}
+
+/**
+ * Build the fingerprint sub-document for an article
+ * @param {Object} article - Article with title, description, content
+ * @returns {Object|null} { minhash, bands } or null
+ */
+function fingerprintArticle(article) {
+  const minhash = computeMinHash(`${article.title} ${article.description || ''} ${article.content || ''}`);
+  if (!minhash) return null;
+  return { minhash, bands: getBands(minhash) };
+}
+
+/**
+ * Find the canonical article an incoming article duplicates
+ * @param {Object} article - Article document with fingerprint set
+ * @returns {Object|null} Canonical article or null if original
+ */
+async function findCanonicalArticle(article) {
+  const signature = article.fingerprint?.minhash;
+  if (!signature || signature.length === 0) return null;
+
+  try {
+    const since = new Date(Date.now() - LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+
+    const candidates = await Article.find({
+      _id: { $ne: article._id },
+      'fingerprint.bands': { $in: article.fingerprint.bands },
+      publishedAt: { $gte: since }
+    })
+      .select('fingerprint.minhash duplicateOf publishedAt source.name')
+      .sort({ publishedAt: 1 })
+      .lean();
+
+    for (const candidate of candidates) {
+      if (estimateSimilarity(signature, candidate.fingerprint.minhash) >= SIMILARITY_THRESHOLD) {
+        return candidate.duplicateOf
+          ? { _id: candidate.duplicateOf }
+          : candidate;
+      }
+    }
+
+    return null;
+  } catch (error) {
+    logger.error('Error finding duplicate article:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Fingerprint an article and link it to the story it duplicates
+ * @param {Object} article - Article document (unsaved)
+ * @returns {Object} Article with fingerprint and duplicateOf set
+ */
+async function markDuplicate(article) {
+  article.fingerprint = fingerprintArticle(article);
+
+  const canonical = await findCanonicalArticle(article);
+  if (canonical) {
+    article.duplicateOf = canonical._id;
+    logger.info(`Syndicated copy detected: "${article.title.substring(0, 50)}..." (${article.source.name})`);
+  }
+
+  return article;
+}
+
+/**
+ * Story a member belongs to: its canonical article, or itself if it is one
+ */
+function storyKey(article) {
+  return (article.duplicateOf || article._id).toString();
+}
+
+/**
+ * Find articles with syndicated copies collapsed to one per story
+ * Collapsing happens among the articles matching the query, so a story whose
+ * canonical is filtered out (pending, rejected, cleaned up) is shown through
+ * its first matching copy
+ * @param {Object} query - Article filter
+ * @param {Object} options - { sort, skip, limit }
+ * @returns {Object} { articles (hydrated documents), total }
+ */
+async function findCollapsedArticles(query, options = {}) {
+  const { sort = { publishedAt: -1 }, skip = 0, limit = 20 } = options;
+  const order = { ...sort, _id: Object.values(sort)[0] || -1 };
+
+  const [result] = await Article.aggregate([
+    { $match: query },
+    { $sort: order },
+    { $group: { _id: { $ifNull: ['$duplicateOf', '$_id'] }, article: { $first: '$$ROOT' } } },
+    { $replaceRoot: { newRoot: '$article' } },
+    { $sort: order },
+    {
+      $facet: {
+        articles: [{ $skip: skip }, { $limit: limit }],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  return {
+    articles: result.articles.map(doc => Article.hydrate(doc)),
+    total: result.total[0]?.count || 0
+  };
+}
+
+/**
+ * Attach the outlets carrying each story to a page of collapsed articles
+ * @param {Array} articles - Article documents or plain objects
+ * @returns {Array} Plain objects with a syndication field
+ */
+async function attachSyndication(articles) {
+  const plain = articles.map(a => (typeof a.toObject === 'function' ? a.toObject() : a));
+  const keys = [...new Set(plain.map(storyKey))];
+
+  const members = await Article.find({
+    $or: [{ _id: { $in: keys } }, { duplicateOf: { $in: keys } }],
+    isActive: true
+  })
+    .select('duplicateOf source.name url publishedAt')
+    .sort({ publishedAt: 1 })
+    .lean();
+
+  const membersByStory = {};
+  for (const member of members) {
+    const key = storyKey(member);
+    (membersByStory[key] = membersByStory[key] || []).push(member);
+  }
+
+  return plain.map(article => {
+    const outlets = (membersByStory[storyKey(article)] || [article]).map(a => ({
+      name: a.source?.name,
+      url: a.url,
+      publishedAt: a.publishedAt
+    }));
+
+    return {
+      ...article,
+      syndication: {
+        count: outlets.length,
+        outlets
+      }
+    };
+  });
+}
+
+module.exports = {
+  computeMinHash,
+  estimateSimilarity,
+  fingerprintArticle,
+  findCanonicalArticle,
+  markDuplicate,
+  findCollapsedArticles,
+  attachSyndication,
+  SIMILARITY_THRESHOLD
+};
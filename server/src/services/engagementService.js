@@ -0,0 +1,188 @@
+/**
+ * Engagement Service
+ * Records article interactions and turns them into the pipeline's engagement score:
+ * per-actor deduplicated, time-decayed, with bot and burst dampening
+ */
+
+const crypto = require('crypto');
+const Article = require('../models/Article');
+const Interaction = require('../models/Interaction');
+const { applyProfile, getActiveProfile } = require('./filterPipeline');
+const logger = require('../utils/logger');
+
+// Relative value of each interaction type
+const TYPE_WEIGHTS = { view: 1, save: 3, share: 5 };
+
+// Signed-in users count fully, anonymous visitors (ip + user agent) count less
+const ANONYMOUS_WEIGHT = 0.5;
+
+// Half-life of an interaction's contribution
+const HALF_LIFE_HOURS = 24;
+
+// Actors touching more articles than this per hour are dampened proportionally
+const BURST_LIMIT = 60;
+
+// Weighted interactions at which the score is ~63% of the way from neutral to 100
+const SCORE_SCALE = 25;
+
+// Score for articles with no engagement (neutral, so new articles are not penalized)
+const NEUTRAL_SCORE = 50;
+
+// Only articles this recent are periodically re-scored
+const RESCORE_WINDOW_DAYS = 7;
+
+// Minimum score change that triggers a re-score of the overall article score
+const MIN_SCORE_CHANGE = 1;
+
+const BOT_USER_AGENT = /bot|crawl|spider|slurp|curl|wget|python-requests|axios|httpclient|headless|phantom|scrapy|facebookexternalhit|preview/i;
+
+/**
+ * Identify who performed an interaction
+ * @param {Object} req - Express request (req.user set by auth middleware if signed in)
+ * @returns {Object} { actorKey, user, isBot }
+ */
+function getActor(req) {
+  const userAgent = req.get?.('user-agent') || '';
+  const isBot = !userAgent || BOT_USER_AGENT.test(userAgent);
+
+  if (req.user) {
+    return { actorKey: `user:${req.user._id}`, user: req.user._id, isBot };
+  }
+
+  const fingerprint = crypto.createHash('sha1').update(`${req.ip}|${userAgent}`).digest('hex');
+  return { actorKey: `anon:${fingerprint}`, user: null, isBot };
+}
+
+/**
+ * Record an interaction with an article
+ * @param {string} articleId - Article ID
+ * @param {string} type - view | save | share
+ * @param {Object} req - Express request
+ * @returns {boolean} True if this actor had not interacted this way before
+ */
+async function recordInteraction(articleId, type, req) {
+  const { actorKey, user, isBot } = getActor(req);
+  const now = new Date();
+
+  try {
+    const result = await Interaction.updateOne(
+      { article: articleId, type, actorKey },
+      {
+        $inc: { count: 1 },
+        $set: { lastAt: now, isBot },
+        $setOnInsert: { user, firstAt: now }
+      },
+      { upsert: true }
+    );
+    return result.upsertedCount > 0;
+  } catch (error) {
+    logger.error(`Error recording ${type} interaction:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Interactions per actor over the last hour, for burst dampening
+ * @param {Array} actorKeys - Actor keys
+ * @returns {Map} actorKey -> interactions in the last hour
+ */
+async function getActorRates(actorKeys) {
+  const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000);
+  const rates = await Interaction.aggregate([
+    { $match: { actorKey: { $in: actorKeys }, lastAt: { $gte: oneHourAgo } } },
+    { $group: { _id: '$actorKey', count: { $sum: 1 } } }
+  ]);
+  return new Map(rates.map(r => [r._id, r.count]));
+}
+
+/**
+ * Compute the engagement score for an article
+ * @param {string} articleId - Article ID
+ * @returns {Object} { score, weightedCount, uniqueViewers, uniqueSavers, uniqueSharers, botsIgnored }
+ */
+async function computeEngagement(articleId) {
+  const interactions = await Interaction.find({ article: articleId }).lean();
+  const humans = interactions.filter(i => !i.isBot);
+  const rates = await getActorRates([...new Set(humans.map(i => i.actorKey))]);
+
+  const now = Date.now();
+  let weightedCount = 0;
+  const unique = { view: 0, save: 0, share: 0 };
+
+  for (const interaction of humans) {
+    unique[interaction.type]++;
+
+    const ageHours = (now - new Date(interaction.lastAt).getTime()) / (60 * 60 * 1000);
+    const decay = Math.pow(0.5, ageHours / HALF_LIFE_HOURS);
+    const actorWeight = interaction.user ? 1 : ANONYMOUS_WEIGHT;
+    const rate = rates.get(interaction.actorKey) || 0;
+    const burstDampening = rate > BURST_LIMIT ? BURST_LIMIT / rate : 1;
+
+    weightedCount += TYPE_WEIGHTS[interaction.type] * actorWeight * decay * burstDampening;
+  }
+
+  // Saturating curve from neutral up to 100
+  const score = NEUTRAL_SCORE + (100 - NEUTRAL_SCORE) * (1 - Math.exp(-weightedCount / SCORE_SCALE));
+
+  return {
+    score: Math.round(score),
+    weightedCount: Math.round(weightedCount * 100) / 100,
+    uniqueViewers: unique.view,
+    uniqueSavers: unique.save,
+    uniqueSharers: unique.share,
+    botsIgnored: interactions.length - humans.length
+  };
+}
+
+/**
+ * Re-score recent articles whose engagement changed (new interactions or decay)
+ * @param {Object} options - { since: only look at interactions after this date }
+ * @returns {Object} { checked, updated, statusChanges }
+ */
+async function rescoreEngagement(options = {}) {
+  const startTime = Date.now();
+  const since = options.since || new Date(startTime - 2 * 60 * 60 * 1000);
+  const windowStart = new Date(startTime - RESCORE_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+  // Articles with fresh interactions, plus previously engaged articles whose score is decaying
+  const touched = await Interaction.distinct('article', { lastAt: { $gte: since } });
+  const articles = await Article.find({
+    publishedAt: { $gte: windowStart },
+    $or: [
+      { _id: { $in: touched } },
+      { 'filteringMetadata.engagement.score': { $gt: NEUTRAL_SCORE } }
+    ]
+  });
+
+  const profile = await getActiveProfile();
+  let updated = 0;
+  let statusChanges = 0;
+
+  for (const article of articles) {
+    const engagement = await computeEngagement(article._id);
+    const previous = article.filteringMetadata.engagement?.score ?? NEUTRAL_SCORE;
+
+    if (Math.abs(engagement.score - previous) < MIN_SCORE_CHANGE) continue;
+
+    const previousStatus = article.curation.status;
+    article.filteringMetadata.engagement = { ...engagement, updatedAt: new Date() };
+    applyProfile(article, profile);
+    await article.save();
+
+    updated++;
+    if (article.curation.status !== previousStatus) statusChanges++;
+  }
+
+  const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+  logger.info(`Engagement re-score complete: ${updated}/${articles.length} articles updated, ${statusChanges} status changes in ${duration}s`);
+
+  return { checked: articles.length, updated, statusChanges };
+}
+
+module.exports = {
+  recordInteraction,
+  computeEngagement,
+  rescoreEngagement,
+  getActor,
+  NEUTRAL_SCORE
+};
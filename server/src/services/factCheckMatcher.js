@@ -0,0 +1,104 @@
+/**
+ * Fact-Check Matcher Service
+ * Finds fact-checks in the local ClaimReview store that review the same claim
+ * as a piece of extracted text
+ */
+
+const FactCheck = require('../models/FactCheck');
+const { tokenize } = require('./storyClusterer');
+
+// Candidates pulled from the text index per claim
+const CANDIDATE_LIMIT = 25;
+
+// Minimum similarity for a fact-check to count as reviewing the claim
+const MIN_SIMILARITY = 0.5;
+
+// Claims sharing fewer terms than this are never matched
+const MIN_SHARED_TERMS = 2;
+
+/**
+ * Terms for claim comparison: clustering tokens plus numbers,
+ * since "5 dead" and "50 dead" are different claims
+ */
+function claimTerms(text) {
+  const numbers = (text || '').match(/\d+(?:[.,]\d+)?/g) || [];
+  return new Set([...tokenize(text), ...numbers.map(n => n.replace(',', ''))]);
+}
+
+/**
+ * Similarity between two claims (0..1)
+ * Mean of cosine similarity and overlap coefficient, so a short extracted
+ * claim fully contained in a longer reviewed claim still scores well
+ * @returns {Object} { score, shared }
+ */
+function claimSimilarity(a, b) {
+  const termsA = a instanceof Set ? a : claimTerms(a);
+  const termsB = b instanceof Set ? b : claimTerms(b);
+  if (termsA.size === 0 || termsB.size === 0) return { score: 0, shared: 0 };
+
+  let shared = 0;
+  for (const term of termsA) {
+    if (termsB.has(term)) shared++;
+  }
+
+  const cosine = shared / Math.sqrt(termsA.size * termsB.size);
+  const overlap = shared / Math.min(termsA.size, termsB.size);
+
+  return { score: Math.round(((cosine + overlap) / 2) * 100) / 100, shared };
+}
+
+/**
+ * Fact-checks reviewing a claim, best match first
+ * @param {string} text - Claim text
+ * @param {Object} options - { limit, minSimilarity }
+ * @returns {Array} [{ factCheck, similarity }]
+ */
+async function findMatchingFactChecks(text, options = {}) {
+  const { limit = 3, minSimilarity = MIN_SIMILARITY } = options;
+
+  const terms = claimTerms(text);
+  if (terms.size < MIN_SHARED_TERMS) return [];
+
+  const candidates = await FactCheck.find(
+    { $text: { $search: [...terms].join(' ') } },
+    { textScore: { $meta: 'textScore' } }
+  )
+    .sort({ textScore: { $meta: 'textScore' } })
+    .limit(CANDIDATE_LIMIT)
+    .lean();
+
+  return candidates
+    .map(factCheck => {
+      const { score, shared } = claimSimilarity(terms, claimTerms(`${factCheck.claimReviewed} ${factCheck.title || ''}`));
+      return { factCheck, similarity: score, shared };
+    })
+    .filter(m => m.shared >= MIN_SHARED_TERMS && m.similarity >= minSimilarity)
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, limit)
+    .map(({ factCheck, similarity }) => ({ factCheck, similarity }));
+}
+
+/**
+ * Match every claim against the store
+ * @param {Array} claims - [{ text }]
+ * @returns {Array} [{ claimIndex, factCheck, similarity }]
+ */
+async function matchClaims(claims) {
+  const matches = [];
+
+  for (let i = 0; i < claims.length; i++) {
+    const found = await findMatchingFactChecks(claims[i].text);
+    for (const { factCheck, similarity } of found) {
+      matches.push({ claimIndex: i, factCheck, similarity });
+    }
+  }
+
+  return matches;
+}
+
+module.exports = {
+  findMatchingFactChecks,
+  matchClaims,
+  claimSimilarity,
+  MIN_SIMILARITY
+};
@@ -0,0 +1,254 @@
+/**
+ * Fact Check Store Service
+ * Imports schema.org ClaimReview records (JSON, JSON-LD or the Google Fact Check
+ * Tools claims format) into the local fact-check database
+ */
+
+const FactCheck = require('../models/FactCheck');
+const { FACT_CHECK_SOURCES } = require('./factChecker');
+const { normalizeRating } = require('./ratingNormalizer');
+const logger = require('../utils/logger');
+
+const MAX_CLAIM_LENGTH = 2000;
+
+/**
+ * Whether a JSON-LD node is typed as a ClaimReview
+ */
+function isClaimReview(node) {
+  const type = node['@type'];
+  return Array.isArray(type) ? type.includes('ClaimReview') : type === 'ClaimReview';
+}
+
+/**
+ * Convert a Google Fact Check Tools claim (claims[].claimReview[]) into ClaimReview nodes
+ */
+function fromFactCheckTools(claim) {
+  return (claim.claimReview || []).map(review => ({
+    '@type': 'ClaimReview',
+    url: review.url,
+    claimReviewed: claim.text,
+    name: review.title,
+    datePublished: review.reviewDate,
+    inLanguage: review.languageCode,
+    author: review.publisher && { name: review.publisher.name, url: review.publisher.site },
+    reviewRating: { alternateName: review.textualRating },
+    itemReviewed: {
+      author: claim.claimant,
+      datePublished: claim.claimDate
+    }
+  }));
+}
+
+/**
+ * Collect every ClaimReview in a dataset: a single record, an array, a JSON-LD
+ * @graph, reviews nested inside other nodes, or a Fact Check Tools response
+ * @param {Object|Array} data - Parsed JSON
+ * @returns {Array} ClaimReview nodes
+ */
+function parseClaimReviews(data) {
+  const reviews = [];
+
+  const walk = (node) => {
+    if (Array.isArray(node)) {
+      node.forEach(walk);
+      return;
+    }
+    if (!node || typeof node !== 'object') return;
+
+    if (isClaimReview(node)) {
+      reviews.push(node);
+      return;
+    }
+    if (Array.isArray(node.claims)) {
+      node.claims.forEach(claim => reviews.push(...fromFactCheckTools(claim)));
+      return;
+    }
+    Object.values(node).forEach(walk);
+  };
+
+  walk(data);
+  return reviews;
+}
+
+/**
+ * Match a ClaimReview author to a FACT_CHECK_SOURCES key
+ * @returns {string} Publisher key or 'other'
+ */
+function resolvePublisher(author, reviewUrl) {
+  const urls = [author?.url, reviewUrl].filter(Boolean).map(u => u.toLowerCase());
+  const name = (author?.name || '').toLowerCase();
+
+  for (const [key, source] of Object.entries(FACT_CHECK_SOURCES)) {
+    if (urls.some(u => u.includes(source.domain))) return key;
+    if (name && name === source.name.toLowerCase()) return key;
+  }
+  return 'other';
+}
+
+function toDate(value) {
+  if (!value) return undefined;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+}
+
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+}
+
+function nameOf(value) {
+  if (!value) return undefined;
+  if (typeof value === 'string') return value;
+  if (Array.isArray(value)) return nameOf(value[0]);
+  return value.name;
+}
+
+/**
+ * Map one ClaimReview node to FactCheck fields and validate it
+ * @returns {Object} { record, errors }
+ */
+async function toFactCheckRecord(node) {
+  const errors = [];
+  const author = Array.isArray(node.author) ? node.author[0] : node.author;
+  const rating = Array.isArray(node.reviewRating) ? node.reviewRating[0] : node.reviewRating || {};
+  const item = Array.isArray(node.itemReviewed) ? node.itemReviewed[0] : node.itemReviewed || {};
+
+  const url = typeof node.url === 'string' ? node.url.trim() : '';
+  const claimReviewed = typeof node.claimReviewed === 'string' ? node.claimReviewed.trim() : '';
+
+  if (!/^https?:\/\//i.test(url)) errors.push('url must be an http(s) URL');
+  if (!claimReviewed) errors.push('claimReviewed is required');
+  if (claimReviewed.length > MAX_CLAIM_LENGTH) errors.push(`claimReviewed exceeds ${MAX_CLAIM_LENGTH} characters`);
+
+  const reviewRating = {
+    ratingValue: toNumber(rating.ratingValue),
+    bestRating: toNumber(rating.bestRating),
+    worstRating: toNumber(rating.worstRating),
+    alternateName: rating.alternateName || rating.name
+  };
+
+  const appearances = [item.appearance, item.firstAppearance]
+    .flat()
+    .map(a => (typeof a === 'string' ? a : a?.url))
+    .filter(Boolean);
+
+  const publisher = resolvePublisher(author, url);
+  const { normalizedRating, needsReview } = await normalizeRating(publisher, reviewRating);
+
+  const record = {
+    url,
+    claimReviewed,
+    title: node.headline || node.name,
+    datePublished: toDate(node.datePublished),
+    inLanguage: nameOf(node.inLanguage),
+    author: { name: nameOf(author), url: author?.url },
+    publisher,
+    reviewRating,
+    normalizedRating,
+    needsRatingReview: needsReview,
+    itemReviewed: {
+      author: nameOf(item.author),
+      datePublished: toDate(item.datePublished),
+      appearances
+    }
+  };
+
+  return { record, errors };
+}
+
+/**
+ * Import ClaimReview records, upserting by review URL
+ * @param {Object|Array} data - Parsed JSON / JSON-LD
+ * @param {Object} options - { provenance, dryRun }
+ * @returns {Object} Import report
+ */
+async function importFactChecks(data, options = {}) {
+  const { provenance = 'import', dryRun = false } = options;
+  const nodes = parseClaimReviews(data);
+
+  const summary = { total: nodes.length, created: 0, updated: 0, unchanged: 0, invalid: 0, needsReview: 0 };
+  const rows = [];
+  const seen = new Set();
+
+  for (let i = 0; i < nodes.length; i++) {
+    const { record, errors } = await toFactCheckRecord(nodes[i]);
+    const row = {
+      row: i + 1,
+      url: record.url,
+      rating: record.reviewRating.alternateName,
+      normalizedRating: record.normalizedRating,
+      needsRatingReview: record.needsRatingReview,
+      errors
+    };
+
+    if (record.url && seen.has(record.url)) {
+      errors.push('Duplicate review URL in dataset');
+    }
+    seen.add(record.url);
+
+    if (errors.length > 0) {
+      row.status = 'invalid';
+      summary.invalid++;
+      rows.push(row);
+      continue;
+    }
+
+    const existing = await FactCheck.findOne({ url: record.url });
+    if (existing) {
+      existing.set(record);
+      row.status = existing.isModified() ? 'updated' : 'unchanged';
+      if (!dryRun && row.status === 'updated') {
+        existing.importedFrom = provenance;
+        existing.importedAt = new Date();
+        await existing.save();
+      }
+    } else {
+      row.status = 'created';
+      if (!dryRun) {
+        await FactCheck.create({ ...record, importedFrom: provenance });
+      }
+    }
+
+    summary[row.status]++;
+    if (record.needsRatingReview) summary.needsReview++;
+    rows.push(row);
+  }
+
+  if (!dryRun) {
+    logger.info(`Fact-check import (${provenance}): ${summary.created} created, ${summary.updated} updated, ${summary.invalid} invalid, ${summary.needsReview} ratings need review`);
+  }
+
+  return { dryRun, provenance, summary, rows };
+}
+
+/**
+ * Search the local fact-check store
+ * @param {Object} filters - { search, publisher, rating, page, limit }
+ */
+async function searchFactChecks({ search, publisher, rating, page = 1, limit = 20 } = {}) {
+  const query = {};
+  if (search) query.$text = { $search: search };
+  if (publisher) query.publisher = publisher;
+  if (rating) query.normalizedRating = rating;
+
+  page = Math.max(1, parseInt(page) || 1);
+  limit = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+  const [factChecks, total] = await Promise.all([
+    FactCheck.find(query)
+      .sort({ datePublished: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    FactCheck.countDocuments(query)
+  ]);
+
+  return { factChecks, total, page, pages: Math.ceil(total / limit) };
+}
+
+module.exports = {
+  parseClaimReviews,
+  importFactChecks,
+  searchFactChecks
+};
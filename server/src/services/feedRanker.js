@@ -0,0 +1,280 @@
+/**
+ * Feed Ranker Service
+ * Personalized "For You" ranking from followed categories/sources, read and saved
+ * history, and credibility preferences, with per-page source diversity and
+ * a human-readable explanation for every article
+ */
+
+const Article = require('../models/Article');
+const Category = require('../models/Category');
+const SavedArticle = require('../models/SavedArticle');
+const ReadHistory = require('../models/ReadHistory');
+
+// Candidate articles are drawn from this window
+const FEED_WINDOW_DAYS = 3;
+const MAX_CANDIDATES = 400;
+
+// History used to infer interests
+const HISTORY_DAYS = 30;
+const HISTORY_LIMIT = 200;
+
+// Ranking points per signal
+const POINTS = {
+  followedCategory: 25,
+  followedSource: 20,
+  categoryAffinity: 15,
+  sourceAffinity: 10,
+  quality: 30, // scaled by overallScore / 100
+  recency: 20  // halves every RECENCY_HALF_LIFE_HOURS
+};
+const RECENCY_HALF_LIFE_HOURS = 12;
+
+// Saved articles say more about interests than reads
+const SAVE_WEIGHT = 2;
+const READ_WEIGHT = 1;
+
+// No single source may fill more than this share of a page
+const MAX_SOURCE_SHARE = 0.25;
+
+/**
+ * Build interest weights from the user's read and saved history
+ * @param {string} userId - User ID
+ * @returns {Object} { categories: Map id -> 0..1, sources: Map name -> 0..1, readIds: Set }
+ */
+async function buildInterestProfile(userId) {
+  const since = new Date(Date.now() - HISTORY_DAYS * 24 * 60 * 60 * 1000);
+
+  const [reads, saves] = await Promise.all([
+    ReadHistory.find({ user: userId, readAt: { $gte: since } })
+      .sort({ readAt: -1 })
+      .limit(HISTORY_LIMIT)
+      .populate('article', 'categories source.name')
+      .lean(),
+    SavedArticle.find({ user: userId, createdAt: { $gte: since } })
+      .sort({ createdAt: -1 })
+      .limit(HISTORY_LIMIT)
+      .populate('article', 'categories source.name')
+      .lean()
+  ]);
+
+  const categories = new Map();
+  const sources = new Map();
+
+  const add = (article, weight) => {
+    if (!article) return;
+    for (const categoryId of article.categories || []) {
+      const key = categoryId.toString();
+      categories.set(key, (categories.get(key) || 0) + weight);
+    }
+    if (article.source?.name) {
+      sources.set(article.source.name, (sources.get(article.source.name) || 0) + weight);
+    }
+  };
+
+  reads.forEach(r => add(r.article, READ_WEIGHT));
+  saves.forEach(s => add(s.article, SAVE_WEIGHT));
+
+  // Normalize to 0..1 against the strongest interest
+  for (const map of [categories, sources]) {
+    const max = Math.max(0, ...map.values());
+    for (const [key, value] of map) map.set(key, max > 0 ? value / max : 0);
+  }
+
+  // Every read article (not just recent ones) is excluded from the feed
+  const readIds = new Set(
+    (await ReadHistory.find({ user: userId }).select('article').lean()).map(r => r.article.toString())
+  );
+
+  return { categories, sources, readIds, historySize: reads.length + saves.length };
+}
+
+/**
+ * Score one candidate and explain the score
+ * @returns {Object} { score, reasons }
+ */
+function scoreCandidate(article, context) {
+  const { followedCategories, followedSources, interests, categoryNames } = context;
+  const reasons = [];
+  let score = 0;
+
+  const articleCategories = (article.categories || []).map(c => (c._id || c).toString());
+
+  // Followed categories
+  const followedMatch = articleCategories.find(id => followedCategories.has(id));
+  if (followedMatch) {
+    score += POINTS.followedCategory;
+    reasons.push(`You follow ${categoryNames.get(followedMatch) || 'this category'}`);
+  }
+
+  // Followed sources
+  const sourceName = article.source?.name;
+  if (sourceName && followedSources.has(sourceName)) {
+    score += POINTS.followedSource;
+    reasons.push(`From ${sourceName}, a source you follow`);
+  }
+
+  // Inferred category interest (skip categories already credited as followed)
+  let bestCategory = null;
+  let bestAffinity = 0;
+  for (const id of articleCategories) {
+    const affinity = interests.categories.get(id) || 0;
+    if (affinity > bestAffinity && id !== followedMatch) {
+      bestAffinity = affinity;
+      bestCategory = id;
+    }
+  }
+  if (bestCategory && bestAffinity >= 0.2) {
+    score += POINTS.categoryAffinity * bestAffinity;
+    reasons.push(`Similar to ${categoryNames.get(bestCategory) || 'articles'} stories you've read or saved`);
+  }
+
+  // Inferred source interest
+  const sourceAffinity = sourceName && !followedSources.has(sourceName)
+    ? interests.sources.get(sourceName) || 0
+    : 0;
+  if (sourceAffinity >= 0.2) {
+    score += POINTS.sourceAffinity * sourceAffinity;
+    reasons.push(`You often read ${sourceName}`);
+  }
+
+  // Quality
+  const overallScore = article.filteringMetadata?.overallScore || 0;
+  score += POINTS.quality * (overallScore / 100);
+  if (overallScore >= 75) {
+    reasons.push(`Highly rated (score ${overallScore})`);
+  }
+
+  // Recency
+  const ageHours = Math.max(0, (Date.now() - new Date(article.publishedAt).getTime()) / (60 * 60 * 1000));
+  score += POINTS.recency * Math.pow(0.5, ageHours / RECENCY_HALF_LIFE_HOURS);
+  if (ageHours < 3) {
+    reasons.push('Published in the last few hours');
+  }
+
+  if (reasons.length === 0) {
+    reasons.push('Popular with readers right now');
+  }
+
+  return { score: Math.round(score * 10) / 10, reasons };
+}
+
+/**
+ * Reorder ranked articles so no source exceeds its share of any page
+ * and each story appears once; held-back articles fill later slots
+ * @param {Array} ranked - Articles sorted by personalization score
+ * @param {number} pageSize - Page size the caps apply to
+ * @returns {Array} Diversified order
+ */
+function diversify(ranked, pageSize) {
+  const maxPerSource = Math.max(1, Math.floor(pageSize * MAX_SOURCE_SHARE));
+  const seenStories = new Set();
+  const remaining = [];
+
+  // One article per story cluster
+  for (const article of ranked) {
+    const story = article.story?.toString();
+    if (story && seenStories.has(story)) continue;
+    if (story) seenStories.add(story);
+    remaining.push(article);
+  }
+
+  const result = [];
+  while (remaining.length > 0) {
+    const perSource = {};
+    const page = [];
+
+    for (let i = 0; i < remaining.length && page.length < pageSize; i++) {
+      const source = remaining[i].source?.name || 'Unknown';
+      if ((perSource[source] || 0) >= maxPerSource) continue;
+      perSource[source] = (perSource[source] || 0) + 1;
+      page.push(remaining.splice(i, 1)[0]);
+      i--;
+    }
+
+    // Not enough distinct sources left: fill with the best of what remains
+    while (page.length < pageSize && remaining.length > 0) {
+      page.push(remaining.shift());
+    }
+
+    result.push(...page);
+  }
+
+  return result;
+}
+
+/**
+ * Build the personalized feed for a user
+ * @param {Object} user - User document (with preferences)
+ * @param {Object} options - { page, limit }
+ * @returns {Object} { articles, total, profile }
+ */
+async function getPersonalizedFeed(user, options = {}) {
+  const page = Math.max(1, parseInt(options.page) || 1);
+  const limit = Math.min(50, Math.max(1, parseInt(options.limit) || 20));
+
+  const preferences = user.preferences || {};
+  const followedCategories = new Set((preferences.followedCategories || []).map(id => id.toString()));
+  const followedSources = new Set(preferences.followedSources || []);
+  const minCredibility = preferences.minCredibility || 0;
+
+  const [interests, categories] = await Promise.all([
+    buildInterestProfile(user._id),
+    Category.find({ isActive: true }).select('name').lean()
+  ]);
+  const categoryNames = new Map(categories.map(c => [c._id.toString(), c.name]));
+
+  const since = new Date(Date.now() - FEED_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  const query = {
+    isActive: true,
+    duplicateOf: null,
+    'curation.status': 'approved',
+    publishedAt: { $gte: since }
+  };
+  if (minCredibility > 0) {
+    query['filteringMetadata.credibility.sourceRating'] = { $gte: minCredibility };
+  }
+  if (preferences.mutedSources?.length > 0) {
+    query['source.name'] = { $nin: preferences.mutedSources };
+  }
+  if (preferences.biasFilter?.length > 0) {
+    query['filteringMetadata.credibility.biasRating'] = { $in: preferences.biasFilter };
+  }
+
+  const candidates = await Article.find(query)
+    .sort({ publishedAt: -1 })
+    .limit(MAX_CANDIDATES)
+    .populate('categories', 'name slug color icon')
+    .lean();
+
+  const context = { followedCategories, followedSources, interests, categoryNames };
+
+  const ranked = candidates
+    .filter(article => !interests.readIds.has(article._id.toString()))
+    .map(article => {
+      const { score, reasons } = scoreCandidate(article, context);
+      return { ...article, personalization: { score, reasons } };
+    })
+    .sort((a, b) => b.personalization.score - a.personalization.score);
+
+  const ordered = diversify(ranked, limit);
+  const start = (page - 1) * limit;
+
+  return {
+    articles: ordered.slice(start, start + limit),
+    total: ordered.length,
+    page,
+    limit,
+    profile: {
+      followedCategories: followedCategories.size,
+      followedSources: followedSources.size,
+      minCredibility,
+      historySize: interests.historySize
+    }
+  };
+}
+
+module.exports = {
+  getPersonalizedFeed,
+  scoreCandidate,
+  diversify
+};
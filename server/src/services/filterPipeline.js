@@ -6,28 +6,97 @@
 const { analyzeKeywords } = require('./keywordFilter');
 const { getSourceCredibility } = require('./credibilityService');
 const { analyzeWithAI, isAIAvailable } = require('./aiAnalyzer');
+const { detectSatire } = require('./satireDetector');
 const Category = require('../models/Category');
+const ScoringProfile = require('../models/ScoringProfile');
 const logger = require('../utils/logger');
 
-// Weights for each filtering layer
+// Default weights for each filtering layer (the active ScoringProfile overrides these)
 const WEIGHTS = {
   keyword: 0.20,      // 20% - Keyword-based filtering
   credibility: 0.30,  // 30% - Source credibility
   aiQuality: 0.25,    // 25% - AI quality analysis (placeholder for Phase 4)
   aiCredibility: 0.10,// 10% - AI credibility analysis (placeholder for Phase 4)
-  engagement: 0.15    // 15% - User engagement (placeholder)
+  engagement: 0.15    // 15% - User engagement (see engagementService)
 };
 
-// Threshold for automatic approval
+// Layers that would score satire as misinformation (sensational wording, "false"
+// content); satire is scored on the remaining layers instead
+const SATIRE_EXEMPT_LAYERS = ['keyword', 'aiCredibility'];
+
+// Default threshold for automatic approval
 const PASSING_THRESHOLD = 60;
 
+// How long the active profile is reused before re-reading it from the database
+const PROFILE_CACHE_TTL = 60 * 1000;
+
+let profileCache = { profile: null, loadedAt: 0 };
+
+/**
+ * Get the active scoring profile (cached briefly to avoid a query per article)
+ * @returns {Object} ScoringProfile document
+ */
+async function getActiveProfile() {
+  if (profileCache.profile && Date.now() - profileCache.loadedAt < PROFILE_CACHE_TTL) {
+    return profileCache.profile;
+  }
+
+  const profile = await ScoringProfile.getActive();
+  profileCache = { profile, loadedAt: Date.now() };
+  return profile;
+}
+
+/**
+ * Drop the cached profile (call after activating a different profile)
+ */
+function clearProfileCache() {
+  profileCache = { profile: null, loadedAt: 0 };
+}
+
+/**
+ * Map a score to a curation status under a profile's thresholds
+ * @param {number} score - Overall score
+ * @param {Object} thresholds - { autoApprove, autoReject }
+ * @returns {string} approved | pending | rejected
+ */
+function getCurationStatus(score, thresholds) {
+  if (score >= thresholds.autoApprove) return 'approved';
+  if (score < thresholds.autoReject) return 'rejected';
+  return 'pending';
+}
+
+/**
+ * Score an article under a profile using its stored layer results
+ * Manually curated articles keep their curation status
+ * @param {Object} article - Article document with filtering metadata
+ * @param {Object} profile - ScoringProfile document
+ * @returns {Object} Article with score, status and profile stamped
+ */
+function applyProfile(article, profile) {
+  const overallScore = calculateOverallScore(article, profile.weights);
+
+  article.filteringMetadata.overallScore = overallScore;
+  article.filteringMetadata.isPassing = overallScore >= profile.thresholds.passing;
+  article.filteringMetadata.filterVersion = `${profile.version}.0`;
+  article.filteringMetadata.scoringProfile = profile._id;
+
+  if (!article.curation.curatedBy) {
+    article.curation.status = getCurationStatus(overallScore, profile.thresholds);
+  }
+
+  return article;
+}
+
 /**
  * Process an article through the filtering pipeline
  * @param {Object} article - Article document (mongoose model)
+ * @param {Object} options - { profile: ScoringProfile to score with (defaults to active) }
  * @returns {Object} Updated article with filtering metadata
  */
-async function processArticle(article) {
+async function processArticle(article, options = {}) {
   try {
+    const profile = options.profile || await getActiveProfile();
+
     // Layer 1: Keyword-based filtering
     const keywordResults = analyzeKeywords({
       title: article.title,
@@ -44,7 +113,7 @@ async function processArticle(article) {
     };
 
     // Layer 2: Source credibility
-    const credibilityResults = await getSourceCredibility(article.source.name);
+    const credibilityResults = await getSourceCredibility(article.source.name, article.url);
     article.filteringMetadata.credibility = {
       sourceRating: credibilityResults.sourceRating,
       biasRating: credibilityResults.biasRating,
@@ -52,6 +121,14 @@ async function processArticle(article) {
       overallScore: credibilityResults.overallScore
     };
 
+    // Satire is labelled, not penalized (see calculateOverallScore)
+    const satire = await detectSatire(article, { sourceIsSatire: credibilityResults.isSatire });
+    article.filteringMetadata.satire = {
+      isSatire: satire.isSatire,
+      confidence: satire.confidence,
+      cues: satire.cues.map(c => c.cue)
+    };
+
     // Layer 3: AI Analysis (uses heuristics if OpenAI not configured)
     const aiResults = await analyzeWithAI(article);
     article.filteringMetadata.aiAnalysis = {
@@ -65,11 +142,9 @@ async function processArticle(article) {
       model: aiResults.model
     };
 
-    // Layer 4: Calculate overall score
-    const overallScore = calculateOverallScore(article);
-    article.filteringMetadata.overallScore = overallScore;
-    article.filteringMetadata.isPassing = overallScore >= PASSING_THRESHOLD;
-    article.filteringMetadata.filterVersion = '1.0';
+    // Layer 4: Calculate overall score and set curation status under the profile
+    applyProfile(article, profile);
+    const overallScore = article.filteringMetadata.overallScore;
 
     // Auto-categorize article
     const categoryIds = await Category.categorizeArticle(
@@ -78,16 +153,7 @@ async function processArticle(article) {
     );
     article.categories = categoryIds;
 
-    // Set curation status based on score
-    if (overallScore >= 70) {
-      article.curation.status = 'approved';
-    } else if (overallScore < 40) {
-      article.curation.status = 'rejected';
-    } else {
-      article.curation.status = 'pending';
-    }
-
-    logger.info(`Processed article: "${article.title.substring(0, 50)}..." - Score: ${overallScore}`);
+    logger.info(`Processed article: "${article.title.substring(0, 50)}..." - Score: ${overallScore} (profile v${profile.version})`);
 
     return article;
   } catch (error) {
@@ -99,9 +165,10 @@ async function processArticle(article) {
 /**
  * Calculate overall score from all layers
  * @param {Object} article - Article with filtering metadata
+ * @param {Object} weights - Layer weights (defaults to WEIGHTS)
  * @returns {number} Overall score (0-100)
  */
-function calculateOverallScore(article) {
+function calculateOverallScore(article, weights = WEIGHTS) {
   const metadata = article.filteringMetadata;
 
   // Get scores from each layer (with defaults)
@@ -110,14 +177,17 @@ function calculateOverallScore(article) {
     credibility: metadata.credibility?.overallScore || 50,
     aiQuality: metadata.aiAnalysis?.qualityScore || 50,
     aiCredibility: metadata.aiAnalysis?.credibilityScore || 50,
-    engagement: 50 // Default engagement score
+    engagement: metadata.engagement?.score || 50 // Neutral until engagement is scored
   };
 
   // Calculate weighted average
   let totalScore = 0;
   let totalWeight = 0;
+  const exempt = metadata.satire?.isSatire ? SATIRE_EXEMPT_LAYERS : [];
 
-  for (const [layer, weight] of Object.entries(WEIGHTS)) {
+  for (const layer of Object.keys(WEIGHTS)) {
+    if (exempt.includes(layer)) continue;
+    const weight = weights[layer] || 0;
     if (scores[layer] !== undefined && scores[layer] !== null) {
       totalScore += scores[layer] * weight;
       totalWeight += weight;
@@ -127,6 +197,12 @@ function calculateOverallScore(article) {
   // Normalize if not all weights are used
   const normalizedScore = totalWeight > 0 ? totalScore / totalWeight * (1 / Math.max(...Object.values(WEIGHTS))) : 50;
 
+  // Spread exempt layers' weight over the layers that were scored
+  if (exempt.length > 0 && totalWeight > 0) {
+    const fullWeight = Object.keys(WEIGHTS).reduce((sum, layer) => sum + (weights[layer] || 0), 0);
+    totalScore = totalScore / totalWeight * fullWeight;
+  }
+
   return Math.round(Math.max(0, Math.min(100, totalScore)));
 }
 
@@ -181,35 +257,73 @@ async function processArticles(articles) {
 }
 
 /**
- * Reprocess all articles (useful after filter updates)
+ * Reprocess articles (useful after filter or profile updates)
  * @param {Object} options - Processing options
+ * @param {number} options.batchSize - Articles loaded per batch
+ * @param {Date} options.from - Only articles published on/after this date
+ * @param {Date} options.to - Only articles published before this date
+ * @param {Object} options.profile - ScoringProfile to score with (defaults to active)
+ * @param {boolean} options.rescoreOnly - Reuse stored layer results instead of re-running every layer
+ * @returns {Object} { processed, changed, transitions, profile }
  */
 async function reprocessAllArticles(options = {}) {
   const Article = require('../models/Article');
-  const { batchSize = 100 } = options;
+  const { batchSize = 100, from, to, rescoreOnly = false } = options;
+  const profile = options.profile || await getActiveProfile();
+
+  const query = {};
+  if (from || to) {
+    query.publishedAt = {};
+    if (from) query.publishedAt.$gte = new Date(from);
+    if (to) query.publishedAt.$lt = new Date(to);
+  }
 
   let processed = 0;
-  let skip = 0;
+  let changed = 0;
+  const transitions = {};
+  let lastId = null;
 
   while (true) {
-    const articles = await Article.find({})
-      .skip(skip)
+    const batchQuery = lastId ? { ...query, _id: { $gt: lastId } } : query;
+    const articles = await Article.find(batchQuery)
+      .sort({ _id: 1 })
       .limit(batchSize);
 
     if (articles.length === 0) break;
 
     for (const article of articles) {
-      await processArticle(article);
+      const previousStatus = article.curation.status;
+
+      if (rescoreOnly) {
+        applyProfile(article, profile);
+      } else {
+        await processArticle(article, { profile });
+      }
       await article.save();
       processed++;
+
+      if (article.curation.status !== previousStatus) {
+        changed++;
+        const key = `${previousStatus}->${article.curation.status}`;
+        transitions[key] = (transitions[key] || 0) + 1;
+      }
     }
 
-    skip += batchSize;
+    lastId = articles[articles.length - 1]._id;
     logger.info(`Reprocessed ${processed} articles...`);
   }
 
-  logger.info(`Finished reprocessing ${processed} articles`);
-  return processed;
+  logger.info(`Finished reprocessing ${processed} articles under profile v${profile.version}: ${changed} changed status`);
+  return {
+    processed,
+    changed,
+    transitions,
+    profile: {
+      id: profile._id,
+      name: profile.name,
+      version: profile.version
+    }
+  };
 }
 
 module.exports = {
@@ -217,6 +331,10 @@ module.exports = {
   processArticles,
   calculateOverallScore,
   reprocessAllArticles,
+  applyProfile,
+  getCurationStatus,
+  getActiveProfile,
+  clearProfileCache,
   WEIGHTS,
   PASSING_THRESHOLD
 };
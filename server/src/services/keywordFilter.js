@@ -83,9 +83,16 @@ const QUALITY_INDICATORS = [
 /**
  * Analyze article text for clickbait and sensational content
  * @param {Object} article - Article object with title, description, content
+ * @param {Object} lists - Optional replacement lists { clickbaitPatterns, sensationalWords, qualityIndicators }
  * @returns {Object} Filter results with scores
  */
-function analyzeKeywords(article) {
+function analyzeKeywords(article, lists = {}) {
+  const {
+    clickbaitPatterns = CLICKBAIT_PATTERNS,
+    sensationalWords = SENSATIONAL_WORDS,
+    qualityIndicators = QUALITY_INDICATORS
+  } = lists;
+
   const title = (article.title || '').toLowerCase();
   const description = (article.description || '').toLowerCase();
   const content = (article.content || '').toLowerCase();
@@ -96,7 +103,7 @@ function analyzeKeywords(article) {
 
   // Check for clickbait patterns
   const clickbaitMatches = [];
-  for (const pattern of CLICKBAIT_PATTERNS) {
+  for (const pattern of clickbaitPatterns) {
     const regex = new RegExp(pattern, 'gi');
     if (regex.test(titleText)) {
       clickbaitMatches.push(pattern);
@@ -105,7 +112,7 @@ function analyzeKeywords(article) {
 
   // Check for sensational words
   const sensationalMatches = [];
-  for (const word of SENSATIONAL_WORDS) {
+  for (const word of sensationalWords) {
     const regex = new RegExp(`\\b${word}\\b`, 'gi');
     // Weight title matches more heavily
     if (regex.test(titleText)) {
@@ -118,7 +125,7 @@ function analyzeKeywords(article) {
 
   // Check for quality indicators (positive signal)
   const qualityMatches = [];
-  for (const indicator of QUALITY_INDICATORS) {
+  for (const indicator of qualityIndicators) {
     if (fullText.includes(indicator.toLowerCase())) {
       qualityMatches.push(indicator);
     }
@@ -0,0 +1,238 @@
+/**
+ * Misinformation Classifier Service
+ * Combines keyword, archive match, source credibility, claim verification,
+ * fact-check and virality signals into a risk score. Each signal adds log-odds to a low prior,
+ * so every contribution can be explained. The weights are set by hand, not fitted to
+ * labelled data: the score ranks risk but is not a calibrated probability.
+ */
+
+// Prior log-odds of a story being misinformation (~10%)
+const PRIOR_LOG_ODDS = -2.2;
+
+// Text signals: each category counts once, however many of its patterns match
+const MISINFORMATION_PATTERNS = {
+  fabricated: {
+    weight: 1.6,
+    type: 'fabricated',
+    patterns: [
+      /breaking\s*:?\s*\d+\s*(dead|killed|injured)/i,
+      /exposed\s*:?\s*(secret|hidden|truth)/i,
+      /they\s+don'?t\s+want\s+you\s+to\s+know/i,
+      /(?:mainstream\s+)?media\s+(?:won'?t|will\s+not)\s+(?:tell|show|report)/i,
+      /share\s+(?:this\s+)?before\s+(?:it'?s|it\s+is)\s+(?:deleted|removed|banned)/i
+    ]
+  },
+  clickbait: {
+    weight: 0.8,
+    type: 'misleading_headline',
+    patterns: [
+      /you\s+won'?t\s+believe/i,
+      /what\s+happened\s+next/i,
+      /shocking\s+(truth|revelation|secret)/i,
+      /\d+\s+reasons?\s+why/i
+    ]
+  },
+  emotional_manipulation: {
+    weight: 0.5,
+    type: null,
+    patterns: [
+      /(outrage|outraged|furious|anger|angry)\s+over/i,
+      /slam(s|med)?\s+/i,
+      /destroy(s|ed)?\s+/i,
+      /epic(ally)?\s+(fail|burn|destroy)/i
+    ]
+  },
+  out_of_context: {
+    weight: 1.2,
+    type: 'out_of_context',
+    patterns: [
+      /old\s+(video|photo|image|clip|footage)/i,
+      /resurfaced\s+(video|photo|clip|footage)/i,
+      /(?:video|photo|image|clip|footage)\s+(?:is\s+)?(?:from|of)\s+(?:a\s+)?(?:different|another|unrelated)\b/i,
+      /misattributed|wrongly\s+(?:linked|attributed)|falsely\s+shared\s+as/i
+    ]
+  },
+  old_news_recycled: {
+    weight: 1.2,
+    type: 'old_news_recycled',
+    patterns: [
+      /old\s+news/i,
+      /(?:years?|months?)[- ]old\s+(?:news|story|report|article|post)/i,
+      /(?:viral|circulating|doing the rounds)\s+again/i,
+      /recirculat(?:ed|ing)|re-?shared\s+as\s+(?:new|recent)/i,
+      /dates\s+back\s+to\s+(?:19|20)\d{2}/i
+    ]
+  },
+  satire_misunderstood: {
+    weight: 1.0,
+    type: 'satire_misunderstood',
+    patterns: [
+      /\bsatir(?:e|ical)\b/i,
+      /\bparody\b/i,
+      /\b(?:The Onion|Babylon Bee|Faking News|The Fauxy|NewsThump|The Daily Mash|Waterford Whispers)\b/
+    ]
+  }
+};
+
+// "video from 2016" in a story published years later
+const DATED_MEDIA = /\b(?:video|photo|image|clip|footage|picture)s?\s+(?:from|of|taken in|shot in|dating to)\s+((?:19|20)\d{2})\b/i;
+const STALE_YEARS = 2;
+
+// Content matching coverage published weeks or months earlier
+const ARCHIVE_MATCH_WEIGHT = 2.4;
+
+// Satire that outlets are repeating as news
+const SATIRE_ORIGIN_WEIGHT = 2.2;
+
+// Fact-check ratings and how far each moves the log-odds
+const FACT_CHECK_WEIGHTS = {
+  pants_on_fire: 3.0,
+  false: 2.6,
+  mostly_false: 1.8,
+  half_true: 0.8,
+  mostly_true: -1.0,
+  true: -2.0
+};
+
+// Stories spreading at least this fast (mentions/hour) without corroboration
+const FAST_SPREAD_VELOCITY = 2;
+
+/**
+ * Add a signal unless its weight rounds to nothing
+ */
+function addSignal(signals, signal, category, weight, matched) {
+  const rounded = Math.round(weight * 100) / 100;
+  if (rounded === 0) return;
+  signals.push({ signal, category, weight: rounded, matched });
+}
+
+/**
+ * Keyword and dating signals from the story text
+ */
+function textSignals(fullText, publishedAt, signals) {
+  for (const [category, { weight, patterns }] of Object.entries(MISINFORMATION_PATTERNS)) {
+    const matched = patterns
+      .map(pattern => fullText.match(pattern))
+      .filter(Boolean)
+      .map(match => match[0].trim());
+
+    if (matched.length > 0) {
+      // Further hits in the same category add a little, not a full weight each
+      addSignal(signals, `${category}_language`, category, weight + 0.2 * (matched.length - 1), [...new Set(matched)].join('; '));
+    }
+  }
+
+  const dated = fullText.match(DATED_MEDIA);
+  const referenceYear = new Date(publishedAt || Date.now()).getFullYear();
+  if (dated && referenceYear - parseInt(dated[1], 10) >= STALE_YEARS) {
+    addSignal(signals, 'stale_media_date', 'old_news_recycled', 1.4, dated[0]);
+  }
+}
+
+/**
+ * Signals from evidence gathered about the story (all optional)
+ */
+function contextSignals(context, signals) {
+  const { sourceCredibility, claims = [], factChecks = [], virality, recycledFrom, satireOrigin } = context;
+
+  if (satireOrigin) {
+    addSignal(signals, 'satire_origin', 'satire_misunderstood', SATIRE_ORIGIN_WEIGHT, `Started as satire at ${satireOrigin.source || 'a satire outlet'}${satireOrigin.url ? ` (${satireOrigin.url})` : ''}`);
+  }
+
+  if (recycledFrom?.url) {
+    const date = new Date(recycledFrom.publishedAt).toISOString().split('T')[0];
+    addSignal(signals, 'archive_match', 'old_news_recycled', ARCHIVE_MATCH_WEIGHT, `Matches ${recycledFrom.source || 'earlier coverage'} from ${date} (${recycledFrom.url})`);
+  }
+
+  if (typeof sourceCredibility === 'number') {
+    // 50 is neutral; an unknown or poor source raises risk, a strong one lowers it
+    addSignal(signals, 'source_credibility', 'credibility', (50 - sourceCredibility) / 50 * 1.5, `Source credibility ${Math.round(sourceCredibility)}/100`);
+  }
+
+  const byStatus = (status) => claims.filter(c => c.verification?.status === status);
+  const falseClaims = byStatus('false');
+  const misleadingClaims = byStatus('misleading');
+  const trueClaims = byStatus('true');
+
+  if (falseClaims.length > 0) {
+    addSignal(signals, 'claims_contradicted', 'claims', Math.min(2.4, 1.2 * falseClaims.length), falseClaims.map(c => c.text).slice(0, 2).join(' | '));
+  }
+  if (misleadingClaims.length > 0) {
+    addSignal(signals, 'claims_misleading', 'claims', Math.min(1.6, 0.8 * misleadingClaims.length), misleadingClaims.map(c => c.text).slice(0, 2).join(' | '));
+  }
+  if (trueClaims.length > 0 && falseClaims.length === 0) {
+    addSignal(signals, 'claims_corroborated', 'claims', -Math.min(1.5, 0.5 * trueClaims.length), `${trueClaims.length} claim(s) corroborated`);
+  }
+
+  // Only the most damning (or most reassuring) fact-check counts
+  const rated = factChecks.filter(fc => FACT_CHECK_WEIGHTS[fc.normalizedRating] !== undefined);
+  if (rated.length > 0) {
+    const strongest = rated.reduce((best, fc) => (
+      Math.abs(FACT_CHECK_WEIGHTS[fc.normalizedRating]) > Math.abs(FACT_CHECK_WEIGHTS[best.normalizedRating]) ? fc : best
+    ));
+    addSignal(signals, 'fact_check_rating', 'fact_check', FACT_CHECK_WEIGHTS[strongest.normalizedRating], `${strongest.source || 'Fact-checker'}: ${strongest.rating || strongest.normalizedRating}`);
+  }
+
+  const corroborated = trueClaims.length > 0 || rated.some(fc => FACT_CHECK_WEIGHTS[fc.normalizedRating] < 0);
+  if (virality?.velocity >= FAST_SPREAD_VELOCITY && !corroborated) {
+    addSignal(signals, 'fast_unverified_spread', 'virality', 0.6, `${Math.round(virality.velocity * 10) / 10} mentions/hour without corroboration`);
+  }
+}
+
+/**
+ * Misinformation type from the categories that contributed most
+ */
+function classifyType(signals) {
+  const totals = {};
+  for (const { category, weight } of signals) {
+    if (weight > 0) totals[category] = (totals[category] || 0) + weight;
+  }
+
+  const typed = Object.entries(totals)
+    .map(([category, total]) => ({ type: MISINFORMATION_PATTERNS[category]?.type, total }))
+    .filter(t => t.type)
+    .sort((a, b) => b.total - a.total);
+
+  if (typed.length > 0) return typed[0].type;
+
+  // Evidence alone says something is wrong, but not how
+  if (totals.fact_check >= FACT_CHECK_WEIGHTS.mostly_false || totals.claims >= 1.2) return 'fabricated';
+  if (totals.fact_check > 0 || totals.claims > 0) return 'partial_truth';
+  return 'none';
+}
+
+/**
+ * Analyze a story for misinformation
+ * @param {string} title
+ * @param {string} content
+ * Satire (context.satire from satireDetector) is labelled rather than scored: its
+ * sensational wording is the joke, so only evidence signals count against it
+ * @param {Object} context - Optional { sourceCredibility, claims, factChecks, virality, recycledFrom, satire, satireOrigin, publishedAt }
+ * @returns {Object} { type, label, riskScore (0-100), flags, signals: [{ signal, category, weight, matched }] }
+ */
+function analyzeForMisinformation(title, content, context = {}) {
+  const fullText = `${title || ''} ${content || ''}`;
+  const signals = [];
+  const isSatire = Boolean(context.satire?.isSatire);
+
+  if (!isSatire) textSignals(fullText, context.publishedAt, signals);
+  contextSignals(isSatire ? { ...context, sourceCredibility: undefined } : context, signals);
+
+  const logOdds = signals.reduce((sum, s) => sum + s.weight, PRIOR_LOG_ODDS);
+  const riskScore = Math.round(100 / (1 + Math.exp(-logOdds)));
+  const risky = signals.filter(s => s.weight > 0);
+
+  return {
+    type: risky.length > 0 && !isSatire ? classifyType(signals) : 'none',
+    label: isSatire ? 'satire' : null,
+    riskScore,
+    flags: [...new Set(risky.map(s => s.signal))],
+    signals: signals.sort((a, b) => b.weight - a.weight)
+  };
+}
+
+module.exports = {
+  analyzeForMisinformation,
+  MISINFORMATION_PATTERNS,
+  FACT_CHECK_WEIGHTS
+};
@@ -1,207 +1,104 @@
 /**
  * News Aggregator Service
- * Fetches news from external APIs and stores them in the database
+ * Fetches news through the configured ingestion providers and stores them in the database
  */
 
-const axios = require('axios');
 const Article = require('../models/Article');
 const Source = require('../models/Source');
 const { processArticle } = require('./filterPipeline');
+const { getProvider, getQuotaReport } = require('./providers');
+const { extractArticle, isTruncated } = require('./contentExtractor');
+const { markDuplicate } = require('./duplicateDetector');
+const { resolveSourceName } = require('./sourceResolver');
 const logger = require('../utils/logger');
 
-const NEWS_API_URL = 'https://newsapi.org/v2';
+// Full-text extraction can be disabled to save outbound requests
+const FULL_TEXT_EXTRACTION = process.env.FULL_TEXT_EXTRACTION !== 'false';
 
-/**
- * Fetch top headlines from NewsAPI
- * @param {Object} options - Fetch options
- * @returns {Array} Raw articles from API
- */
-async function fetchFromNewsAPI(options = {}) {
-  const {
-    category = 'general',
-    country = 'us',
-    pageSize = 100
-  } = options;
-
-  const apiKey = process.env.NEWSAPI_KEY;
-
-  if (!apiKey) {
-    logger.warn('NewsAPI key not configured. Skipping fetch.');
-    return [];
-  }
-
-  try {
-    const response = await axios.get(`${NEWS_API_URL}/top-headlines`, {
-      params: {
-        apiKey,
-        category,
-        country,
-        pageSize
-      }
-    });
+// Allow scheduled runs to fire slightly early without skipping a due source
+const FETCH_GRACE_MS = 60 * 1000;
 
-    if (response.data.status === 'ok') {
-      logger.info(`Fetched ${response.data.articles.length} articles from NewsAPI (${category})`);
-      return response.data.articles;
-    }
-
-    logger.error('NewsAPI returned error:', response.data.message);
-    return [];
-  } catch (error) {
-    logger.error('Error fetching from NewsAPI:', error.message);
-    return [];
-  }
-}
+// Providers polled by the regional jobs; RSS feeds have their own 15-minute job
+const API_PROVIDERS = { $nin: [null, 'rss'] };
 
 /**
- * Fetch from multiple categories
- * @returns {Array} Combined articles from all categories
+ * Check whether a source is due for fetching based on fetchFrequency and lastFetched
+ * @param {Object} source - Source document
+ * @param {Date} now - Current run time
+ * @returns {boolean} True if the source should be fetched
  */
-async function fetchAllCategories() {
-  const categories = ['general', 'technology', 'business', 'science', 'health', 'sports', 'entertainment'];
-  const allArticles = [];
-
-  // Note: Free tier has 100 requests/day limit
-  // Fetching all categories uses 7 requests
-  for (const category of categories) {
-    const articles = await fetchFromNewsAPI({ category, pageSize: 20 });
-    allArticles.push(...articles);
-
-    // Small delay to avoid rate limiting
-    await new Promise(resolve => setTimeout(resolve, 500));
-  }
+function isDueForFetch(source, now = new Date()) {
+  if (!source.lastFetched) return true;
 
-  return allArticles;
+  const frequencyMs = (source.fetchFrequency || 60) * 60 * 1000;
+  return now - source.lastFetched >= frequencyMs - FETCH_GRACE_MS;
 }
 
 /**
- * Fetch news specifically from India
- * @param {Object} options - Fetch options
- * @returns {Array} Articles from Indian sources
+ * Fetch normalized articles for a single source through its provider
+ * @param {Object} source - Source document with ingestion config
+ * @param {Object} overrides - Config values overriding the stored config
+ * @returns {Array} Normalized articles
  */
-async function fetchIndianNews(options = {}) {
-  const { category = 'general', pageSize = 100 } = options;
+async function fetchFromSource(source, overrides = {}) {
+  const provider = getProvider(source.ingestion?.provider);
 
-  const apiKey = process.env.NEWSAPI_KEY;
-  if (!apiKey) {
-    logger.warn('NewsAPI key not configured. Skipping fetch.');
+  if (!provider) {
+    logger.warn(`No ingestion provider configured for ${source.name}. Skipping fetch.`);
     return [];
   }
 
   try {
-    const response = await axios.get(`${NEWS_API_URL}/top-headlines`, {
-      params: {
-        apiKey,
-        country: 'in',
-        category,
-        pageSize
-      }
-    });
+    const config = { ...(source.ingestion.config || {}), ...overrides };
+    const rawItems = await provider.fetch(config, source);
 
-    if (response.data.status === 'ok') {
-      logger.info(`Fetched ${response.data.articles.length} Indian articles (${category})`);
-      return response.data.articles;
-    }
-
-    logger.error('NewsAPI returned error:', response.data.message);
-    return [];
+    return rawItems
+      .map(item => provider.normalize(item))
+      .filter(Boolean);
   } catch (error) {
-    logger.error('Error fetching Indian news:', error.message);
+    logger.error(`Error fetching from ${source.name}:`, error.message);
     return [];
   }
 }
 
 /**
- * Fetch from all categories for India
- * @returns {Array} Combined Indian articles from all categories
+ * Replace truncated provider content with the full article body
+ * @param {Object} article - Article document (unsaved)
+ * @returns {Object} Article with content and contentSource set
  */
-async function fetchAllIndianCategories() {
-  const categories = ['general', 'technology', 'business', 'science', 'health', 'sports', 'entertainment'];
-  const allArticles = [];
-
-  for (const category of categories) {
-    const articles = await fetchIndianNews({ category, pageSize: 20 });
-    allArticles.push(...articles);
-    await new Promise(resolve => setTimeout(resolve, 500));
+async function enrichArticleContent(article) {
+  if (!isTruncated(article.content)) {
+    article.contentSource = 'full';
+    return article;
   }
 
-  return allArticles;
-}
+  article.contentSource = 'truncated';
 
-/**
- * Search for news from specific Indian domains
- * @param {Object} options - Search options
- */
-async function searchIndianSources(options = {}) {
-  const apiKey = process.env.NEWSAPI_KEY;
-  if (!apiKey) {
-    logger.warn('NewsAPI key not configured');
-    return [];
+  if (!FULL_TEXT_EXTRACTION) {
+    return article;
   }
 
-  const indianDomains = [
-    'thehindu.com',
-    'indianexpress.com',
-    'hindustantimes.com',
-    'indiatoday.in',
-    'ndtv.com',
-    'timesofindia.indiatimes.com',
-    'economictimes.indiatimes.com',
-    'business-standard.com',
-    'livemint.com',
-    'thewire.in',
-    'scroll.in',
-    'thequint.com',
-    'theprint.in',
-    'news18.com',
-    'firstpost.com',
-    'deccanherald.com',
-    'telegraphindia.com',
-    'newindianexpress.com',
-    'outlookindia.com',
-    'moneycontrol.com'
-  ];
-
   try {
-    const response = await axios.get(`${NEWS_API_URL}/everything`, {
-      params: {
-        apiKey,
-        domains: indianDomains.join(','),
-        language: 'en',
-        sortBy: options.sortBy || 'publishedAt',
-        pageSize: options.pageSize || 100
-      }
-    });
+    const extracted = await extractArticle(article.url, { timeout: 10000 });
 
-    if (response.data.status === 'ok') {
-      logger.info(`Fetched ${response.data.articles.length} articles from Indian sources`);
-      return response.data.articles;
+    if (extracted.isFullText && extracted.contentLength > (article.content || '').length) {
+      article.content = extracted.content;
+      article.contentSource = 'full';
     }
-
-    return [];
   } catch (error) {
-    logger.error('Error fetching from Indian sources:', error.message);
-    return [];
+    logger.warn(`Full-text extraction failed for ${article.url}: ${error.message}`);
   }
+
+  return article;
 }
 
 /**
- * Combined fetch for Indian news (headlines + domain search)
- * @returns {Object} Fetch results
+ * Deduplicate and store normalized articles
+ * @param {Array} rawArticles - Normalized articles from providers
+ * @returns {Object} Store results
  */
-async function fetchAndStoreIndianNews() {
-  logger.info('Starting Indian news fetch...');
-  const startTime = Date.now();
-
-  // Fetch from both methods
-  const [headlines, domainNews] = await Promise.all([
-    fetchIndianNews({ pageSize: 100 }),
-    searchIndianSources({ pageSize: 100 })
-  ]);
-
-  const rawArticles = [...headlines, ...domainNews];
-
-  // Remove duplicates
+async function storeArticles(rawArticles) {
+  // Remove duplicates from raw articles
   const uniqueUrls = new Set();
   const uniqueArticles = rawArticles.filter(article => {
     if (!article.url || uniqueUrls.has(article.url)) {
@@ -211,42 +108,97 @@ async function fetchAndStoreIndianNews() {
     return true;
   });
 
-  logger.info(`Processing ${uniqueArticles.length} unique Indian articles...`);
+  logger.info(`Processing ${uniqueArticles.length} unique articles...`);
 
+  // Process and store articles
   let stored = 0;
   let duplicates = 0;
+  let failed = 0;
 
   for (const rawArticle of uniqueArticles) {
-    if (rawArticle.title === '[Removed]' || rawArticle.content === '[Removed]') {
-      continue;
-    }
-
-    const result = await processAndStoreArticle(rawArticle);
-    if (result) {
-      stored++;
-    } else {
-      duplicates++;
+    try {
+      const result = await processAndStoreArticle(rawArticle);
+      if (result) {
+        stored++;
+      } else {
+        duplicates++;
+      }
+    } catch (error) {
+      logger.error(`Error processing article: ${rawArticle.title}`, error);
+      failed++;
     }
   }
 
-  const duration = ((Date.now() - startTime) / 1000).toFixed(2);
-
-  const results = {
+  return {
     fetched: rawArticles.length,
     unique: uniqueArticles.length,
     stored,
     duplicates,
-    duration: `${duration}s`
+    failed
   };
+}
+
+/**
+ * Fetch and store news from every enabled source matching a query
+ * @param {Object} query - Extra Source filter (e.g. { 'ingestion.region': 'india' })
+ * @param {Object} options - { overrides: config overrides, force: ignore fetchFrequency }
+ * @returns {Object} Fetch results
+ */
+async function fetchAndStoreFromSources(query = {}, options = {}) {
+  const { overrides = {}, force = false } = options;
+  const startTime = Date.now();
+  const runStartedAt = new Date(startTime);
+
+  // Keep the caller's provider filter (e.g. the feed job's 'rss')
+  const sources = await Source.find({
+    ...query,
+    isEnabled: true,
+    'ingestion.provider': query['ingestion.provider'] ?? { $ne: null }
+  });
 
-  logger.info(`Indian news fetch complete: ${stored} new articles stored in ${duration}s`);
+  const dueSources = force ? sources : sources.filter(source => isDueForFetch(source, runStartedAt));
+  const rawArticles = [];
+
+  for (const source of dueSources) {
+    const articles = await fetchFromSource(source, overrides);
+    rawArticles.push(...articles);
+
+    source.lastFetched = runStartedAt;
+    await source.save();
+  }
+
+  const results = await storeArticles(rawArticles);
+  const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+
+  return {
+    sources: dueSources.length,
+    skipped: sources.length - dueSources.length,
+    ...results,
+    duration: `${duration}s`,
+    quota: getQuotaReport()
+  };
+}
+
+/**
+ * Fetch and store Indian news (headlines and domain search; publisher feeds
+ * are left to fetchAndStoreFeeds)
+ * @param {Object} options - { force: ignore fetchFrequency }
+ * @returns {Object} Fetch results
+ */
+async function fetchAndStoreIndianNews(options = {}) {
+  logger.info('Starting Indian news fetch...');
+
+  const results = await fetchAndStoreFromSources({ 'ingestion.region': 'india', 'ingestion.provider': API_PROVIDERS }, options);
+
+  logger.info(`Indian news fetch complete: ${results.stored} new articles stored in ${results.duration}`);
   return results;
 }
 
 /**
- * Process and store a raw article from NewsAPI
- * @param {Object} rawArticle - Raw article from NewsAPI
+ * Process and store a normalized article from an ingestion provider
+ * @param {Object} rawArticle - Normalized article (see services/providers)
  * @returns {Object|null} Saved article or null if duplicate
+ * @throws When the article cannot be processed or saved
  */
 async function processAndStoreArticle(rawArticle) {
   try {
@@ -267,11 +219,18 @@ async function processAndStoreArticle(rawArticle) {
       author: rawArticle.author,
       source: {
         id: rawArticle.source?.id,
-        name: rawArticle.source?.name || 'Unknown',
+        // Store the canonical name so aliases ('BBC', 'Mint') share one rating and one stats record
+        name: await resolveSourceName(rawArticle.source?.name, rawArticle.url),
         url: rawArticle.url ? new URL(rawArticle.url).origin : null
       }
     });
 
+    // Fetch the full article body when the provider only sent a stub
+    await enrichArticleContent(article);
+
+    // Link syndicated copies of the same story to the first outlet that carried it
+    await markDuplicate(article);
+
     // Process through filtering pipeline
     await processArticle(article);
 
@@ -287,8 +246,7 @@ async function processAndStoreArticle(rawArticle) {
       // Duplicate key error - article already exists
       return null;
     }
-    logger.error(`Error processing article: ${rawArticle.title}`, error);
-    return null;
+    throw error;
   }
 }
 
@@ -302,7 +260,7 @@ async function updateSourceStats(sourceName) {
       { name: sourceName },
       {
         $inc: { 'stats.totalArticlesFetched': 1 },
-        lastFetched: new Date()
+        lastArticleAt: new Date()
       }
     );
   } catch (error) {
@@ -311,7 +269,7 @@ async function updateSourceStats(sourceName) {
 }
 
 /**
- * Main fetch function - fetches and stores news
+ * Main fetch function - fetches and stores international news
  * @param {Object} options - Fetch options
  * @returns {Object} Fetch results
  */
@@ -319,138 +277,54 @@ async function fetchAndStoreNews(options = {}) {
   const { category = null } = options;
 
   logger.info('Starting news fetch...');
-  const startTime = Date.now();
 
-  let rawArticles;
-  if (category) {
-    rawArticles = await fetchFromNewsAPI({ category });
-  } else {
-    rawArticles = await fetchAllCategories();
-  }
+  // A single category is fetched with a larger page instead of the configured list
+  const overrides = category ? { categories: [category], pageSize: 100 } : {};
+  const results = await fetchAndStoreFromSources({ 'ingestion.region': 'international', 'ingestion.provider': API_PROVIDERS }, { overrides });
 
-  // Remove duplicates from raw articles
-  const uniqueUrls = new Set();
-  const uniqueArticles = rawArticles.filter(article => {
-    if (!article.url || uniqueUrls.has(article.url)) {
-      return false;
-    }
-    uniqueUrls.add(article.url);
-    return true;
-  });
-
-  logger.info(`Processing ${uniqueArticles.length} unique articles...`);
-
-  // Process and store articles
-  let stored = 0;
-  let duplicates = 0;
-  let failed = 0;
-
-  for (const rawArticle of uniqueArticles) {
-    // Skip articles with [Removed] content
-    if (rawArticle.title === '[Removed]' || rawArticle.content === '[Removed]') {
-      continue;
-    }
-
-    const result = await processAndStoreArticle(rawArticle);
-    if (result) {
-      stored++;
-    } else {
-      duplicates++;
-    }
-  }
-
-  const duration = ((Date.now() - startTime) / 1000).toFixed(2);
-
-  const results = {
-    fetched: rawArticles.length,
-    unique: uniqueArticles.length,
-    stored,
-    duplicates,
-    failed,
-    duration: `${duration}s`
-  };
-
-  logger.info(`News fetch complete: ${stored} new articles stored in ${duration}s`);
+  logger.info(`News fetch complete: ${results.stored} new articles stored in ${results.duration}`);
   return results;
 }
 
 /**
- * Fetch news from specific sources (premium sources)
- * @param {Array} sourceIds - Array of NewsAPI source IDs
+ * Fetch and store publisher RSS/Atom feeds that are due
+ * @returns {Object} Fetch results
  */
-async function fetchFromSources(sourceIds) {
-  const apiKey = process.env.NEWSAPI_KEY;
+async function fetchAndStoreFeeds() {
+  logger.info('Starting feed fetch...');
 
-  if (!apiKey) {
-    logger.warn('NewsAPI key not configured');
-    return [];
-  }
-
-  try {
-    const response = await axios.get(`${NEWS_API_URL}/top-headlines`, {
-      params: {
-        apiKey,
-        sources: sourceIds.join(','),
-        pageSize: 100
-      }
-    });
-
-    if (response.data.status === 'ok') {
-      return response.data.articles;
-    }
+  const results = await fetchAndStoreFromSources({ 'ingestion.provider': 'rss' });
 
-    return [];
-  } catch (error) {
-    logger.error('Error fetching from sources:', error.message);
-    return [];
-  }
+  logger.info(`Feed fetch complete: ${results.stored} new articles from ${results.sources} feeds in ${results.duration}`);
+  return results;
 }
 
 /**
- * Search for news articles
+ * Search NewsAPI for articles (ad-hoc, not tied to a source)
  * @param {string} query - Search query
  * @param {Object} options - Search options
+ * @returns {Array} Normalized articles
  */
 async function searchNews(query, options = {}) {
-  const apiKey = process.env.NEWSAPI_KEY;
-
-  if (!apiKey) {
-    logger.warn('NewsAPI key not configured');
-    return [];
-  }
-
-  try {
-    const response = await axios.get(`${NEWS_API_URL}/everything`, {
-      params: {
-        apiKey,
-        q: query,
-        language: 'en',
-        sortBy: options.sortBy || 'publishedAt',
-        pageSize: options.pageSize || 20
-      }
-    });
-
-    if (response.data.status === 'ok') {
-      return response.data.articles;
+  return fetchFromSource(
+    { name: 'NewsAPI search', ingestion: { provider: 'newsapi', config: {} } },
+    {
+      endpoint: 'everything',
+      q: query,
+      language: 'en',
+      sortBy: options.sortBy || 'publishedAt',
+      pageSize: options.pageSize || 20
     }
-
-    return [];
-  } catch (error) {
-    logger.error('Error searching news:', error.message);
-    return [];
-  }
+  );
 }
 
 module.exports = {
-  fetchFromNewsAPI,
-  fetchAllCategories,
+  fetchFromSource,
+  fetchAndStoreFromSources,
   fetchAndStoreNews,
-  fetchFromSources,
+  fetchAndStoreIndianNews,
+  fetchAndStoreFeeds,
   searchNews,
   processAndStoreArticle,
-  // Indian news
-  fetchIndianNews,
-  fetchAllIndianCategories,
-  searchIndianSources,
-  fetchAndStoreIndianNews
+  enrichArticleContent
 };
@@ -0,0 +1,258 @@
+/**
+ * Origin Tracer Service
+ * Orders a viral story's cluster articles and matching X posts by time, picks
+ * the earliest credible origin and records how the claim's wording mutated at
+ * each step of the spread. Less credible items published before the origin stay
+ * in the timeline, marked pre-origin - that is often where a false story starts
+ */
+
+const Article = require('../models/Article');
+const xAggregator = require('./xAggregator');
+const { claimSimilarity } = require('./factCheckMatcher');
+const { tokenize } = require('./storyClusterer');
+const logger = require('../utils/logger');
+
+// X posts must be at least this close to the story to join the timeline
+const MIN_POST_SIMILARITY = 0.3;
+
+// A low-reach post can't be where a viral story came from unless the account is verified
+const MIN_ORIGIN_ENGAGEMENT = 20;
+
+// News outlets need at least this source rating to count as the origin
+const MIN_ORIGIN_CREDIBILITY = 60;
+
+// Pre-origin items kept in the timeline (the earliest ones)
+const MAX_PRE_ORIGIN_STEPS = 10;
+
+// Items dated this long before the story was first seen are treated as backdated
+const MAX_LOOKBACK_DAYS = 7;
+
+const MAX_STEPS = 40;
+const MAX_STEP_TEXT = 280;
+const X_SEARCH_TERMS = 4;
+
+const OFFICIAL_HOST = /\.(?:gov|nic|gov\.[a-z]{2}|gob\.[a-z]{2})$/;
+
+/**
+ * Classify where an item was published
+ */
+function originType(item) {
+  if (item.platform === 'x') return 'social_media';
+  try {
+    if (OFFICIAL_HOST.test(new URL(item.url).hostname)) return 'official';
+  } catch {
+    // Unparseable URL - fall through
+  }
+  return 'news';
+}
+
+/**
+ * Word-level diff between two versions of a claim (longest common subsequence)
+ * @returns {Array} [{ op: 'equal' | 'insert' | 'delete', text }]
+ */
+function diffWords(before, after) {
+  const a = (before || '').split(/\s+/).filter(Boolean);
+  const b = (after || '').split(/\s+/).filter(Boolean);
+  const normalize = (word) => word.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = normalize(a[i]) === normalize(b[j])
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  const push = (op, word) => {
+    const last = ops[ops.length - 1];
+    if (last && last.op === op) last.text += ` ${word}`;
+    else ops.push({ op, text: word });
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (normalize(a[i]) === normalize(b[j])) {
+      push('equal', b[j]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push('delete', a[i++]);
+    } else {
+      push('insert', b[j++]);
+    }
+  }
+  while (i < a.length) push('delete', a[i++]);
+  while (j < b.length) push('insert', b[j++]);
+
+  return ops;
+}
+
+/**
+ * One-line description of a diff ("Added "400 dead"; dropped "reportedly"")
+ */
+function describeDiff(ops) {
+  const quote = (text) => `"${text.length > 60 ? `${text.substring(0, 57)}...` : text}"`;
+  const added = ops.filter(o => o.op === 'insert').slice(0, 2).map(o => quote(o.text));
+  const dropped = ops.filter(o => o.op === 'delete').slice(0, 2).map(o => quote(o.text));
+
+  if (added.length === 0 && dropped.length === 0) return 'Same wording';
+
+  const parts = [];
+  if (added.length > 0) parts.push(`Added ${added.join(', ')}`);
+  if (dropped.length > 0) parts.push(`dropped ${dropped.join(', ')}`);
+  const summary = parts.join('; ');
+  return summary.charAt(0).toUpperCase() + summary.slice(1);
+}
+
+/**
+ * Recent X posts about a story (empty when X isn't configured)
+ * @param {Object} viralNews - ViralNews document
+ * @param {Object} options - { sinceId } to return only posts newer than an earlier search
+ * @returns {Object} { posts (xAggregator article format), newestId (null if nothing new) }
+ */
+async function findStoryPosts(viralNews, options = {}) {
+  const terms = [...new Set(tokenize(viralNews.title))].slice(0, X_SEARCH_TERMS);
+  if (terms.length === 0) return { posts: [], newestId: null };
+
+  const reference = [viralNews.title, viralNews.claims?.[0]?.text].filter(Boolean).join(' ');
+  const { articles, meta } = await xAggregator.searchNews(terms.join(' '), { maxResults: 100, sinceId: options.sinceId });
+
+  return {
+    posts: articles.filter(post => claimSimilarity(post.description, reference).score >= MIN_POST_SIMILARITY),
+    newestId: meta?.newest_id || null
+  };
+}
+
+/**
+ * Cluster articles and matching X posts, oldest first
+ */
+async function collectSpreadItems(viralNews) {
+  const articleQuery = viralNews.story
+    ? { story: viralNews.story, isActive: true }
+    : { _id: { $in: viralNews.relatedArticles.map(r => r.articleId) } };
+
+  const articles = await Article.find(articleQuery)
+    .select('title url source.name publishedAt filteringMetadata.credibility.sourceRating')
+    .lean();
+
+  const items = articles.map(article => ({
+    platform: 'news',
+    source: article.source?.name || 'Unknown',
+    url: article.url,
+    timestamp: article.publishedAt,
+    text: article.title,
+    credible: originType({ url: article.url }) === 'official' ||
+      (article.filteringMetadata?.credibility?.sourceRating || 0) >= MIN_ORIGIN_CREDIBILITY
+  }));
+
+  const { posts } = await findStoryPosts(viralNews);
+  for (const post of posts) {
+    items.push({
+      platform: 'x',
+      source: post.source.name,
+      url: post.url,
+      timestamp: post.publishedAt,
+      text: post.description,
+      credible: post.isVerified || post.isNewsAccount || post.metrics.engagement >= MIN_ORIGIN_ENGAGEMENT
+    });
+  }
+
+  const earliestPlausible = new Date((viralNews.virality?.firstDetected || Date.now()) - MAX_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+  return items
+    .filter(item => item.timestamp && !isNaN(new Date(item.timestamp).getTime()))
+    .map(item => ({
+      ...item,
+      timestamp: new Date(item.timestamp),
+      credible: item.credible && new Date(item.timestamp) >= earliestPlausible && new Date(item.timestamp) <= new Date()
+    }))
+    .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Trace a viral story's origin and spread; fills viralNews.origin (not saved)
+ * Each step is diffed against the most similar earlier step, so the diff shows
+ * the mutation that step introduced rather than drift from the headline
+ * @param {Object} viralNews - ViralNews document
+ * @returns {Object} viralNews.origin
+ */
+async function traceOrigin(viralNews) {
+  const items = await collectSpreadItems(viralNews);
+
+  const originIndex = items.findIndex(item => item.credible);
+  if (originIndex === -1) {
+    logger.info(`No credible origin found for "${viralNews.title.substring(0, 50)}..."`);
+    return viralNews.origin;
+  }
+
+  const origin = items[originIndex];
+  const preOrigin = items.slice(0, Math.min(originIndex, MAX_PRE_ORIGIN_STEPS));
+  const spread = [...preOrigin, ...items.slice(originIndex, originIndex + MAX_STEPS)];
+  const steps = [];
+
+  spread.forEach((item, index) => {
+    const text = item.text.length > MAX_STEP_TEXT ? `${item.text.substring(0, MAX_STEP_TEXT - 3)}...` : item.text;
+
+    let parent = null;
+    let parentScore = -1;
+    for (const earlier of steps) {
+      const { score } = claimSimilarity(earlier.text, text);
+      if (score > parentScore) {
+        parent = earlier;
+        parentScore = score;
+      }
+    }
+
+    const diff = parent ? diffWords(parent.text, text) : [{ op: 'equal', text }];
+    steps.push({
+      source: item.source,
+      url: item.url,
+      type: originType(item),
+      timestamp: item.timestamp,
+      text,
+      derivedFrom: parent ? parent.source : null,
+      similarity: item === origin ? 1 : claimSimilarity(origin.text, text).score,
+      diff,
+      preOrigin: index < preOrigin.length,
+      modification: item === origin ? 'Origin' : parent ? describeDiff(diff) : 'Earliest mention'
+    });
+  });
+
+  viralNews.origin = {
+    firstSource: { name: origin.source, url: origin.url, type: originType(origin) },
+    originalClaim: origin.text,
+    spreadPattern: steps
+  };
+
+  logger.info(`Traced origin of "${viralNews.title.substring(0, 50)}..." to ${origin.source} (${steps.length} steps)`);
+  return viralNews.origin;
+}
+
+/**
+ * Spread timeline for the API: steps with hours since the origin
+ * (negative for pre-origin steps)
+ * @param {Object} origin - ViralNews.origin
+ * @returns {Array} Timeline entries
+ */
+function buildSpreadTimeline(origin) {
+  const steps = origin?.spreadPattern || [];
+  if (steps.length === 0) return [];
+
+  const originStep = steps.find(step => !step.preOrigin) || steps[0];
+  const start = new Date(originStep.timestamp).getTime();
+  return steps.map(step => ({
+    ...(step.toObject ? step.toObject() : step),
+    isOrigin: step === originStep,
+    hoursFromOrigin: Math.round(((new Date(step.timestamp).getTime() - start) / (60 * 60 * 1000)) * 10) / 10
+  }));
+}
+
+module.exports = {
+  traceOrigin,
+  buildSpreadTimeline,
+  findStoryPosts,
+  diffWords,
+  describeDiff
+};
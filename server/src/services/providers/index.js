@@ -0,0 +1,48 @@
+/**
+ * Ingestion Provider Registry
+ * Maps Source.ingestion.provider values to provider implementations
+ *
+ * Every provider exposes:
+ *   name                    - Display name
+ *   fetch(config, source)   - Fetch raw items for a source config (source is the Source document,
+ *                             providers may update its ingestion state before it is saved)
+ *   normalize(raw)          - Convert a raw item to the shape processAndStoreArticle expects
+ *                             ({ title, description, content, url, urlToImage, publishedAt, author, source })
+ *                             or null to drop it
+ *   getQuota()              - Report { used, limit, remaining, resetsAt }
+ */
+
+const newsApiProvider = require('./newsApiProvider');
+const rssProvider = require('./rssProvider');
+
+const PROVIDERS = {
+  newsapi: newsApiProvider,
+  rss: rssProvider
+};
+
+/**
+ * Get a provider by type
+ * @param {string} type - Provider type (e.g. 'newsapi')
+ * @returns {Object|null} Provider or null if unknown
+ */
+function getProvider(type) {
+  return PROVIDERS[type] || null;
+}
+
+/**
+ * Quota usage for every registered provider
+ * @returns {Array} Quota report per provider
+ */
+function getQuotaReport() {
+  return Object.entries(PROVIDERS).map(([type, provider]) => ({
+    type,
+    name: provider.name,
+    ...provider.getQuota()
+  }));
+}
+
+module.exports = {
+  getProvider,
+  getQuotaReport,
+  PROVIDER_TYPES: Object.keys(PROVIDERS)
+};
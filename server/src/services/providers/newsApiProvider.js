@@ -0,0 +1,174 @@
+/**
+ * NewsAPI Provider
+ * Fetches articles from newsapi.org for sources configured with provider 'newsapi'
+ */
+
+const axios = require('axios');
+const logger = require('../../utils/logger');
+
+const NEWS_API_URL = 'https://newsapi.org/v2';
+
+// Free tier allows 100 requests/day
+const DAILY_LIMIT = parseInt(process.env.NEWSAPI_DAILY_LIMIT) || 100;
+
+// Request counter for the current UTC day
+const usage = {
+  day: new Date().toISOString().slice(0, 10),
+  requests: 0,
+  rateLimited: false
+};
+
+/**
+ * Reset the usage counter when the UTC day rolls over
+ */
+function resetUsageIfNewDay() {
+  const today = new Date().toISOString().slice(0, 10);
+  if (usage.day !== today) {
+    usage.day = today;
+    usage.requests = 0;
+    usage.rateLimited = false;
+  }
+}
+
+/**
+ * Build NewsAPI query params from a source config
+ * @param {Object} config - Provider config
+ * @returns {Object} Query params
+ */
+function buildParams(config) {
+  const params = {};
+
+  for (const key of ['country', 'category', 'sources', 'domains', 'q', 'language', 'sortBy', 'pageSize']) {
+    const value = config[key];
+    if (value === undefined || value === null || value === '') continue;
+    params[key] = Array.isArray(value) ? value.join(',') : value;
+  }
+
+  return params;
+}
+
+/**
+ * Perform a single NewsAPI request
+ * @param {string} endpoint - 'top-headlines' or 'everything'
+ * @param {Object} params - Query params
+ * @param {string} apiKey - NewsAPI key
+ * @returns {Array} Raw NewsAPI articles
+ */
+async function request(endpoint, params, apiKey) {
+  resetUsageIfNewDay();
+
+  if (usage.rateLimited || usage.requests >= DAILY_LIMIT) {
+    logger.warn('NewsAPI daily quota exhausted. Skipping fetch.');
+    return [];
+  }
+
+  try {
+    usage.requests++;
+    const response = await axios.get(`${NEWS_API_URL}/${endpoint}`, {
+      params: { apiKey, ...params }
+    });
+
+    if (response.data.status === 'ok') {
+      logger.info(`Fetched ${response.data.articles.length} articles from NewsAPI (${endpoint}${params.category ? `, ${params.category}` : ''})`);
+      return response.data.articles;
+    }
+
+    logger.error('NewsAPI returned error:', response.data.message);
+    return [];
+  } catch (error) {
+    if (error.response?.data?.code === 'rateLimited') {
+      usage.rateLimited = true;
+    }
+    logger.error(`Error fetching from NewsAPI (${endpoint}):`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Fetch raw articles for a source config
+ * @param {Object} config - Provider config from Source.ingestion.config
+ * @returns {Array} Raw NewsAPI articles
+ */
+async function fetch(config = {}) {
+  const apiKey = config.apiKey || process.env.NEWSAPI_KEY;
+
+  if (!apiKey) {
+    logger.warn('NewsAPI key not configured. Skipping fetch.');
+    return [];
+  }
+
+  const {
+    endpoint = 'top-headlines',
+    categories = null,
+    delay = 500,
+    ...rest
+  } = config;
+
+  // Top headlines can only be filtered by one category per request
+  if (endpoint === 'top-headlines' && Array.isArray(categories) && categories.length > 0) {
+    const allArticles = [];
+
+    for (const category of categories) {
+      const articles = await request(endpoint, buildParams({ ...rest, category }), apiKey);
+      allArticles.push(...articles);
+
+      // Small delay to avoid rate limiting
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    return allArticles;
+  }
+
+  return request(endpoint, buildParams(rest), apiKey);
+}
+
+/**
+ * Normalize a raw NewsAPI article to the shape processAndStoreArticle expects
+ * @param {Object} raw - Raw NewsAPI article
+ * @returns {Object|null} Normalized article or null if unusable
+ */
+function normalize(raw) {
+  if (!raw || !raw.url || !raw.title) return null;
+
+  // NewsAPI blanks out articles removed by the publisher
+  if (raw.title === '[Removed]' || raw.content === '[Removed]') return null;
+
+  return {
+    title: raw.title,
+    description: raw.description,
+    content: raw.content,
+    url: raw.url,
+    urlToImage: raw.urlToImage,
+    publishedAt: raw.publishedAt,
+    author: raw.author,
+    source: {
+      id: raw.source?.id,
+      name: raw.source?.name
+    }
+  };
+}
+
+/**
+ * Report request quota for the current day
+ * @returns {Object} Quota usage
+ */
+function getQuota() {
+  resetUsageIfNewDay();
+
+  const resetsAt = new Date(`${usage.day}T00:00:00.000Z`);
+  resetsAt.setUTCDate(resetsAt.getUTCDate() + 1);
+
+  return {
+    used: usage.requests,
+    limit: DAILY_LIMIT,
+    remaining: usage.rateLimited ? 0 : Math.max(0, DAILY_LIMIT - usage.requests),
+    resetsAt
+  };
+}
+
+module.exports = {
+  name: 'NewsAPI',
+  fetch,
+  normalize,
+  getQuota
+};
@@ -0,0 +1,301 @@
+/**
+ * Rating Import/Export Service
+ * Syncs source credibility ratings with spreadsheets: validated CSV/JSON import
+ * (with dry run and provenance) and CSV/JSON export for offline review
+ */
+
+const Source = require('../models/Source');
+const { updateSourceCredibility } = require('./credibilityService');
+const { resolveSource, clearSourceCache } = require('./sourceResolver');
+const { parseCsvRecords, toCsv } = require('../utils/csv');
+const logger = require('../utils/logger');
+
+// Largest dataset accepted in one import
+const MAX_ROWS = 5000;
+
+// Accepted column names (case and punctuation insensitive) -> field
+const COLUMN_ALIASES = {
+  name: 'name',
+  source: 'name',
+  sourcename: 'name',
+  outlet: 'name',
+  overallscore: 'overallScore',
+  score: 'overallScore',
+  rating: 'overallScore',
+  credibility: 'overallScore',
+  credibilityscore: 'overallScore',
+  biasrating: 'biasRating',
+  bias: 'biasRating',
+  factualreporting: 'factualReporting',
+  factual: 'factualReporting',
+  factuality: 'factualReporting',
+  domains: 'domains',
+  domain: 'domains',
+  aliases: 'aliases',
+  alias: 'aliases'
+};
+
+// Columns written by exportRatings that an import reads back but ignores
+const EXPORT_ONLY_COLUMNS = ['baselinescore', 'ratingsource', 'lastupdated', 'isenabled', 'kind'];
+
+const EXPORT_COLUMNS = [
+  'name', 'overallScore', 'baselineScore', 'biasRating', 'factualReporting',
+  'ratingSource', 'lastUpdated', 'domains', 'aliases', 'kind', 'isEnabled'
+];
+
+const columnKey = header => header.toLowerCase().replace(/[^a-z]/g, '');
+
+// "Center Left" -> "center-left", "Very High" -> "very-high"
+const enumValue = value => value.toLowerCase().trim().replace(/[\s_]+/g, '-');
+
+// Lists may be separated by ; or | (commas are taken by CSV)
+const listValue = value => {
+  if (Array.isArray(value)) return value.map(v => String(v).trim()).filter(Boolean);
+  return String(value).split(/[;|]/).map(v => v.trim()).filter(Boolean);
+};
+
+/**
+ * Turn an uploaded dataset into plain records
+ * @param {string|Array} data - CSV text, JSON text or an array of objects
+ * @param {string} format - csv | json (guessed from the data when omitted)
+ * @returns {Array<Object>} Records keyed by the dataset's own column names
+ */
+function parseDataset(data, format) {
+  if (Array.isArray(data)) return data;
+
+  if (typeof data !== 'string' || !data.trim()) {
+    throw Object.assign(new Error('No rating data provided'), { statusCode: 400 });
+  }
+
+  const kind = format || (/^\s*[[{]/.test(data) ? 'json' : 'csv');
+
+  if (kind === 'json') {
+    let parsed;
+    try {
+      parsed = JSON.parse(data);
+    } catch (error) {
+      throw Object.assign(new Error(`Invalid JSON: ${error.message}`), { statusCode: 400 });
+    }
+    const records = Array.isArray(parsed) ? parsed : parsed.ratings || parsed.sources;
+    if (!Array.isArray(records)) {
+      throw Object.assign(new Error('JSON must be an array of ratings or { "ratings": [...] }'), { statusCode: 400 });
+    }
+    return records;
+  }
+
+  if (kind === 'csv') {
+    return parseCsvRecords(data).records;
+  }
+
+  throw Object.assign(new Error(`Unsupported format: ${format}`), { statusCode: 400 });
+}
+
+/**
+ * Validate one record and map it to rating fields
+ * @returns {Object} { fields, errors, unknownColumns }
+ */
+function validateRecord(record) {
+  const fields = {};
+  const errors = [];
+  const unknownColumns = [];
+  const biasValues = Source.schema.path('credibilityRating.biasRating').enumValues;
+  const factualValues = Source.schema.path('credibilityRating.factualReporting').enumValues;
+
+  for (const [column, raw] of Object.entries(record)) {
+    const key = columnKey(column);
+    const field = COLUMN_ALIASES[key];
+
+    if (!field) {
+      if (!EXPORT_ONLY_COLUMNS.includes(key)) unknownColumns.push(column);
+      continue;
+    }
+    if (raw === null || raw === undefined || raw === '') continue;
+
+    const value = typeof raw === 'string' ? raw.trim() : raw;
+
+    switch (field) {
+      case 'name':
+        fields.name = String(value);
+        break;
+      case 'overallScore': {
+        const score = Number(value);
+        if (!Number.isFinite(score) || score < 0 || score > 100) {
+          errors.push(`overallScore must be a number from 0 to 100 (got "${value}")`);
+        } else {
+          fields.overallScore = Math.round(score);
+        }
+        break;
+      }
+      case 'biasRating':
+        if (!biasValues.includes(enumValue(String(value)))) {
+          errors.push(`biasRating "${value}" must be one of: ${biasValues.join(', ')}`);
+        } else {
+          fields.biasRating = enumValue(String(value));
+        }
+        break;
+      case 'factualReporting':
+        if (!factualValues.includes(enumValue(String(value)))) {
+          errors.push(`factualReporting "${value}" must be one of: ${factualValues.join(', ')}`);
+        } else {
+          fields.factualReporting = enumValue(String(value));
+        }
+        break;
+      default:
+        fields[field] = listValue(value);
+    }
+  }
+
+  if (!fields.name) {
+    errors.push('Missing source name');
+  }
+  if (errors.length === 0 && fields.overallScore === undefined && !fields.biasRating && !fields.factualReporting) {
+    errors.push('Row has no rating values (overallScore, biasRating or factualReporting)');
+  }
+
+  return { fields, errors, unknownColumns };
+}
+
+/**
+ * Import a ratings dataset
+ * @param {string|Array} data - CSV text, JSON text or an array of objects
+ * @param {Object} options - { format, dryRun, provenance, changedBy }
+ * @returns {Object} Validation report { dryRun, provenance, summary, ignoredColumns, rows }
+ */
+async function importRatings(data, options = {}) {
+  const { format, dryRun = false, changedBy = null } = options;
+  const provenance = (options.provenance || 'import').trim();
+
+  const records = parseDataset(data, format);
+  if (records.length > MAX_ROWS) {
+    throw Object.assign(new Error(`Too many rows (${records.length}); the limit is ${MAX_ROWS}`), { statusCode: 400 });
+  }
+
+  const summary = { total: records.length, created: 0, updated: 0, unchanged: 0, invalid: 0 };
+  const rows = [];
+  const seen = new Map();
+  const ignoredColumns = new Set();
+
+  for (let i = 0; i < records.length; i++) {
+    // Row numbers match the spreadsheet (header is row 1)
+    const rowNumber = i + 2;
+    const { fields, errors, unknownColumns } = validateRecord(records[i] || {});
+    const warnings = [];
+    unknownColumns.forEach(column => ignoredColumns.add(column));
+    const report = { row: rowNumber, name: fields.name || null, status: 'invalid', errors, warnings, changes: {} };
+    rows.push(report);
+
+    if (errors.length === 0) {
+      // Map aliases to the canonical source so 'BBC' updates 'BBC News'
+      const resolved = await resolveSource({ name: fields.name });
+      if (resolved && resolved.name !== fields.name) {
+        warnings.push(`"${fields.name}" resolved to existing source "${resolved.name}"`);
+        fields.name = resolved.name;
+        report.name = resolved.name;
+      }
+
+      if (seen.has(fields.name)) {
+        errors.push(`Duplicate of row ${seen.get(fields.name)}`);
+      } else {
+        seen.set(fields.name, rowNumber);
+      }
+    }
+
+    if (errors.length > 0) {
+      summary.invalid++;
+      continue;
+    }
+
+    const existing = await Source.findOne({ name: fields.name })
+      .select('credibilityRating domains aliases')
+      .lean();
+    const current = existing?.credibilityRating || {};
+
+    for (const key of ['overallScore', 'biasRating', 'factualReporting']) {
+      if (fields[key] !== undefined && fields[key] !== current[key]) {
+        report.changes[key] = { from: current[key] ?? null, to: fields[key] };
+      }
+    }
+    for (const key of ['domains', 'aliases']) {
+      const added = (fields[key] || []).filter(v => !(existing?.[key] || []).includes(key === 'domains' ? v.toLowerCase() : v));
+      if (added.length > 0) report.changes[key] = { added };
+    }
+
+    if (!existing) {
+      report.status = 'created';
+    } else if (Object.keys(report.changes).length > 0) {
+      report.status = 'updated';
+    } else {
+      report.status = 'unchanged';
+    }
+    summary[report.status]++;
+
+    if (dryRun || report.status === 'unchanged') continue;
+
+    const ratingChanged = ['overallScore', 'biasRating', 'factualReporting'].some(key => report.changes[key]);
+    if (ratingChanged || !existing) {
+      await updateSourceCredibility(
+        fields.name,
+        {
+          overallScore: fields.overallScore,
+          biasRating: fields.biasRating,
+          factualReporting: fields.factualReporting,
+          source: provenance
+        },
+        { changedBy, kind: 'import', reason: `Imported from ${provenance} (row ${rowNumber})` }
+      );
+    }
+
+    if (report.changes.domains || report.changes.aliases) {
+      await Source.updateOne(
+        { name: fields.name },
+        {
+          $addToSet: {
+            domains: { $each: (fields.domains || []).map(d => d.toLowerCase()) },
+            aliases: { $each: fields.aliases || [] }
+          }
+        }
+      );
+    }
+  }
+
+  if (!dryRun) clearSourceCache();
+
+  logger.info(`Rating import ${dryRun ? '(dry run) ' : ''}from ${provenance}: ${summary.created} created, ${summary.updated} updated, ${summary.unchanged} unchanged, ${summary.invalid} invalid`);
+
+  return { dryRun, provenance, summary, ignoredColumns: [...ignoredColumns], rows };
+}
+
+/**
+ * Export source ratings for offline review
+ * @param {Object} options - { format: csv | json, kind }
+ * @returns {string|Array} CSV text or array of rating records
+ */
+async function exportRatings(options = {}) {
+  const { format = 'csv', kind = 'outlet' } = options;
+
+  const query = kind ? { kind } : {};
+  const sources = await Source.find(query).sort({ name: 1 }).lean();
+
+  const records = sources.map(source => ({
+    name: source.name,
+    overallScore: source.credibilityRating?.overallScore,
+    baselineScore: source.credibilityRating?.baselineScore,
+    biasRating: source.credibilityRating?.biasRating,
+    factualReporting: source.credibilityRating?.factualReporting,
+    ratingSource: source.credibilityRating?.source,
+    lastUpdated: source.credibilityRating?.lastUpdated?.toISOString(),
+    domains: format === 'csv' ? (source.domains || []).join(';') : source.domains || [],
+    aliases: format === 'csv' ? (source.aliases || []).join(';') : source.aliases || [],
+    kind: source.kind,
+    isEnabled: source.isEnabled
+  }));
+
+  return format === 'csv' ? toCsv(EXPORT_COLUMNS, records) : records;
+}
+
+module.exports = {
+  importRatings,
+  exportRatings,
+  validateRecord,
+  parseDataset
+};
@@ -0,0 +1,352 @@
+/**
+ * Rating Normalizer Service
+ * Maps each fact-checker's own verdict labels ("Pants on Fire", "Mixture",
+ * "Missing context", ...) onto the shared normalized rating scale using
+ * per-publisher tables, admin overrides and numeric rating scales.
+ * Verdicts that cannot be mapped are left 'unrated' and flagged for review.
+ */
+
+const RatingMapping = require('../models/RatingMapping');
+const FactCheck = require('../models/FactCheck');
+const ViralNews = require('../models/ViralNews');
+const logger = require('../utils/logger');
+
+const NORMALIZED_RATINGS = ['true', 'mostly_true', 'half_true', 'mostly_false', 'false', 'pants_on_fire', 'unrated'];
+
+// Labels understood for every publisher
+const GENERIC_MAPPINGS = {
+  'true': 'true',
+  'correct': 'true',
+  'accurate': 'true',
+  'mostly true': 'mostly_true',
+  'mostly correct': 'mostly_true',
+  'half true': 'half_true',
+  'partly true': 'half_true',
+  'partially true': 'half_true',
+  'mixed': 'half_true',
+  'mostly false': 'mostly_false',
+  'partly false': 'mostly_false',
+  'partially false': 'mostly_false',
+  'misleading': 'mostly_false',
+  'false': 'false',
+  'incorrect': 'false',
+  'inaccurate': 'false',
+  'fake': 'false',
+  'fabricated': 'false',
+  'hoax': 'false',
+  'pants on fire': 'pants_on_fire',
+  'satire': 'unrated',
+  'unproven': 'unrated',
+  'unverified': 'unrated'
+};
+
+// Publisher-specific verdicts (checked before the generic table)
+const DEFAULT_RATING_MAPPINGS = {
+  politifact: {
+    'half true': 'half_true',
+    'barely true': 'mostly_false',
+    'pants on fire': 'pants_on_fire',
+    'full flop': 'unrated',
+    'half flip': 'unrated',
+    'no flip': 'unrated'
+  },
+  snopes: {
+    'mixture': 'half_true',
+    'miscaptioned': 'false',
+    'misattributed': 'false',
+    'correct attribution': 'true',
+    'outdated': 'half_true',
+    'scam': 'false',
+    'legend': 'false',
+    'labeled satire': 'unrated',
+    'originated as satire': 'false',
+    'research in progress': 'unrated',
+    'legit': 'true'
+  },
+  alt_news: {
+    'misleading': 'mostly_false',
+    'false': 'false',
+    'fake': 'false',
+    'fake news': 'false',
+    'doctored': 'false',
+    'edited': 'false',
+    'morphed': 'false',
+    'misattributed': 'false',
+    'partially true': 'half_true',
+    'partially false': 'mostly_false',
+    'half truth': 'half_true',
+    'old video': 'mostly_false',
+    'old image': 'mostly_false',
+    'unverified': 'unrated'
+  },
+  boom_live: {
+    'fake': 'false',
+    'false': 'false',
+    'misleading': 'mostly_false',
+    'partly true': 'half_true',
+    'half true': 'half_true',
+    'sarcasm': 'unrated',
+    'satire': 'unrated'
+  },
+  afp_factcheck: {
+    'missing context': 'half_true',
+    'partly false': 'mostly_false',
+    'altered': 'false',
+    'altered photo': 'false',
+    'altered video': 'false',
+    'no evidence': 'mostly_false'
+  },
+  reuters_factcheck: {
+    'missing context': 'half_true',
+    'partly false': 'mostly_false',
+    'altered': 'false',
+    'no evidence': 'mostly_false'
+  },
+  factcheck_org: {}
+};
+
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+let overrides = null;
+let loadedAt = 0;
+
+/**
+ * Canonical form of a verdict label: lowercase words, no punctuation
+ * ("Pants on Fire!" -> "pants on fire", "Half-True" -> "half true")
+ */
+function normalizeLabel(label) {
+  return String(label || '')
+    .toLowerCase()
+    .replace(/[-_/]+/g, ' ')
+    .replace(/[^\p{L}\p{N}\s]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Load admin overrides as a Map of "publisher|label" -> rating (cached)
+ */
+async function loadOverrides() {
+  if (overrides && Date.now() - loadedAt < CACHE_TTL_MS) {
+    return overrides;
+  }
+
+  const mappings = await RatingMapping.find().lean();
+  overrides = new Map(mappings.map(m => [`${m.publisher}|${m.label}`, m.normalizedRating]));
+  loadedAt = Date.now();
+  return overrides;
+}
+
+/**
+ * Drop cached overrides (call after mappings change)
+ */
+function clearRatingMappingCache() {
+  overrides = null;
+  loadedAt = 0;
+}
+
+/**
+ * Scale a numeric rating between worst and best onto the normalized scale
+ */
+function scaleNumericRating({ ratingValue, bestRating, worstRating }) {
+  if (![ratingValue, bestRating, worstRating].every(Number.isFinite) || bestRating === worstRating) {
+    return null;
+  }
+
+  const fraction = (ratingValue - worstRating) / (bestRating - worstRating);
+  if (fraction >= 0.9) return 'true';
+  if (fraction >= 0.7) return 'mostly_true';
+  if (fraction >= 0.45) return 'half_true';
+  if (fraction >= 0.25) return 'mostly_false';
+  return 'false';
+}
+
+/**
+ * Normalize a publisher's verdict
+ * Order: admin override for the publisher, built-in publisher table,
+ * admin override for all publishers, generic table, numeric scale
+ * @param {string} publisher - FACT_CHECK_SOURCES key or 'other'
+ * @param {Object|string} rating - Verdict label, or { alternateName, ratingValue, bestRating, worstRating }
+ * @returns {Object} { normalizedRating, needsReview, matchedBy }
+ */
+async function normalizeRating(publisher, rating) {
+  const { alternateName, ...numeric } = typeof rating === 'string' ? { alternateName: rating } : rating || {};
+  const label = normalizeLabel(alternateName);
+  const custom = await loadOverrides();
+
+  if (label) {
+    const candidates = [
+      [custom.get(`${publisher}|${label}`), 'override'],
+      [DEFAULT_RATING_MAPPINGS[publisher]?.[label], 'publisher'],
+      [custom.get(`*|${label}`), 'override'],
+      [GENERIC_MAPPINGS[label], 'generic']
+    ];
+    const match = candidates.find(([value]) => value);
+    if (match) {
+      return { normalizedRating: match[0], needsReview: false, matchedBy: match[1] };
+    }
+  }
+
+  const scaled = scaleNumericRating(numeric);
+  if (scaled) {
+    return { normalizedRating: scaled, needsReview: false, matchedBy: 'numeric' };
+  }
+
+  return { normalizedRating: 'unrated', needsReview: true, matchedBy: null };
+}
+
+/**
+ * Built-in tables and admin overrides, for the admin mapping screen
+ */
+async function getRatingMappings() {
+  const mappings = await RatingMapping.find()
+    .sort({ publisher: 1, label: 1 })
+    .populate('updatedBy', 'name email')
+    .lean();
+
+  return {
+    generic: GENERIC_MAPPINGS,
+    publishers: DEFAULT_RATING_MAPPINGS,
+    overrides: mappings
+  };
+}
+
+/**
+ * Create or replace an admin override
+ * @returns {Object} The saved mapping
+ */
+async function setRatingMapping({ publisher, label, normalizedRating, notes }, userId) {
+  const key = normalizeLabel(label);
+  if (!key) {
+    const error = new Error('A rating label is required');
+    error.statusCode = 400;
+    throw error;
+  }
+  if (!NORMALIZED_RATINGS.includes(normalizedRating)) {
+    const error = new Error(`normalizedRating must be one of ${NORMALIZED_RATINGS.join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const mapping = await RatingMapping.findOneAndUpdate(
+    { publisher: publisher || '*', label: key },
+    { normalizedRating, notes, updatedBy: userId },
+    { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  clearRatingMappingCache();
+  return mapping;
+}
+
+/**
+ * Remove an admin override
+ * @returns {Object|null} The deleted mapping
+ */
+async function deleteRatingMapping(id) {
+  const mapping = await RatingMapping.findByIdAndDelete(id);
+  clearRatingMappingCache();
+  return mapping;
+}
+
+/**
+ * Re-run the normalizer over stored fact-checks after mappings change
+ * @param {string} publisher - Limit to one publisher ('*' or empty for all)
+ * @returns {Object} { factChecks, viralNews } - counts updated and IDs of stories whose ratings changed
+ */
+async function applyRatingMappings(publisher) {
+  const scope = publisher && publisher !== '*' ? { publisher } : {};
+
+  const stored = await FactCheck.find(scope)
+    .select('publisher reviewRating normalizedRating needsRatingReview')
+    .lean();
+
+  const updates = [];
+  const ratings = new Map();
+  for (const fc of stored) {
+    const { normalizedRating, needsReview } = await normalizeRating(fc.publisher, fc.reviewRating);
+    ratings.set(fc._id.toString(), { normalizedRating, needsReview });
+    if (normalizedRating !== fc.normalizedRating || needsReview !== Boolean(fc.needsRatingReview)) {
+      updates.push({
+        updateOne: {
+          filter: { _id: fc._id },
+          update: { $set: { normalizedRating, needsRatingReview: needsReview } }
+        }
+      });
+    }
+  }
+  if (updates.length > 0) {
+    await FactCheck.bulkWrite(updates);
+  }
+
+  // Stories carry a copy of each rating
+  const storyScope = publisher && publisher !== '*' ? { 'factChecks.source': publisher } : { 'factChecks.0': { $exists: true } };
+  const stories = await ViralNews.find(storyScope).select('factChecks');
+  const changedStories = [];
+
+  for (const story of stories) {
+    let changed = false;
+    for (const entry of story.factChecks) {
+      if (scope.publisher && entry.source !== scope.publisher) continue;
+
+      const result = entry.factCheck && ratings.get(entry.factCheck.toString())
+        || await normalizeRating(entry.source, entry.rating);
+      if (entry.normalizedRating !== result.normalizedRating || Boolean(entry.needsRatingReview) !== result.needsReview) {
+        entry.normalizedRating = result.normalizedRating;
+        entry.needsRatingReview = result.needsReview;
+        changed = true;
+      }
+    }
+    if (changed) {
+      await story.save();
+      changedStories.push(story._id);
+    }
+  }
+
+  logger.info(`Re-normalized ratings: ${updates.length} fact-checks, ${changedStories.length} stories`);
+  return { factChecks: updates.length, viralNews: changedStories };
+}
+
+/**
+ * Verdict labels that could not be mapped, most frequent first
+ * @returns {Array} [{ publisher, rating, count, examples }]
+ */
+async function getUnmappedRatings() {
+  const [stored, linked] = await Promise.all([
+    FactCheck.aggregate([
+      { $match: { needsRatingReview: true } },
+      { $group: { _id: { publisher: '$publisher', rating: '$reviewRating.alternateName' }, count: { $sum: 1 }, examples: { $push: '$url' } } }
+    ]),
+    ViralNews.aggregate([
+      { $unwind: '$factChecks' },
+      { $match: { 'factChecks.needsRatingReview': true, 'factChecks.factCheck': null } },
+      { $group: { _id: { publisher: '$factChecks.source', rating: '$factChecks.rating' }, count: { $sum: 1 }, examples: { $push: '$factChecks.url' } } }
+    ])
+  ]);
+
+  const merged = new Map();
+  for (const group of [...stored, ...linked]) {
+    const key = `${group._id.publisher}|${normalizeLabel(group._id.rating)}`;
+    const entry = merged.get(key) || { publisher: group._id.publisher, rating: group._id.rating || null, count: 0, examples: [] };
+    entry.count += group.count;
+    entry.examples.push(...group.examples);
+    merged.set(key, entry);
+  }
+
+  return [...merged.values()]
+    .map(entry => ({ ...entry, examples: entry.examples.slice(0, 3) }))
+    .sort((a, b) => b.count - a.count);
+}
+
+module.exports = {
+  normalizeRating,
+  normalizeLabel,
+  getRatingMappings,
+  setRatingMapping,
+  deleteRatingMapping,
+  applyRatingMappings,
+  getUnmappedRatings,
+  clearRatingMappingCache,
+  DEFAULT_RATING_MAPPINGS,
+  GENERIC_MAPPINGS,
+  NORMALIZED_RATINGS
+};
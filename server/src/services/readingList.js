@@ -0,0 +1,46 @@
+/**
+ * Reading List Service
+ * Per-user saved/read state for article listings
+ */
+
+const SavedArticle = require('../models/SavedArticle');
+const ReadHistory = require('../models/ReadHistory');
+
+/**
+ * Attach the signed-in user's saved/read state to a page of articles
+ * @param {Array} articles - Article documents or plain objects
+ * @param {string} userId - User ID
+ * @returns {Array} Plain objects with a userState field
+ */
+async function attachUserState(articles, userId) {
+  const plain = articles.map(a => (typeof a.toObject === 'function' ? a.toObject() : a));
+  const ids = plain.map(a => a._id);
+
+  const [saved, read] = await Promise.all([
+    SavedArticle.find({ user: userId, article: { $in: ids } }).select('article folder tags').lean(),
+    ReadHistory.find({ user: userId, article: { $in: ids } }).select('article readAt').lean()
+  ]);
+
+  const savedById = new Map(saved.map(s => [s.article.toString(), s]));
+  const readById = new Map(read.map(r => [r.article.toString(), r]));
+
+  return plain.map(article => {
+    const entry = savedById.get(article._id.toString());
+    const history = readById.get(article._id.toString());
+
+    return {
+      ...article,
+      userState: {
+        saved: !!entry,
+        folder: entry?.folder || null,
+        tags: entry?.tags || [],
+        read: !!history,
+        readAt: history?.readAt || null
+      }
+    };
+  });
+}
+
+module.exports = {
+  attachUserState
+};
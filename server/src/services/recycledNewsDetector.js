@@ -0,0 +1,187 @@
+/**
+ * Recycled News Detector Service
+ * Matches a trending story or a submitted article against earlier coverage by
+ * content fingerprint (MinHash, see duplicateDetector) to catch old news being
+ * passed around as new. Fingerprints of articles removed by the daily cleanup
+ * are archived so matches can reach back months.
+ */
+
+const Article = require('../models/Article');
+const ArchivedFingerprint = require('../models/ArchivedFingerprint');
+const { fingerprintArticle, estimateSimilarity } = require('./duplicateDetector');
+const logger = require('../utils/logger');
+
+// Earlier coverage must predate the story by at least this much to count as recycled
+const MIN_AGE_DAYS = 14;
+
+// Looser than syndication matching - recycled stories are often lightly reworded
+const RECYCLED_SIMILARITY = 0.6;
+
+// Story articles checked against the archive (earliest first)
+const STORY_ARTICLES = 5;
+
+const MAX_CANDIDATES = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Earliest coverage before a date that shares a fingerprint
+ * @param {Object} fingerprint - { minhash, bands }
+ * @param {Object} options - { before: Date, excludeIds, excludeUrls, excludeStory }
+ * @returns {Object|null} { articleId, url, title, source, publishedAt, similarity }
+ */
+async function findEarlierCoverage(fingerprint, options = {}) {
+  if (!fingerprint?.minhash?.length) return null;
+
+  const { before, excludeIds = [], excludeUrls = [], excludeStory } = options;
+  const articleQuery = {
+    'fingerprint.bands': { $in: fingerprint.bands },
+    publishedAt: { $lt: before },
+    _id: { $nin: excludeIds },
+    url: { $nin: excludeUrls }
+  };
+  if (excludeStory) articleQuery.story = { $ne: excludeStory };
+
+  const [articles, archived] = await Promise.all([
+    Article.find(articleQuery)
+      .select('title url source.name publishedAt fingerprint.minhash')
+      .sort({ publishedAt: 1 })
+      .limit(MAX_CANDIDATES)
+      .lean(),
+    ArchivedFingerprint.find({
+      bands: { $in: fingerprint.bands },
+      publishedAt: { $lt: before },
+      url: { $nin: excludeUrls }
+    })
+      .sort({ publishedAt: 1 })
+      .limit(MAX_CANDIDATES)
+      .lean()
+  ]);
+
+  const candidates = [
+    ...articles.map(a => ({
+      articleId: a._id,
+      url: a.url,
+      title: a.title,
+      source: a.source?.name,
+      publishedAt: a.publishedAt,
+      minhash: a.fingerprint?.minhash
+    })),
+    ...archived.map(a => ({
+      url: a.url,
+      title: a.title,
+      source: a.sourceName,
+      publishedAt: a.publishedAt,
+      minhash: a.minhash
+    }))
+  ];
+
+  const matches = candidates
+    .map(({ minhash, ...candidate }) => ({ ...candidate, similarity: estimateSimilarity(fingerprint.minhash, minhash) }))
+    .filter(c => c.similarity >= RECYCLED_SIMILARITY)
+    .sort((a, b) => new Date(a.publishedAt) - new Date(b.publishedAt));
+
+  return matches[0] || null;
+}
+
+/**
+ * Shape a match as a recycledFrom record
+ */
+function toRecycledFrom(match, referenceDate) {
+  return {
+    ...match,
+    similarity: Math.round(match.similarity * 100) / 100,
+    ageDays: Math.floor((referenceDate - new Date(match.publishedAt)) / DAY_MS)
+  };
+}
+
+/**
+ * Check whether a viral story repeats coverage from weeks or months earlier
+ * Fills viralNews.misinformationAnalysis.recycledFrom (not saved)
+ * @param {Object} viralNews - ViralNews document
+ * @returns {Object|null} recycledFrom
+ */
+async function detectRecycledStory(viralNews) {
+  const ids = viralNews.relatedArticles.map(r => r.articleId).filter(Boolean);
+  const articles = await Article.find({ _id: { $in: ids } })
+    .select('title description content publishedAt fingerprint')
+    .sort({ publishedAt: 1 })
+    .limit(STORY_ARTICLES)
+    .lean();
+
+  const referenceDate = new Date(articles[0]?.publishedAt || viralNews.virality.firstDetected || Date.now());
+  const before = new Date(referenceDate.getTime() - MIN_AGE_DAYS * DAY_MS);
+
+  let earliest = null;
+  for (const article of articles) {
+    const fingerprint = article.fingerprint?.minhash?.length ? article.fingerprint : fingerprintArticle(article);
+    const match = await findEarlierCoverage(fingerprint, { before, excludeIds: ids, excludeStory: viralNews.story });
+    if (match && (!earliest || new Date(match.publishedAt) < new Date(earliest.publishedAt))) {
+      earliest = match;
+    }
+  }
+
+  viralNews.misinformationAnalysis.recycledFrom = earliest ? toRecycledFrom(earliest, referenceDate) : undefined;
+
+  if (earliest) {
+    logger.info(`Recycled story: "${viralNews.title.substring(0, 50)}..." matches ${earliest.source} from ${new Date(earliest.publishedAt).toISOString().split('T')[0]}`);
+  }
+  return viralNews.misinformationAnalysis.recycledFrom || null;
+}
+
+/**
+ * Check whether a single article (e.g. a URL submitted for verification) repeats earlier coverage
+ * @param {Object} article - { title, description, content, url, publishedAt, fingerprint? }
+ * @returns {Object|null} recycledFrom
+ */
+async function detectRecycledArticle(article) {
+  const fingerprint = article.fingerprint?.minhash?.length ? article.fingerprint : fingerprintArticle(article);
+  const publishedAt = new Date(article.publishedAt);
+  const referenceDate = isNaN(publishedAt.getTime()) ? new Date() : publishedAt;
+
+  const match = await findEarlierCoverage(fingerprint, {
+    before: new Date(referenceDate.getTime() - MIN_AGE_DAYS * DAY_MS),
+    excludeIds: article._id ? [article._id] : [],
+    excludeUrls: article.url ? [article.url] : []
+  });
+
+  return match ? toRecycledFrom(match, referenceDate) : null;
+}
+
+/**
+ * Keep fingerprints of articles about to be deleted
+ * @param {Object} filter - Article query of the articles being removed
+ * @returns {number} Fingerprints archived
+ */
+async function archiveFingerprints(filter) {
+  const articles = await Article.find({ ...filter, 'fingerprint.minhash.0': { $exists: true } })
+    .select('title url source.name publishedAt fingerprint')
+    .lean();
+
+  if (articles.length === 0) return 0;
+
+  await ArchivedFingerprint.bulkWrite(articles.map(article => ({
+    updateOne: {
+      filter: { url: article.url },
+      update: {
+        $set: {
+          title: article.title,
+          sourceName: article.source?.name,
+          publishedAt: article.publishedAt,
+          minhash: article.fingerprint.minhash,
+          bands: article.fingerprint.bands
+        }
+      },
+      upsert: true
+    }
+  })), { ordered: false });
+
+  return articles.length;
+}
+
+module.exports = {
+  detectRecycledStory,
+  detectRecycledArticle,
+  archiveFingerprints,
+  findEarlierCoverage,
+  MIN_AGE_DAYS
+};
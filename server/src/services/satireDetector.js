@@ -0,0 +1,156 @@
+/**
+ * Satire Detector Service
+ * Decides whether an article is satire from the source registry (Source.isSatire)
+ * and linguistic cues: satire disclaimers, humor sections in the URL and the
+ * stock phrasing of satire outlets. Satire is labelled, not scored as misinformation.
+ * Merely mentioning satire ("originated on a satirical site") is not a cue -
+ * debunks and reports about parody use those words too.
+ */
+
+const Article = require('../models/Article');
+const Source = require('../models/Source');
+const { resolveSourceName } = require('./sourceResolver');
+const logger = require('../utils/logger');
+
+// Confidence when the source itself is registered as satire
+const SOURCE_CONFIDENCE = 95;
+
+// Without a flagged source, only a decisive cue (the piece's own satire disclaimer
+// or a humor-section URL) makes an article satire; supporting cues just raise confidence
+const CUES = [
+  {
+    cue: 'stock_satire_phrasing',
+    weight: 0.75,
+    pattern: /\b(?:area (?:man|woman|dad|mom|teen)|local (?:man|woman) (?:who|announces|reportedly)|nation(?:'s)? (?:\w+ )?(?:shocked|horrified|relieved) to learn|report(?:s|ed)? (?:finds?|confirms?) that \w+ (?:has|have) been)\b/i
+  }
+];
+
+// A piece declaring itself satire, as outlets print at the top or foot of the page
+const DISCLAIMER = /\b(?:this (?:article|story|piece|post) is (?:a work of )?satire|any resemblance to (?:real|actual) (?:persons|people|events))/i;
+
+// Only the opening and closing of the body are searched for the disclaimer
+const DISCLAIMER_SPAN = 400;
+
+// Share of a story's coverage that must be satire for the story itself to be satire
+const STORY_SATIRE_SHARE = 0.5;
+
+// Humor sections in article URLs ("/satire/", "/humor/", "/fake-news/" as a column name)
+const URL_SECTION = /\/(?:satire|humou?r|parody|comedy|funny|spoof)(?:\/|-|$)/i;
+
+/**
+ * Whether an article's source is registered as satire
+ */
+async function isSatireSource(sourceName, url) {
+  if (!sourceName && !url) return false;
+  const name = await resolveSourceName(sourceName, url);
+  const source = await Source.findOne({ name }).select('isSatire').lean();
+  return Boolean(source?.isSatire);
+}
+
+/**
+ * The article's own satire disclaimer, if it has one
+ * Sentences in quotation marks are skipped, so a report quoting a disclaimer is not satire
+ * @returns {string|null} Matched disclaimer
+ */
+function findDisclaimer(article) {
+  const body = (article.content || article.description || '').trim();
+  const spans = [body.slice(0, DISCLAIMER_SPAN), body.slice(-DISCLAIMER_SPAN)];
+
+  for (const span of spans) {
+    for (const sentence of span.split(/(?<=[.!?])\s+/)) {
+      if (/["\u201C\u201D]/.test(sentence)) continue;
+      const match = sentence.match(DISCLAIMER);
+      if (match) return match[0];
+    }
+  }
+  return null;
+}
+
+/**
+ * Detect satire
+ * @param {Object} article - { title, description, content, url, source: { name } }
+ * @param {Object} options - { sourceIsSatire } when the caller already looked the source up
+ * @returns {Object} { isSatire, confidence (0-100), sourceFlagged, cues: [{ cue, weight, decisive, matched }] }
+ */
+async function detectSatire(article, options = {}) {
+  let sourceFlagged = options.sourceIsSatire;
+  if (sourceFlagged === undefined) {
+    try {
+      sourceFlagged = await isSatireSource(article.source?.name, article.url);
+    } catch (error) {
+      logger.error('Error checking satire source:', error.message);
+      sourceFlagged = false;
+    }
+  }
+
+  const text = `${article.title || ''} ${article.description || ''} ${(article.content || '').substring(0, 5000)}`;
+  const cues = [];
+
+  const disclaimer = findDisclaimer(article);
+  if (disclaimer) cues.push({ cue: 'satire_disclaimer', weight: 1.5, decisive: true, matched: disclaimer });
+
+  for (const { cue, weight, pattern } of CUES) {
+    const match = text.match(pattern);
+    if (match) cues.push({ cue, weight, decisive: false, matched: match[0] });
+  }
+
+  try {
+    const path = article.url ? new URL(article.url).pathname : '';
+    const section = path.match(URL_SECTION);
+    if (section) cues.push({ cue: 'humor_section_url', weight: 1.5, decisive: true, matched: section[0] });
+  } catch {
+    // Unparseable URL - no section cue
+  }
+
+  const cueWeight = cues.reduce((sum, c) => sum + c.weight, 0);
+  const isSatire = Boolean(sourceFlagged) || cues.some(c => c.decisive);
+
+  // One decisive cue gives 60; supporting cues raise it, up to 90
+  let confidence = Math.min(90, Math.round(cueWeight * 40));
+  if (sourceFlagged) confidence = Math.max(SOURCE_CONFIDENCE, confidence);
+
+  return {
+    isSatire,
+    confidence: isSatire ? confidence : Math.min(confidence, 40),
+    sourceFlagged: Boolean(sourceFlagged),
+    cues
+  };
+}
+
+/**
+ * Whether a viral story is satire, or satire being passed on as fact
+ * Uses the satire labels the pipeline stored on the story's articles
+ * @param {Object} viralNews - ViralNews document
+ * @returns {Object} { isSatire, misunderstood, satireShare, origin: { source, url } | null }
+ */
+async function assessStorySatire(viralNews) {
+  const ids = viralNews.relatedArticles.map(r => r.articleId).filter(Boolean);
+  const articles = await Article.find({ _id: { $in: ids } })
+    .select('url source.name publishedAt filteringMetadata.satire.isSatire')
+    .sort({ publishedAt: 1 })
+    .lean();
+
+  if (articles.length === 0) {
+    return { isSatire: false, misunderstood: false, satireShare: 0, origin: null };
+  }
+
+  const satirical = articles.filter(a => a.filteringMetadata?.satire?.isSatire);
+  const satireShare = satirical.length / articles.length;
+  const isSatire = satireShare >= STORY_SATIRE_SHARE;
+  const first = articles[0];
+  const originIsSatire = Boolean(first.filteringMetadata?.satire?.isSatire);
+
+  return {
+    isSatire,
+    // Started as satire, but most outlets carrying it are reporting it as news
+    misunderstood: originIsSatire && !isSatire,
+    satireShare: Math.round(satireShare * 100) / 100,
+    origin: originIsSatire ? { source: first.source?.name, url: first.url } : null
+  };
+}
+
+module.exports = {
+  detectSatire,
+  assessStorySatire,
+  isSatireSource
+};
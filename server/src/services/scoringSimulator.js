@@ -0,0 +1,271 @@
+/**
+ * Scoring Simulator Service
+ * Dry-run comparison of the active scoring configuration against a proposed one,
+ * using stored layer results so nothing is re-fetched, re-analyzed or saved
+ */
+
+const Article = require('../models/Article');
+const ScoringProfile = require('../models/ScoringProfile');
+const { analyzeKeywords } = require('./keywordFilter');
+const { calculateOverallScore, getCurationStatus, getActiveProfile } = require('./filterPipeline');
+const logger = require('../utils/logger');
+
+// Default and maximum number of articles sampled
+const DEFAULT_SAMPLE_SIZE = 500;
+const MAX_SAMPLE_SIZE = 5000;
+
+// Width of score histogram buckets
+const BUCKET_SIZE = 10;
+
+// Flipped articles returned in the response
+const MAX_FLIPS_LISTED = 100;
+
+/**
+ * Build a plain scoring config from a profile plus overrides
+ * @param {Object} base - ScoringProfile document
+ * @param {Object} proposed - { weights, thresholds, keywords }
+ * @returns {Object} { weights, thresholds, keywords }
+ */
+function buildConfig(base, proposed = {}) {
+  const weights = {};
+  for (const layer of ScoringProfile.LAYERS) {
+    weights[layer] = proposed.weights?.[layer] ?? base.weights[layer];
+  }
+
+  const thresholds = {};
+  for (const key of ['passing', 'autoApprove', 'autoReject']) {
+    thresholds[key] = proposed.thresholds?.[key] ?? base.thresholds[key];
+  }
+
+  return {
+    weights,
+    thresholds,
+    keywords: proposed.keywords || null
+  };
+}
+
+/**
+ * Validate a proposed config with the ScoringProfile schema rules, and compile
+ * proposed keyword lists the way analyzeKeywords will
+ * @returns {string|null} Error message or null if valid
+ */
+async function validateConfig(config) {
+  const { clickbaitPatterns, sensationalWords, qualityIndicators } = config.keywords || {};
+  const lists = { clickbaitPatterns, sensationalWords, qualityIndicators };
+
+  for (const [list, entries] of Object.entries(lists)) {
+    if (entries === undefined) continue;
+    if (!Array.isArray(entries) || entries.some(entry => typeof entry !== 'string')) {
+      return `keywords.${list} must be an array of strings`;
+    }
+  }
+
+  for (const pattern of clickbaitPatterns || []) {
+    try {
+      new RegExp(pattern, 'gi');
+    } catch {
+      return `Invalid clickbait pattern: ${pattern}`;
+    }
+  }
+  for (const word of sensationalWords || []) {
+    try {
+      new RegExp(`\\b${word}\\b`, 'gi');
+    } catch {
+      return `Invalid sensational word: ${word}`;
+    }
+  }
+
+  try {
+    await new ScoringProfile({
+      name: 'what-if',
+      version: 0,
+      weights: config.weights,
+      thresholds: config.thresholds
+    }).validate();
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Score one stored article under a config without touching the document
+ * @param {Object} article - Lean article
+ * @param {Object} config - { weights, thresholds, keywords }
+ * @returns {Object} { score, status }
+ */
+function scoreArticle(article, config) {
+  const metadata = { ...article.filteringMetadata };
+
+  // An empty keywords object re-runs analysis with the current lists
+  if (config.keywords) {
+    metadata.keywordFilter = analyzeKeywords(article, config.keywords);
+  }
+
+  const score = calculateOverallScore({ filteringMetadata: metadata }, config.weights);
+
+  // Manually curated articles keep their status whatever the score
+  const status = article.curation?.curatedBy
+    ? article.curation.status
+    : getCurationStatus(score, config.thresholds);
+
+  return { score, status };
+}
+
+/**
+ * Summarize a list of scores
+ * @param {Array} results - [{ score, status }]
+ * @returns {Object} { mean, median, histogram, statusCounts }
+ */
+function describeDistribution(results) {
+  const scores = results.map(r => r.score).sort((a, b) => a - b);
+  const histogram = {};
+  const statusCounts = { approved: 0, pending: 0, rejected: 0 };
+
+  for (let low = 0; low < 100; low += BUCKET_SIZE) {
+    histogram[`${low}-${low + BUCKET_SIZE - 1}`] = 0;
+  }
+
+  for (const { score, status } of results) {
+    const low = Math.min(100 - BUCKET_SIZE, Math.floor(score / BUCKET_SIZE) * BUCKET_SIZE);
+    histogram[`${low}-${low + BUCKET_SIZE - 1}`]++;
+    statusCounts[status] = (statusCounts[status] || 0) + 1;
+  }
+
+  const mean = scores.length ? scores.reduce((sum, s) => sum + s, 0) / scores.length : 0;
+  const median = scores.length ? scores[Math.floor(scores.length / 2)] : 0;
+
+  return {
+    mean: Math.round(mean * 10) / 10,
+    median,
+    histogram,
+    statusCounts
+  };
+}
+
+/**
+ * Compare the active scoring profile with a proposed configuration
+ * @param {Object} proposed - { profileId, weights, thresholds, keywords }
+ * @param {Object} options - { sampleSize, from, to, source }
+ * @returns {Object} Diff report
+ */
+async function simulateScoring(proposed = {}, options = {}) {
+  const baseline = await getActiveProfile();
+
+  let target = baseline;
+  if (proposed.profileId) {
+    target = await ScoringProfile.findById(proposed.profileId);
+    if (!target) {
+      const error = new Error('Scoring profile not found');
+      error.statusCode = 404;
+      throw error;
+    }
+  }
+
+  const before = buildConfig(baseline);
+  const after = buildConfig(target, proposed);
+
+  // Stored keyword results may predate the current lists; re-run the baseline
+  // too so keyword changes are compared like for like
+  if (after.keywords) {
+    before.keywords = {};
+  }
+
+  const invalid = await validateConfig(after);
+  if (invalid) {
+    const error = new Error(invalid);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const sampleSize = Math.min(MAX_SAMPLE_SIZE, parseInt(options.sampleSize) || DEFAULT_SAMPLE_SIZE);
+  const match = { isActive: true };
+  if (options.source) match['source.name'] = options.source;
+  if (options.from || options.to) {
+    match.publishedAt = {};
+    if (options.from) match.publishedAt.$gte = new Date(options.from);
+    if (options.to) match.publishedAt.$lt = new Date(options.to);
+  }
+
+  const articles = await Article.aggregate([
+    { $match: match },
+    { $sample: { size: sampleSize } },
+    {
+      $project: {
+        title: 1,
+        description: 1,
+        content: 1,
+        'source.name': 1,
+        filteringMetadata: 1,
+        curation: 1
+      }
+    }
+  ]);
+
+  const beforeResults = [];
+  const afterResults = [];
+  const flips = [];
+  const flipCounts = {};
+  const bySource = {};
+
+  for (const article of articles) {
+    const was = scoreArticle(article, before);
+    const now = scoreArticle(article, after);
+    beforeResults.push(was);
+    afterResults.push(now);
+
+    const sourceName = article.source?.name || 'Unknown';
+    const stats = bySource[sourceName] || (bySource[sourceName] = { source: sourceName, articles: 0, flips: 0, totalDelta: 0 });
+    stats.articles++;
+    stats.totalDelta += now.score - was.score;
+
+    if (was.status !== now.status) {
+      stats.flips++;
+      const key = `${was.status}->${now.status}`;
+      flipCounts[key] = (flipCounts[key] || 0) + 1;
+      flips.push({
+        articleId: article._id,
+        title: article.title,
+        source: sourceName,
+        before: was,
+        after: now
+      });
+    }
+  }
+
+  // Sources ranked by how many of their articles flip, then by average score shift
+  const affectedSources = Object.values(bySource)
+    .map(s => ({
+      source: s.source,
+      articles: s.articles,
+      flips: s.flips,
+      avgScoreChange: Math.round((s.totalDelta / s.articles) * 10) / 10
+    }))
+    .filter(s => s.flips > 0 || s.avgScoreChange !== 0)
+    .sort((a, b) => b.flips - a.flips || Math.abs(b.avgScoreChange) - Math.abs(a.avgScoreChange))
+    .slice(0, 10);
+
+  logger.info(`Scoring simulation: ${articles.length} articles, ${flips.length} status flips (v${baseline.version} vs proposed)`);
+
+  return {
+    sampleSize: articles.length,
+    baseline: { id: baseline._id, name: baseline.name, version: baseline.version, ...before },
+    proposed: { basedOn: target.version, ...after },
+    flipped: flips.length,
+    flipCounts,
+    flips: flips
+      .sort((a, b) => Math.abs(b.after.score - b.before.score) - Math.abs(a.after.score - a.before.score))
+      .slice(0, MAX_FLIPS_LISTED),
+    distribution: {
+      before: describeDistribution(beforeResults),
+      after: describeDistribution(afterResults)
+    },
+    affectedSources
+  };
+}
+
+module.exports = {
+  simulateScoring,
+  scoreArticle,
+  describeDistribution
+};
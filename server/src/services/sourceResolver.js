@@ -0,0 +1,158 @@
+/**
+ * Source Resolver Service
+ * Maps the names and URLs providers hand us ("BBC", "Mint", "edition.cnn.com")
+ * to canonical Source documents using each source's name, aliases and domains
+ */
+
+const Source = require('../models/Source');
+const logger = require('../utils/logger');
+
+// How long the in-memory registry is trusted before reloading
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+// Host prefixes that never identify a different publisher
+const IGNORED_SUBDOMAINS = /^(www\d*|m|amp|mobile)\./;
+
+let registry = null;
+let loadedAt = 0;
+
+/**
+ * Normalize a source name for comparison ("The Times of India" -> "times of india")
+ * @param {string} name - Source name
+ * @returns {string} Normalized name
+ */
+function normalizeName(name) {
+  return (name || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+    .replace(/^the /, '');
+}
+
+/**
+ * Normalize a URL or host to a bare domain ("https://www.bbc.co.uk/news" -> "bbc.co.uk")
+ * @param {string} value - URL, host or domain
+ * @returns {string|null} Domain
+ */
+function normalizeDomain(value) {
+  if (!value) return null;
+
+  let host = value.trim().toLowerCase();
+  try {
+    if (/^[a-z]+:\/\//.test(host)) host = new URL(host).hostname;
+  } catch {
+    return null;
+  }
+
+  host = host.split('/')[0].split(':')[0];
+  while (IGNORED_SUBDOMAINS.test(host)) {
+    host = host.replace(IGNORED_SUBDOMAINS, '');
+  }
+  return host || null;
+}
+
+/**
+ * Load (or reuse) the name, alias and domain lookup tables
+ * @returns {Object} { byName, byAlias, byDomain }
+ */
+async function getRegistry() {
+  if (registry && Date.now() - loadedAt < CACHE_TTL_MS) {
+    return registry;
+  }
+
+  const sources = await Source.find({ kind: 'outlet' })
+    .select('name domain domains aliases')
+    .lean();
+
+  const byName = new Map();
+  const byAlias = new Map();
+  const byDomain = new Map();
+
+  for (const source of sources) {
+    const entry = { id: source._id, name: source.name };
+    byName.set(normalizeName(source.name), entry);
+
+    for (const alias of source.aliases || []) {
+      const key = normalizeName(alias);
+      if (byAlias.has(key) && byAlias.get(key).name !== source.name) {
+        logger.warn(`Source alias "${alias}" is claimed by both ${byAlias.get(key).name} and ${source.name}`);
+        continue;
+      }
+      byAlias.set(key, entry);
+    }
+
+    for (const domain of [source.domain, ...(source.domains || [])]) {
+      const key = normalizeDomain(domain);
+      if (key && !byDomain.has(key)) byDomain.set(key, entry);
+    }
+  }
+
+  registry = { byName, byAlias, byDomain };
+  loadedAt = Date.now();
+  return registry;
+}
+
+/**
+ * Forget the cached registry (call after sources, aliases or domains change)
+ */
+function clearSourceCache() {
+  registry = null;
+  loadedAt = 0;
+}
+
+/**
+ * Find the canonical source for a name and/or URL
+ * The URL's domain wins over the name, since provider names vary more than domains;
+ * subdomains fall back to their parent ("edition.cnn.com" -> "cnn.com")
+ * @param {Object} identity - { name, url }
+ * @returns {Object|null} { id, name, matchedBy: 'domain' | 'name' | 'alias' } or null if unknown
+ */
+async function resolveSource({ name, url } = {}) {
+  const { byName, byAlias, byDomain } = await getRegistry();
+
+  let domain = normalizeDomain(url);
+  while (domain && domain.includes('.')) {
+    if (byDomain.has(domain)) {
+      return { ...byDomain.get(domain), matchedBy: 'domain' };
+    }
+    // Stop before bare public suffixes like "co.uk"
+    const parent = domain.slice(domain.indexOf('.') + 1);
+    if (!parent.includes('.') || /^(co|com|net|org|gov|ac)\.[a-z]{2}$/.test(parent)) break;
+    domain = parent;
+  }
+
+  const key = normalizeName(name);
+  if (key && byName.has(key)) {
+    return { ...byName.get(key), matchedBy: 'name' };
+  }
+  if (key && byAlias.has(key)) {
+    return { ...byAlias.get(key), matchedBy: 'alias' };
+  }
+
+  return null;
+}
+
+/**
+ * Canonical source name for a name and/or URL
+ * @param {string} name - Name as given by the provider (may be empty)
+ * @param {string} url - Article or site URL (optional)
+ * @returns {string} Canonical name, else the given name, else the bare domain
+ */
+async function resolveSourceName(name, url = null) {
+  try {
+    const resolved = await resolveSource({ name, url });
+    if (resolved) return resolved.name;
+  } catch (error) {
+    logger.error(`Error resolving source ${name || url}:`, error.message);
+  }
+  return name || normalizeDomain(url) || 'Unknown';
+}
+
+module.exports = {
+  resolveSource,
+  resolveSourceName,
+  clearSourceCache,
+  normalizeName,
+  normalizeDomain
+};
@@ -0,0 +1,246 @@
+/**
+ * Stance Detector Service
+ * Decides whether a passage supports, contradicts or merely mentions a claim.
+ * Uses the OpenAI client when configured (STANCE_BACKEND=llm, the default) and a
+ * deterministic offline classifier otherwise: negation mismatch, numeric
+ * disagreement and refuting phrases near the claim.
+ */
+
+const { getOpenAIClient } = require('./aiAnalyzer');
+const { splitSentences } = require('./claimExtractor');
+const { claimSimilarity } = require('./factCheckMatcher');
+const logger = require('../utils/logger');
+
+const STANCES = ['supports', 'contradicts', 'neutral'];
+
+// A sentence this similar to the claim is talking about it
+const RELATED_SIMILARITY = 0.35;
+const MIN_SHARED_TERMS = 2;
+
+// Related sentences at least this similar restate the claim
+const SUPPORT_SIMILARITY = 0.55;
+
+// Sentences around the claim that are checked for stance signals
+const CONTEXT_SENTENCES = 2;
+
+// Numbers further apart than this (relative) disagree
+const NUMERIC_TOLERANCE = 0.1;
+
+const NEGATION = /\b(?:not|no|never|none|nobody|neither|nor|cannot|without)\b|n['’]t\b/gi;
+
+const REFUTING_PHRASES = /\b(?:fake|false(?:ly)?|hoax|debunk(?:s|ed)?|misleading|no evidence|baseless|fabricated|doctored|morphed|denie[sd]|deny|refuted?|rejected the claims?|untrue|not true|rumou?rs?|misinformation|fact[- ]check(?:ed)?|dismissed)\b/i;
+
+const CONFIRMING_PHRASES = /\b(?:confirm(?:s|ed)?|officially|verified|according to official)\b/i;
+
+/**
+ * Count negations; an odd count flips the sentence's polarity
+ */
+function polarity(text) {
+  return ((text || '').match(NEGATION) || []).length % 2;
+}
+
+/**
+ * Numbers keyed by the word that follows them ("40 people" -> people: 40)
+ * Bare years are ignored - they are dates, not quantities
+ */
+function quantities(text) {
+  const result = new Map();
+  const pattern = /(\d[\d,]*(?:\.\d+)?)\s*(%|percent|[a-z]+)?/gi;
+
+  for (const [, raw, unit] of (text || '').matchAll(pattern)) {
+    const value = parseFloat(raw.replace(/,/g, ''));
+    if (!unit && value >= 1900 && value <= 2100) continue;
+    const key = (unit || '').toLowerCase().replace(/^percent$/, '%');
+    if (!result.has(key)) result.set(key, value);
+  }
+  return result;
+}
+
+/**
+ * Quantities both texts state for the same unit but with different values
+ * @returns {Array} Human-readable disagreements
+ */
+function numericConflicts(claim, passage) {
+  const claimed = quantities(claim);
+  const reported = quantities(passage);
+  const conflicts = [];
+
+  for (const [unit, value] of claimed) {
+    if (!reported.has(unit)) continue;
+    const other = reported.get(unit);
+    const scale = Math.max(Math.abs(value), Math.abs(other), 1);
+    if (Math.abs(value - other) / scale > NUMERIC_TOLERANCE) {
+      conflicts.push(`${value}${unit ? ` ${unit}` : ''} vs ${other}${unit ? ` ${unit}` : ''}`);
+    }
+  }
+  return conflicts;
+}
+
+/**
+ * Deterministic stance of a passage toward a claim
+ * @param {string} claim - Claim text
+ * @param {string} passage - Article text
+ * @returns {Object} { stance, confidence, related, excerpt, reasons, method }
+ */
+function classifyStanceOffline(claim, passage) {
+  const ranked = splitSentences(passage)
+    .map(sentence => ({ sentence, ...claimSimilarity(claim, sentence) }))
+    .filter(s => s.score >= RELATED_SIMILARITY && s.shared >= MIN_SHARED_TERMS)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, CONTEXT_SENTENCES);
+
+  if (ranked.length === 0) {
+    return { stance: 'neutral', confidence: 0, related: false, excerpt: null, reasons: ['Claim is not discussed'], method: 'offline' };
+  }
+
+  const best = ranked[0];
+  const reasons = [];
+
+  for (const { sentence } of ranked) {
+    // Refuting language counts only if the claim doesn't use it itself
+    // ("police denied reports that..." is supported by "police denied...")
+    if (REFUTING_PHRASES.test(sentence) && !REFUTING_PHRASES.test(claim)) {
+      reasons.push(`Refuting language: "${sentence.match(REFUTING_PHRASES)[0]}"`);
+    }
+    for (const conflict of numericConflicts(claim, sentence)) {
+      reasons.push(`Numbers disagree (${conflict})`);
+    }
+  }
+  if (polarity(best.sentence) !== polarity(claim)) {
+    reasons.push('Negated relative to the claim');
+  }
+
+  let stance = 'neutral';
+  if (reasons.length > 0) {
+    stance = 'contradicts';
+  } else if (best.score >= SUPPORT_SIMILARITY) {
+    stance = 'supports';
+    reasons.push(`Restates the claim (similarity ${best.score})`);
+    if (CONFIRMING_PHRASES.test(best.sentence)) reasons.push('Confirming language');
+  } else {
+    reasons.push('Mentions the claim without taking a position');
+  }
+
+  const signals = stance === 'supports' ? reasons.length - 1 : reasons.length;
+  const confidence = stance === 'neutral'
+    ? Math.round(best.score * 50)
+    : Math.min(100, Math.round(best.score * 70 + signals * 15));
+
+  return {
+    stance,
+    confidence,
+    related: true,
+    excerpt: best.sentence.substring(0, 300),
+    reasons,
+    method: 'offline'
+  };
+}
+
+/**
+ * Whether stance detection may call the LLM
+ */
+function isLLMEnabled() {
+  return Boolean(getOpenAIClient()) && (process.env.STANCE_BACKEND || 'llm') !== 'offline';
+}
+
+/**
+ * Stance from the LLM, given the sentences most relevant to the claim
+ * @returns {Object} { stance, confidence, reasons }
+ */
+async function classifyStanceWithLLM(claim, passage) {
+  const context = splitSentences(passage)
+    .map(sentence => ({ sentence, score: claimSimilarity(claim, sentence).score }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, 5)
+    .map(s => s.sentence)
+    .join(' ');
+
+  const response = await getOpenAIClient().chat.completions.create({
+    model: 'gpt-3.5-turbo',
+    messages: [
+      { role: 'system', content: 'You are a fact-checking assistant. Respond only with valid JSON.' },
+      {
+        role: 'user',
+        content: `Does the passage support, contradict, or take no position on the claim?
+
+Claim: ${claim}
+Passage: ${context.substring(0, 1500)}
+
+Respond ONLY with valid JSON in this exact format:
+{
+  "stance": <"supports" | "contradicts" | "neutral">,
+  "confidence": <0-100>,
+  "reason": <one short sentence>
+}`
+      }
+    ],
+    temperature: 0,
+    max_tokens: 120
+  });
+
+  const result = JSON.parse(response.choices[0]?.message?.content);
+  if (!STANCES.includes(result.stance)) {
+    throw new Error(`Unexpected stance "${result.stance}"`);
+  }
+
+  return {
+    stance: result.stance,
+    confidence: Math.max(0, Math.min(100, Number(result.confidence) || 50)),
+    reasons: result.reason ? [result.reason] : []
+  };
+}
+
+/**
+ * Stance of a passage toward a claim
+ * The LLM is only consulted for passages that discuss the claim, and at most
+ * options.budget.remaining times; failures fall back to the offline result
+ * @param {string} claim - Claim text
+ * @param {string} passage - Article text
+ * @param {Object} options - { budget: { remaining } }
+ * @returns {Object} { stance, confidence, related, excerpt, reasons, method }
+ */
+async function detectStance(claim, passage, options = {}) {
+  const offline = classifyStanceOffline(claim, passage);
+  const { budget } = options;
+
+  if (!offline.related || !isLLMEnabled() || (budget && budget.remaining <= 0)) {
+    return offline;
+  }
+
+  try {
+    if (budget) budget.remaining--;
+    const llm = await classifyStanceWithLLM(claim, passage);
+    return { ...offline, ...llm, method: 'llm' };
+  } catch (error) {
+    logger.error('LLM stance detection failed:', error.message);
+    return offline;
+  }
+}
+
+/**
+ * Overall stance of an article from its stance toward each of the story's claims
+ * @param {Array} results - detectStance results for one article
+ * @returns {string} supports | contradicts | neutral | different_angle
+ */
+function summarizeArticleStance(results) {
+  const related = results.filter(r => r.related);
+  if (related.length === 0) return 'different_angle';
+
+  const weight = (stance) => related
+    .filter(r => r.stance === stance)
+    .reduce((sum, r) => sum + (r.confidence || 50), 0);
+
+  const supports = weight('supports');
+  const contradicts = weight('contradicts');
+
+  if (contradicts > supports) return 'contradicts';
+  if (supports > 0) return 'supports';
+  return 'neutral';
+}
+
+module.exports = {
+  detectStance,
+  classifyStanceOffline,
+  summarizeArticleStance,
+  isLLMEnabled
+};
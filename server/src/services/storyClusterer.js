@@ -0,0 +1,357 @@
+/**
+ * Story Clusterer Service
+ * Groups recent articles into persistent Story clusters using TF-IDF vectors
+ * and incremental agglomerative clustering
+ */
+
+const Article = require('../models/Article');
+const Story = require('../models/Story');
+const ViralNews = require('../models/ViralNews');
+const logger = require('../utils/logger');
+
+// Articles older than this are not clustered; stories without newer members go inactive
+const WINDOW_HOURS = 72;
+
+// Minimum cosine similarity to join an existing story
+const ASSIGN_THRESHOLD = 0.3;
+
+// Minimum centroid similarity for two stories to merge
+const MERGE_THRESHOLD = 0.5;
+
+// Terms kept in a stored centroid / exposed as keywords
+const CENTROID_TERMS = 40;
+const KEYWORD_COUNT = 10;
+
+// Term weights per field (headlines carry the most signal)
+const FIELD_WEIGHTS = { title: 3, description: 2, content: 1 };
+
+// Characters of body text used per article
+const CONTENT_CHARS = 2000;
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'that', 'this', 'with', 'from', 'have', 'has', 'had', 'been', 'were', 'was',
+  'are', 'will', 'would', 'could', 'should', 'there', 'their', 'they', 'them', 'what', 'when', 'where',
+  'which', 'while', 'who', 'whom', 'after', 'before', 'about', 'also', 'into', 'than', 'then', 'these',
+  'those', 'through', 'during', 'each', 'other', 'some', 'such', 'only', 'same', 'said', 'says', 'very',
+  'more', 'most', 'many', 'over', 'under', 'its', 'his', 'her', 'our', 'your', 'not', 'but', 'can',
+  'may', 'one', 'two', 'new', 'out', 'all', 'any', 'how', 'why', 'just', 'now', 'get', 'got', 'per',
+  'amid', 'news', 'report', 'reports', 'latest', 'updates', 'live', 'today', 'chars'
+]);
+
+/**
+ * Split text into clustering tokens
+ */
+function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(word => word.length >= 3 && !STOPWORDS.has(word) && !/^\d+$/.test(word));
+}
+
+/**
+ * Weighted term frequencies for an article
+ * @param {Object} article - Article with title, description, content
+ * @returns {Map} term -> weighted count
+ */
+function termFrequencies(article) {
+  const tf = new Map();
+
+  const fields = {
+    title: article.title,
+    description: article.description,
+    content: (article.content || '').substring(0, CONTENT_CHARS)
+  };
+
+  for (const [field, text] of Object.entries(fields)) {
+    for (const term of tokenize(text)) {
+      tf.set(term, (tf.get(term) || 0) + FIELD_WEIGHTS[field]);
+    }
+  }
+
+  return tf;
+}
+
+/**
+ * Inverse document frequencies over the current window
+ * @param {Array} frequencies - Term frequency maps
+ * @returns {Map} term -> idf
+ */
+function buildIdf(frequencies) {
+  const df = new Map();
+  for (const tf of frequencies) {
+    for (const term of tf.keys()) {
+      df.set(term, (df.get(term) || 0) + 1);
+    }
+  }
+
+  const idf = new Map();
+  const total = frequencies.length;
+  for (const [term, count] of df) {
+    idf.set(term, Math.log((total + 1) / (count + 1)) + 1);
+  }
+  return idf;
+}
+
+/**
+ * L2-normalize a sparse vector in place
+ */
+function normalize(vector) {
+  let norm = 0;
+  for (const weight of vector.values()) norm += weight * weight;
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    for (const [term, weight] of vector) vector.set(term, weight / norm);
+  }
+  return vector;
+}
+
+/**
+ * Build a normalized TF-IDF vector
+ */
+function toVector(tf, idf) {
+  const vector = new Map();
+  for (const [term, count] of tf) {
+    vector.set(term, (1 + Math.log(count)) * (idf.get(term) || 1));
+  }
+  return normalize(vector);
+}
+
+/**
+ * Cosine similarity of two normalized sparse vectors
+ */
+function cosineSimilarity(a, b) {
+  const [small, large] = a.size < b.size ? [a, b] : [b, a];
+  let dot = 0;
+  for (const [term, weight] of small) {
+    const other = large.get(term);
+    if (other) dot += weight * other;
+  }
+  return dot;
+}
+
+/**
+ * Keep the heaviest terms of a vector and renormalize
+ */
+function truncateVector(vector, size = CENTROID_TERMS) {
+  const top = [...vector.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, size);
+  return normalize(new Map(top));
+}
+
+/**
+ * Mean of member vectors, truncated to the top centroid terms
+ */
+function computeCentroid(vectors) {
+  const sum = new Map();
+  for (const vector of vectors) {
+    for (const [term, weight] of vector) {
+      sum.set(term, (sum.get(term) || 0) + weight);
+    }
+  }
+  return truncateVector(sum);
+}
+
+/**
+ * Fold one more member into a running centroid
+ */
+function addToCentroid(centroid, count, vector) {
+  const merged = new Map();
+  for (const [term, weight] of centroid) merged.set(term, weight * count);
+  for (const [term, weight] of vector) merged.set(term, (merged.get(term) || 0) + weight);
+  return truncateVector(merged);
+}
+
+/**
+ * Cluster articles from the last WINDOW_HOURS into persistent stories
+ * @returns {Object} Clustering results
+ */
+async function clusterRecentArticles() {
+  const startTime = Date.now();
+  const windowStart = new Date(startTime - WINDOW_HOURS * 60 * 60 * 1000);
+
+  const articles = await Article.find({
+    publishedAt: { $gte: windowStart },
+    isActive: true
+  })
+    .select('title description content source.name publishedAt story')
+    .sort({ publishedAt: 1 })
+    .lean();
+
+  if (articles.length === 0) {
+    return { articles: 0, assigned: 0, created: 0, merged: 0 };
+  }
+
+  // Vectorize the window
+  const frequencies = articles.map(termFrequencies);
+  const idf = buildIdf(frequencies);
+  const vectors = frequencies.map(tf => toVector(tf, idf));
+
+  // Rebuild clusters for stories that already have members in the window
+  const clusters = new Map(); // storyId -> { members: [index], centroid, isNew }
+  const unassigned = [];
+
+  articles.forEach((article, index) => {
+    if (article.story) {
+      const key = article.story.toString();
+      if (!clusters.has(key)) {
+        clusters.set(key, { id: article.story, members: [], isNew: false, changed: false });
+      }
+      clusters.get(key).members.push(index);
+    } else {
+      unassigned.push(index);
+    }
+  });
+
+  for (const cluster of clusters.values()) {
+    cluster.centroid = computeCentroid(cluster.members.map(i => vectors[i]));
+  }
+
+  // Incremental assignment in publication order
+  let created = 0;
+  let assigned = 0;
+
+  for (const index of unassigned) {
+    let best = null;
+    let bestScore = 0;
+
+    for (const cluster of clusters.values()) {
+      const score = cosineSimilarity(vectors[index], cluster.centroid);
+      if (score > bestScore) {
+        bestScore = score;
+        best = cluster;
+      }
+    }
+
+    if (best && bestScore >= ASSIGN_THRESHOLD) {
+      best.centroid = addToCentroid(best.centroid, best.members.length, vectors[index]);
+      best.members.push(index);
+      best.changed = true;
+      assigned++;
+    } else {
+      const story = new Story({ title: articles[index].title });
+      clusters.set(story._id.toString(), {
+        id: story._id,
+        members: [index],
+        centroid: truncateVector(vectors[index]),
+        isNew: true,
+        changed: true
+      });
+      created++;
+    }
+  }
+
+  // Agglomerative merge pass: fold smaller clusters into similar larger ones
+  let merged = 0;
+  const ordered = [...clusters.values()].sort((a, b) => b.members.length - a.members.length);
+
+  for (let i = 0; i < ordered.length; i++) {
+    const target = ordered[i];
+    if (target.mergedInto) continue;
+
+    for (let j = i + 1; j < ordered.length; j++) {
+      const candidate = ordered[j];
+      if (candidate.mergedInto) continue;
+
+      if (cosineSimilarity(target.centroid, candidate.centroid) >= MERGE_THRESHOLD) {
+        target.members.push(...candidate.members);
+        target.centroid = computeCentroid(target.members.map(m => vectors[m]));
+        target.changed = true;
+        candidate.mergedInto = target.id;
+        merged++;
+      }
+    }
+  }
+
+  // Persist changed clusters
+  for (const cluster of clusters.values()) {
+    if (cluster.mergedInto) {
+      if (!cluster.isNew) {
+        await Story.updateOne({ _id: cluster.id }, { isActive: false, mergedInto: cluster.mergedInto });
+        await ViralNews.updateMany({ story: cluster.id }, { story: cluster.mergedInto });
+      }
+      continue;
+    }
+
+    if (!cluster.changed) continue;
+
+    const members = cluster.members.map(i => articles[i]);
+    const sources = [...new Set(members.map(a => a.source?.name).filter(Boolean))];
+    const dates = members.map(a => new Date(a.publishedAt).getTime());
+
+    // Representative headline: member closest to the centroid
+    let representative = members[0];
+    let representativeScore = -1;
+    for (const i of cluster.members) {
+      const score = cosineSimilarity(vectors[i], cluster.centroid);
+      if (score > representativeScore) {
+        representativeScore = score;
+        representative = articles[i];
+      }
+    }
+
+    const centroid = [...cluster.centroid.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .map(([term, weight]) => ({ term, weight: Number(weight.toFixed(4)) }));
+
+    const articleIds = members.map(a => a._id);
+
+    // Only the current window's members are known here: merge them into the
+    // story's history rather than replacing it, so membership and firstSeen
+    // survive articles sliding out of the window
+    await Story.updateOne(
+      { _id: cluster.id },
+      {
+        $set: {
+          title: representative.title,
+          keywords: centroid.slice(0, KEYWORD_COUNT).map(c => c.term),
+          centroid,
+          isActive: true
+        },
+        $addToSet: {
+          articles: { $each: articleIds },
+          sources: { $each: sources }
+        },
+        $min: { firstSeen: new Date(Math.min(...dates)) },
+        $max: { lastUpdated: new Date(Math.max(...dates)) }
+      },
+      { upsert: true }
+    );
+    await Story.updateOne(
+      { _id: cluster.id },
+      [{ $set: { articleCount: { $size: '$articles' }, sourceCount: { $size: '$sources' } } }],
+      { updatePipeline: true }
+    );
+    await Article.updateMany(
+      { _id: { $in: articleIds } },
+      { story: cluster.id }
+    );
+  }
+
+  // Retire stories with no members left in the window
+  const retired = await Story.updateMany(
+    { isActive: true, lastUpdated: { $lt: windowStart } },
+    { isActive: false }
+  );
+
+  const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+  const results = {
+    articles: articles.length,
+    assigned,
+    created,
+    merged,
+    retired: retired.modifiedCount || 0,
+    duration: `${duration}s`
+  };
+
+  logger.info(`Story clustering complete: ${articles.length} articles, ${created} new stories, ${assigned} assigned, ${merged} merged in ${duration}s`);
+  return results;
+}
+
+module.exports = {
+  clusterRecentArticles,
+  tokenize,
+  cosineSimilarity,
+  WINDOW_HOURS
+};
@@ -0,0 +1,201 @@
+/**
+ * Virality Tracker Service
+ * Takes periodic snapshots of each viral story's spread (cluster articles,
+ * sources, X posts and engagement) and derives velocity, acceleration,
+ * peak time and trending state from the series
+ */
+
+const Article = require('../models/Article');
+const ViralNews = require('../models/ViralNews');
+const ViralitySnapshot = require('../models/ViralitySnapshot');
+const { findStoryPosts } = require('./originTracer');
+const logger = require('../utils/logger');
+
+// Rough readers reached per covering article, for the reach estimate
+const ARTICLE_REACH = 1000;
+
+// New mentions per hour a story needs to (re)start trending
+const TRENDING_MIN_VELOCITY = 0.25;
+
+// A trending story with no new mentions for this long stops trending
+const DECAY_HOURS = 12;
+
+// Snapshots closer together than this don't yield a meaningful rate
+const MIN_INTERVAL_HOURS = 0.1;
+
+// X recent searches per snapshot run; stories searched longest ago go first
+const X_SEARCHES_PER_RUN = 10;
+
+const TOP_TWEETS = 5;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * X posts about a story since its last search
+ * @returns {Array} New posts
+ */
+async function searchNewPosts(viralNews) {
+  const twitter = viralNews.socialMedia.twitter;
+  const { posts, newestId } = await findStoryPosts(viralNews, { sinceId: twitter.sinceId });
+
+  twitter.lastSearched = new Date();
+  if (newestId) twitter.sinceId = newestId;
+  return posts;
+}
+
+/**
+ * Measure a story now and store the snapshot; updates virality fields on the document
+ * X post counts are cumulative: each search adds the posts published since the last one
+ * @param {Object} viralNews - ViralNews document
+ * @param {Object} options - { searchX: false } to skip the X search and carry the last counts forward
+ * @returns {Object} The new snapshot
+ */
+async function takeSnapshot(viralNews, options = {}) {
+  const { searchX = true } = options;
+  const articleQuery = viralNews.story
+    ? { story: viralNews.story, isActive: true }
+    : { _id: { $in: viralNews.relatedArticles.map(r => r.articleId) } };
+
+  const [articles, posts, series] = await Promise.all([
+    Article.find(articleQuery).select('source.name').lean(),
+    searchX ? searchNewPosts(viralNews) : [],
+    ViralitySnapshot.find({ viralNews: viralNews._id }).sort({ takenAt: 1 }).lean()
+  ]);
+
+  const now = new Date();
+  const previous = series[series.length - 1];
+  const mentionCount = articles.length;
+  const sourceCount = new Set(articles.map(a => a.source?.name).filter(Boolean)).size;
+  const xPostCount = (previous?.xPostCount || 0) + posts.length;
+  const xEngagement = (previous?.xEngagement || 0) +
+    Math.round(posts.reduce((sum, p) => sum + (p.metrics?.engagement || 0), 0));
+  const activity = mentionCount + xPostCount;
+
+  // Rates against the previous snapshot (or since first detection for the first one)
+  let velocity;
+  let acceleration = 0;
+  if (previous) {
+    const hours = Math.max(MIN_INTERVAL_HOURS, (now - previous.takenAt) / HOUR_MS);
+    const growth = Math.max(0, activity - (previous.mentionCount + previous.xPostCount));
+    velocity = growth / hours;
+    acceleration = (velocity - previous.velocity) / hours;
+  } else {
+    const hours = Math.max(1, (now - (viralNews.virality.firstDetected || now)) / HOUR_MS);
+    velocity = activity / hours;
+  }
+
+  const snapshot = await ViralitySnapshot.create({
+    viralNews: viralNews._id,
+    takenAt: now,
+    mentionCount,
+    sourceCount,
+    xPostCount,
+    xEngagement,
+    reach: xEngagement + mentionCount * ARTICLE_REACH,
+    velocity: Math.round(velocity * 100) / 100,
+    acceleration: Math.round(acceleration * 100) / 100
+  });
+
+  series.push(snapshot.toObject());
+  applySeries(viralNews, series, posts);
+  await viralNews.save();
+
+  return snapshot;
+}
+
+/**
+ * Update velocity, peak and trending state from a story's snapshot series
+ * @param {Object} viralNews - ViralNews document (modified, not saved)
+ * @param {Array} series - Snapshots, oldest first (latest included)
+ * @param {Array} posts - New X posts found for the latest snapshot
+ */
+function applySeries(viralNews, series, posts = []) {
+  const latest = series[series.length - 1];
+
+  viralNews.virality.velocity = latest.velocity;
+  viralNews.virality.acceleration = latest.acceleration;
+  viralNews.virality.reach = latest.reach;
+  viralNews.virality.sourcesCount = latest.sourceCount;
+
+  viralNews.socialMedia.twitter.mentionCount = latest.xPostCount;
+  if (posts.length > 0) {
+    const found = posts.map(post => ({
+      id: post.externalId,
+      username: post.source.name.replace(/^X: @/, ''),
+      text: post.description,
+      engagement: post.metrics?.engagement || 0,
+      isVerified: post.isVerified
+    }));
+    const known = viralNews.socialMedia.twitter.topTweets.map(t => (typeof t.toObject === 'function' ? t.toObject() : t));
+    viralNews.socialMedia.twitter.topTweets = [...known, ...found]
+      .sort((a, b) => (b.engagement || 0) - (a.engagement || 0))
+      .slice(0, TOP_TWEETS);
+  }
+
+  // Peak: the fastest-spreading snapshot, once velocity has dropped below it
+  const peak = series.reduce((best, s) => (s.velocity > best.velocity ? s : best), series[0]);
+  if (peak !== latest && peak.velocity > latest.velocity) {
+    viralNews.virality.peakTime = peak.takenAt;
+  }
+
+  // Trending: restart on fast growth, decay after DECAY_HOURS without any growth
+  const lastGrowth = [...series].reverse().find(s => s.velocity > 0);
+  const quietHours = (latest.takenAt - (lastGrowth?.takenAt || viralNews.virality.firstDetected || latest.takenAt)) / HOUR_MS;
+
+  if (latest.velocity >= TRENDING_MIN_VELOCITY) {
+    viralNews.isTrending = true;
+  } else if (quietHours >= DECAY_HOURS) {
+    viralNews.isTrending = false;
+  }
+}
+
+/**
+ * Snapshot every active trending story
+ * Only X_SEARCHES_PER_RUN stories are searched on X per run, longest-unsearched first;
+ * the rest carry their X counts forward until their turn
+ * @returns {Object} { tracked, xSearches, stoppedTrending }
+ */
+async function snapshotTrendingStories() {
+  const stories = await ViralNews.find({ isActive: true, isTrending: true })
+    .sort({ 'socialMedia.twitter.lastSearched': 1 });
+  let stoppedTrending = 0;
+  let xSearches = 0;
+
+  for (const story of stories) {
+    try {
+      const searchX = xSearches < X_SEARCHES_PER_RUN;
+      if (searchX) xSearches++;
+      await takeSnapshot(story, { searchX });
+      if (!story.isTrending) stoppedTrending++;
+    } catch (error) {
+      logger.error(`Snapshot failed for story ${story._id}:`, error.message);
+    }
+  }
+
+  logger.info(`Virality snapshots: ${stories.length} stories (${xSearches} searched on X), ${stoppedTrending} stopped trending`);
+  return { tracked: stories.length, xSearches, stoppedTrending };
+}
+
+/**
+ * A story's snapshot series
+ * @param {string} viralNewsId - ViralNews ID
+ * @param {Object} options - { hours } window (default: everything kept)
+ * @returns {Array} Snapshots, oldest first
+ */
+async function getViralityTimeline(viralNewsId, options = {}) {
+  const query = { viralNews: viralNewsId };
+  if (options.hours) {
+    query.takenAt = { $gte: new Date(Date.now() - options.hours * HOUR_MS) };
+  }
+
+  return ViralitySnapshot.find(query)
+    .sort({ takenAt: 1 })
+    .select('-__v -viralNews')
+    .lean();
+}
+
+module.exports = {
+  takeSnapshot,
+  applySeries,
+  snapshotTrendingStories,
+  getViralityTimeline
+};
@@ -36,7 +36,8 @@ class XAggregator {
     const {
       maxResults = 100,
       startTime = null,
-      endTime = null
+      endTime = null,
+      sinceId = null
     } = options;
 
     try {
@@ -53,6 +54,8 @@ class XAggregator {
 
       if (startTime) params.append('start_time', startTime);
       if (endTime) params.append('end_time', endTime);
+      // Only posts newer than this ID (for repeated searches of the same story)
+      if (sinceId) params.append('since_id', sinceId);
 
       const response = await axios.get(
         `${X_API_BASE}/tweets/search/recent?${params}`,
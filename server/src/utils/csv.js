@@ -0,0 +1,98 @@
+/**
+ * CSV helpers (RFC 4180: quoted fields, escaped quotes, newlines inside quotes)
+ */
+
+/**
+ * Parse CSV text into rows of fields
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parse CSV text with a header row into objects
+ * @param {string} text - CSV text
+ * @returns {Object} { headers, records }
+ */
+function parseCsvRecords(text) {
+  const [headers = [], ...rows] = parseCsv(text);
+  const keys = headers.map(h => h.trim());
+
+  const records = rows.map(row => {
+    const record = {};
+    keys.forEach((key, i) => {
+      record[key] = (row[i] ?? '').trim();
+    });
+    return record;
+  });
+
+  return { headers: keys, records };
+}
+
+/**
+ * Serialize objects to CSV
+ * @param {Array<string>} headers - Column names (object keys)
+ * @param {Array<Object>} records - Rows
+ * @returns {string} CSV text
+ */
+function toCsv(headers, records) {
+  const escape = value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [
+    headers.map(escape).join(','),
+    ...records.map(record => headers.map(h => escape(record[h])).join(','))
+  ].join('\n') + '\n';
+}
+
+module.exports = {
+  parseCsv,
+  parseCsvRecords,
+  toCsv
+};